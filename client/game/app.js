@@ -1,7 +1,11 @@
 // Main application entry point
 import { initThreeJS, getScene, getCamera, render } from './three-setup.js';
 import { World } from '/shared/core/index.js';
-import { RenderSystem, TransformLoggerSystem } from './ecs/systems/index.js';
+import { GamePlugin } from '/shared/plugins/index.js';
+import { RenderPlugin } from './ecs/plugins/index.js';
+import { InterpolationSystem, PredictionSystem } from './ecs/systems/index.js';
+import { KeyboardInput } from './input.js';
+import { DeltaDecoder, decodeDelta } from '/shared/network/index.js';
 import io from 'https://cdn.socket.io/4.4.1/socket.io.esm.min.js';
 
 
@@ -16,25 +20,57 @@ document.addEventListener('DOMContentLoaded', () => {
     const scene = getScene();
     const camera = getCamera(); // Added for completeness, though not directly used in color logic yet
 
-    world.registerSystem(new RenderSystem(scene));
-    world.registerSystem(new TransformLoggerSystem(scene));
+    // Connect to the server via Socket.IO
+    const socket = io();
+
+    // Local player movement is predicted and sent to the server as numbered inputs
+    const prediction = new PredictionSystem(new KeyboardInput(), (input) => {
+        socket.emit('player_input', input);
+    });
+    // Everyone else is shown slightly in the past, between the server snapshots around that time
+    const interpolation = new InterpolationSystem();
+    socket.on('connect', () => {
+        prediction.setPlayerId(socket.id);
+        interpolation.setLocalPlayerId(socket.id);
+    });
+
+    world.use(GamePlugin);
+    world.use(RenderPlugin, { scene });
+    world.registerSystem(prediction);
+    world.registerSystem(interpolation);
+    world.init();
+
+    // Open the game with ?inspector to inspect and edit the live client world
+    if (new URLSearchParams(window.location.search).has('inspector')) {
+        import('/test/inspector.js').then(({ mountInspector }) => mountInspector(world));
+    }
 
   
 
-    // Connect to the server via Socket.IO
-    const socket = io();
-    
-    // Store the last server state
-    let lastServerState = null;
-    
-    // Listen for server updates (every 300ms)
-    socket.on('server_tick', (serverState) => {
-        console.log('Received server tick:', serverState);
-        lastServerState = serverState;
+    // Step the simulation at the server's fixed rate; rendering stays at the browser frame rate
+    socket.on('world_config', (config) => {
+        world.setSimulationRate(config.simulationRate);
         
-       
+        // Stay a full tick behind so there is usually a newer snapshot to move towards,
+        // and bridge up to half a tick when one is late
+        const tickInterval = config.tickInterval / 1000;
+        interpolation.delay = tickInterval + 0.1;
+        interpolation.maxExtrapolation = tickInterval / 2;
     });
     
+    // Apply entity deltas to the client world and acknowledge the tick so
+    // the server can encode the next delta against it
+    const deltaDecoder = new DeltaDecoder(world);
+    const applyDelta = (delta) => {
+        if (prediction.applyServerDelta(delta, deltaDecoder)) {
+            // Snapshots are placed at their server tick; the arrival time tracks the server clock
+            interpolation.addSnapshot(delta, performance.now() / 1000);
+            socket.emit('delta_ack', { tick: delta.tick });
+        }
+    };
+    socket.on('server_delta', applyDelta);
+    socket.on('server_delta_bin', (buffer) => applyDelta(decodeDelta(buffer)));
+    
     // Client-side animation loop (runs at browser frame rate)
     function animate() {
         requestAnimationFrame(animate);
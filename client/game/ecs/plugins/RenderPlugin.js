@@ -0,0 +1,16 @@
+import { TransformPlugin } from '/shared/plugins/index.js';
+import { RenderSystem, TransformLoggerSystem } from '../systems/index.js';
+
+/**
+ * Render Plugin
+ * Syncs entity meshes into the Three.js scene
+ * Options: { scene } - the scene meshes are added to
+ */
+export const RenderPlugin = {
+    name: 'render',
+    dependencies: [TransformPlugin],
+    systems: [
+        (world, { scene }) => new RenderSystem(scene),
+        TransformLoggerSystem
+    ]
+};
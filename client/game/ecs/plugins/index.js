@@ -0,0 +1 @@
+export { RenderPlugin } from './RenderPlugin.js';
@@ -0,0 +1,242 @@
+import { System } from '/shared/core/index.js';
+
+// Snapshots kept per entity; only the two around the render time are needed
+const MAX_SNAPSHOTS = 32;
+
+// How far each snapshot moves the server clock estimate, so arrival jitter averages out
+const CLOCK_SMOOTHING = 0.1;
+
+// Clock estimates further off than this (seconds) are replaced, e.g. after the tab was in the background
+const MAX_CLOCK_ERROR = 1;
+
+/**
+ * Interpolation System
+ * Buffers server snapshots, stamped with the server time of their tick, and
+ * shows remote entities slightly in the past, moving smoothly between the two
+ * snapshots around that time. Render time follows an estimate of the server
+ * clock, so snapshots stay evenly spaced however unevenly they arrive. When
+ * a snapshot is late, entities keep moving at their last known velocity for a
+ * short while instead of freezing. The local player is left to prediction.
+ */
+export class InterpolationSystem extends System {
+    /**
+     * Create an interpolation system
+     * @param {Object} [config] - Interpolation options
+     * @param {number} [config.delay=0.1] - Seconds remote entities are shown behind the
+     *   latest snapshot; should cover the snapshot interval plus network jitter
+     * @param {number} [config.maxExtrapolation=0.25] - Seconds to keep moving entities
+     *   past their last snapshot before holding them in place
+     */
+    constructor(config = {}) {
+        super({ requiredComponents: ['TransformComponent'], phase: 'render', runBefore: ['RenderSystem'] });
+        this.delay = config.delay !== undefined ? config.delay : 0.1;
+        this.maxExtrapolation = config.maxExtrapolation !== undefined ? config.maxExtrapolation : 0.25;
+        this.localPlayerId = null; // Network ID of the predicted local player
+        this.latest = new Map(); // Network ID -> last known server { position, rotation }
+        this.snapshots = new Map(); // Network ID -> [{ time, position, rotation }], oldest first
+        this.renderTime = 0; // Server time entities are shown at during the current update
+        this.clockOffset = null; // Estimated server time minus local time, in seconds
+    }
+
+    /**
+     * Set which entity is the local player so it isn't interpolated
+     * @param {string} playerId - Network ID of the local player entity
+     */
+    setLocalPlayerId(playerId) {
+        this.localPlayerId = playerId;
+        this.latest.delete(playerId);
+        this.snapshots.delete(playerId);
+    }
+
+    /**
+     * Buffer the remote entity state carried by a server delta
+     * Deltas only carry changed fields, so every known entity gets a snapshot
+     * built from its last known state
+     * @param {Object} delta - Delta that was just applied to the world
+     * @param {number} arrivalTime - Time the delta arrived, on the clock passed to world.update()
+     */
+    addSnapshot(delta, arrivalTime) {
+        // Without a fixed step the tick can't be turned into a time; fall back to the arrival time
+        const step = this.world && this.world.fixedTimeStep;
+        const time = step ? delta.tick * step : arrivalTime;
+        this.syncClock(time - arrivalTime);
+
+        // A full update replaces everything the client knew about
+        if (delta.baseline === null) {
+            const present = new Set(delta.created.map(state => state.networkId));
+            for (const networkId of this.latest.keys()) {
+                if (!present.has(networkId)) this.forget(networkId);
+            }
+        }
+
+        for (const networkId of delta.destroyed) {
+            this.forget(networkId);
+        }
+
+        for (const state of [...delta.created, ...delta.changed]) {
+            const transform = state.components && state.components.TransformComponent;
+            if (!transform || state.networkId === this.localPlayerId) continue;
+
+            const latest = this.latest.get(state.networkId) || {
+                position: { x: 0, y: 0, z: 0 },
+                rotation: { x: 0, y: 0, z: 0 }
+            };
+            if (transform.position) latest.position = copyVector(transform.position);
+            if (transform.rotation) latest.rotation = copyVector(transform.rotation);
+            this.latest.set(state.networkId, latest);
+        }
+
+        for (const [networkId, latest] of this.latest) {
+            let snapshots = this.snapshots.get(networkId);
+            if (!snapshots) {
+                snapshots = [];
+                this.snapshots.set(networkId, snapshots);
+            }
+
+            snapshots.push({ time, position: latest.position, rotation: latest.rotation });
+            if (snapshots.length > MAX_SNAPSHOTS) snapshots.shift();
+        }
+    }
+
+    /**
+     * Update this system
+     * @param {World} world - The world this system belongs to
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {number} currentTime - Current time in seconds
+     * @param {number} [alpha=1] - Interpolation alpha between the last two simulation steps
+     */
+    update(world, deltaTime, currentTime, alpha = 1) {
+        this.renderTime = currentTime + (this.clockOffset || 0) - this.delay;
+        super.update(world, deltaTime, currentTime, alpha);
+    }
+
+    /**
+     * Move an entity to where it was at the render time
+     * @param {Entity} entity - The entity to process
+     */
+    processEntity(entity) {
+        const snapshots = this.snapshots.get(entity.networkId);
+        if (!snapshots || snapshots.length === 0) return;
+
+        // Drop snapshots that are no longer needed: keep one at or before the render time
+        while (snapshots.length > 2 && snapshots[1].time <= this.renderTime) {
+            snapshots.shift();
+        }
+
+        const transform = entity.getComponent('TransformComponent');
+        const [from, to] = snapshots;
+        let changed;
+
+        if (!to || this.renderTime <= from.time) {
+            changed = setTransform(transform, from, from, 0);
+        } else if (to.time <= from.time) {
+            changed = setTransform(transform, to, to, 0);
+        } else if (this.renderTime <= to.time) {
+            changed = setTransform(transform, from, to, (this.renderTime - from.time) / (to.time - from.time));
+        } else {
+            // Past the newest snapshot: keep going the same way for a little while
+            const ahead = Math.min(this.renderTime - to.time, this.maxExtrapolation);
+            changed = setTransform(transform, from, to, 1 + ahead / (to.time - from.time));
+        }
+
+        // Entities standing still don't need their meshes synced again
+        if (changed) transform.markChanged();
+    }
+
+    /**
+     * Fold a new measurement of the server clock into the estimate
+     * @param {number} offset - Snapshot server time minus its arrival time, in seconds
+     * @private
+     */
+    syncClock(offset) {
+        if (this.clockOffset === null || Math.abs(offset - this.clockOffset) > MAX_CLOCK_ERROR) {
+            this.clockOffset = offset;
+        } else {
+            this.clockOffset += (offset - this.clockOffset) * CLOCK_SMOOTHING;
+        }
+    }
+
+    /**
+     * Stop tracking an entity
+     * @param {string} networkId - Network ID of the entity
+     * @private
+     */
+    forget(networkId) {
+        this.latest.delete(networkId);
+        this.snapshots.delete(networkId);
+    }
+}
+
+/**
+ * Set a transform to a blend of two snapshots
+ * t = 0 is the first snapshot, 1 the second, and above 1 extrapolates past it
+ * @param {TransformComponent} transform - Transform to set
+ * @param {Object} from - Snapshot { position, rotation } at t = 0
+ * @param {Object} to - Snapshot { position, rotation } at t = 1
+ * @param {number} t - Blend factor
+ * @returns {boolean} True if the position or rotation moved
+ */
+function setTransform(transform, from, to, t) {
+    const position = {
+        x: lerp(from.position.x, to.position.x, t),
+        y: lerp(from.position.y, to.position.y, t),
+        z: lerp(from.position.z, to.position.z, t)
+    };
+    const rotation = {
+        x: lerpAngle(from.rotation.x, to.rotation.x, t),
+        y: lerpAngle(from.rotation.y, to.rotation.y, t),
+        z: lerpAngle(from.rotation.z, to.rotation.z, t)
+    };
+
+    if (equalVectors(transform.position, position) && equalVectors(transform.rotation, rotation)) {
+        return false;
+    }
+
+    transform.position.set(position.x, position.y, position.z);
+    transform.rotation.set(rotation.x, rotation.y, rotation.z);
+    return true;
+}
+
+/**
+ * Check if two vectors have the same x, y and z
+ * @param {Object} a - Object with x, y and z
+ * @param {Object} b - Object with x, y and z
+ * @returns {boolean} True if every axis matches
+ */
+function equalVectors(a, b) {
+    return a.x === b.x && a.y === b.y && a.z === b.z;
+}
+
+/**
+ * Linearly interpolate between two numbers
+ * @param {number} a - Value at t = 0
+ * @param {number} b - Value at t = 1
+ * @param {number} t - Blend factor
+ * @returns {number} Blended value
+ */
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Interpolate between two angles the short way round
+ * @param {number} a - Angle in radians at t = 0
+ * @param {number} b - Angle in radians at t = 1
+ * @param {number} t - Blend factor
+ * @returns {number} Blended angle in radians
+ */
+function lerpAngle(a, b, t) {
+    let difference = (b - a) % (Math.PI * 2);
+    if (difference > Math.PI) difference -= Math.PI * 2;
+    if (difference < -Math.PI) difference += Math.PI * 2;
+    return a + difference * t;
+}
+
+/**
+ * Copy the x, y and z of a vector-like object
+ * @param {Object} vector - Object with x, y and z
+ * @returns {Object} Plain { x, y, z }
+ */
+function copyVector(vector) {
+    return { x: vector.x, y: vector.y, z: vector.z };
+}
@@ -0,0 +1,199 @@
+import { System } from '/shared/core/index.js';
+import { applyMovementInput } from '/shared/systems/index.js';
+
+/**
+ * Prediction System
+ * Samples the local player's input every simulation step, sends it to the server
+ * with a sequence number and queues it for the shared MovementSystem, so the
+ * player moves immediately. When server state arrives, unacknowledged inputs are
+ * replayed on top of it and any difference is blended out over a few steps.
+ */
+export class PredictionSystem extends System {
+    /**
+     * Create a prediction system
+     * @param {Object} input - Input source with getMovement() => { x, z }
+     * @param {Function} send - Sends an input ({ sequence, x, z }) to the server
+     */
+    constructor(input, send) {
+        super({ phase: 'input' });
+        this.input = input;
+        this.send = send;
+        this.playerId = null; // Network ID of the local player entity
+        this.sequence = 0; // Sequence number of the last input sent
+        this.pending = []; // Inputs sent but not yet acknowledged by the server
+        this.authoritative = null; // Last known server state of the local player
+        this.correction = { x: 0, y: 0, z: 0 }; // Prediction error still being blended out
+        this.correctionBlend = 0.2; // Fraction of the error removed per step
+        this.snapDistance = 3; // Errors larger than this are corrected instantly
+    }
+
+    /**
+     * Set which entity is the local player, e.g. after (re)connecting
+     * @param {string} playerId - Network ID of the local player entity
+     */
+    setPlayerId(playerId) {
+        this.playerId = playerId;
+        this.sequence = 0;
+        this.pending = [];
+        this.authoritative = null;
+        this.correction = { x: 0, y: 0, z: 0 };
+    }
+
+    /**
+     * Get the local player entity if it has arrived from the server
+     * @returns {Entity|null} The local player entity
+     */
+    getPlayer() {
+        if (!this.world || this.playerId === null) return null;
+
+        const entity = this.world.getEntityByNetworkId(this.playerId);
+        return entity && entity.hasComponent('MovementComponent') ? entity : null;
+    }
+
+    /**
+     * Blend out prediction error, then sample, send and queue this step's input
+     * @param {number} deltaTime - Simulation step in seconds
+     */
+    updateEntities(deltaTime) {
+        // Predicted steps only match the server's when both run at the same fixed rate
+        if (this.world.fixedTimeStep === null) return;
+
+        const player = this.getPlayer();
+        if (!player) return;
+
+        this.blendCorrection(player.getComponent('TransformComponent'));
+
+        // Standing still needs no input: nothing moves without one
+        const { x, z } = this.input.getMovement();
+        if (x === 0 && z === 0) return;
+
+        const input = { sequence: this.sequence + 1, x, z };
+        if (!player.getComponent('MovementComponent').queueInput(input)) return;
+
+        this.sequence = input.sequence;
+        this.pending.push(input);
+        this.send(input);
+    }
+
+    /**
+     * Apply a server delta, then reconcile the local player's prediction with it
+     * @param {Object} delta - Delta from the server
+     * @param {DeltaDecoder} decoder - Decoder for the client world
+     * @returns {boolean} True if the delta was applied (see DeltaDecoder.apply)
+     */
+    applyServerDelta(delta, decoder) {
+        const player = this.getPlayer();
+        const displayed = player ? copyVector(player.getComponent('TransformComponent').position) : null;
+
+        if (!decoder.apply(delta)) return false;
+
+        // A player that just arrived has nothing predicted to reconcile yet
+        if (this.updateAuthoritative(delta) && player && player.active) {
+            this.reconcile(player, displayed);
+        }
+        return true;
+    }
+
+    /**
+     * Record the local player's server state from a delta
+     * Deltas only carry changed fields, so the last known state fills in the rest
+     * @param {Object} delta - Delta from the server
+     * @returns {boolean} True if the delta had new state for the local player
+     * @private
+     */
+    updateAuthoritative(delta) {
+        let updated = false;
+
+        for (const state of [...delta.created, ...delta.changed]) {
+            if (state.networkId !== this.playerId || !state.components) continue;
+
+            if (!this.authoritative) {
+                this.authoritative = {
+                    position: { x: 0, y: 0, z: 0 },
+                    rotation: { x: 0, y: 0, z: 0 },
+                    speed: 0,
+                    lastSequence: 0
+                };
+            }
+
+            const transform = state.components.TransformComponent;
+            if (transform) {
+                if (transform.position) this.authoritative.position = copyVector(transform.position);
+                if (transform.rotation) this.authoritative.rotation = copyVector(transform.rotation);
+            }
+
+            const movement = state.components.MovementComponent;
+            if (movement) {
+                if (movement.speed !== undefined) this.authoritative.speed = movement.speed;
+                if (movement.lastSequence !== undefined) this.authoritative.lastSequence = movement.lastSequence;
+            }
+
+            updated = true;
+        }
+
+        return updated;
+    }
+
+    /**
+     * Rebuild the local player's state from the server's, replaying unacknowledged inputs
+     * @param {Entity} player - Local player entity
+     * @param {Object} displayed - Where the player was shown before the server update
+     * @private
+     */
+    reconcile(player, displayed) {
+        const server = this.authoritative;
+        const transform = player.getComponent('TransformComponent');
+
+        this.pending = this.pending.filter(input => input.sequence > server.lastSequence);
+
+        transform.position.set(server.position.x, server.position.y, server.position.z);
+        transform.rotation.set(server.rotation.x, server.rotation.y, server.rotation.z);
+        for (const input of this.pending) {
+            applyMovementInput(transform, input, server.speed, this.world.fixedTimeStep);
+        }
+
+        // Keep showing the old position and blend towards the corrected one
+        const error = {
+            x: displayed.x - transform.position.x,
+            y: displayed.y - transform.position.y,
+            z: displayed.z - transform.position.z
+        };
+        if (Math.hypot(error.x, error.y, error.z) > this.snapDistance) {
+            this.correction = { x: 0, y: 0, z: 0 };
+        } else {
+            this.correction = error;
+            transform.position.x += error.x;
+            transform.position.y += error.y;
+            transform.position.z += error.z;
+        }
+
+        transform.markChanged();
+    }
+
+    /**
+     * Move the player part of the way from the shown position to the predicted one
+     * @param {TransformComponent} transform - Local player transform
+     * @private
+     */
+    blendCorrection(transform) {
+        const { x, y, z } = this.correction;
+        if (x === 0 && y === 0 && z === 0) return;
+
+        const blend = Math.hypot(x, y, z) < 0.001 ? 1 : this.correctionBlend;
+        transform.position.x -= x * blend;
+        transform.position.y -= y * blend;
+        transform.position.z -= z * blend;
+        this.correction = { x: x * (1 - blend), y: y * (1 - blend), z: z * (1 - blend) };
+
+        transform.markChanged();
+    }
+}
+
+/**
+ * Copy the x, y and z of a vector-like object
+ * @param {Object} vector - Object with x, y and z
+ * @returns {Object} Plain { x, y, z }
+ */
+function copyVector(vector) {
+    return { x: vector.x, y: vector.y, z: vector.z };
+}
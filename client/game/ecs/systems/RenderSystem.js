@@ -11,10 +11,10 @@ import { render } from '../../three-setup.js';
  */
 export class RenderSystem extends System {
     constructor(scene) {
-        super();
+        super({ phase: 'render' });
         this.requiredComponents = ['TransformComponent'];
         this.scene = scene;
-      
+        this.lastSyncTick = -1; // World tick of the previous update
     }
 
     /**
@@ -44,18 +44,35 @@ export class RenderSystem extends System {
         const transformComponent = entity.getComponent('TransformComponent');
         
         // Skip if no mesh
-        if (!meshComponent.mesh) return;
+        if (!meshComponent || !meshComponent.mesh) return;
         
         // Add to scene if not already added
+        let justAdded = false;
         if (!meshComponent.addedToScene) {
             this.scene.add(meshComponent.mesh);
             meshComponent.addedToScene = true;
+            justAdded = true;
         }
         
+        // Attached entities move with their parent, so only roots can be skipped
+        const isAttached = entity.parent !== null;
+        
+        // Skip meshes whose transform hasn't changed since the previous update
+        if (!justAdded && !isAttached && !transformComponent.changedSince(this.lastSyncTick - 1)) return;
+        
         // Update mesh transform
-        meshComponent.mesh.position.copy(transformComponent.position);
-        meshComponent.mesh.rotation.copy(transformComponent.rotation);
-        meshComponent.mesh.scale.copy(transformComponent.scale);
+        if (isAttached) {
+            // World matrix is computed parent-first by TransformHierarchySystem
+            transformComponent.worldMatrix.decompose(
+                meshComponent.mesh.position,
+                meshComponent.mesh.quaternion,
+                meshComponent.mesh.scale
+            );
+        } else {
+            meshComponent.mesh.position.copy(transformComponent.position);
+            meshComponent.mesh.rotation.copy(transformComponent.rotation);
+            meshComponent.mesh.scale.copy(transformComponent.scale);
+        }
 
  
     }
@@ -80,6 +97,7 @@ export class RenderSystem extends System {
         
         // Process all matching entities
         super.update(world);
+        this.lastSyncTick = world.tick;
         
         // Render the scene
         render();
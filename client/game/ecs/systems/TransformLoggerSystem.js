@@ -2,7 +2,7 @@ import { System } from '/shared/core/system.js';
 
 export class TransformLoggerSystem extends System {
     constructor() {
-        super({ requiredComponents: ['TransformComponent'] });
+        super({ requiredComponents: ['TransformComponent'], phase: 'post-simulation' });
     }
 
     processEntity(entity, deltaTime) {
@@ -1,3 +1,5 @@
 
 export { TransformLoggerSystem } from './TransformLoggerSystem.js';
 export { RenderSystem } from './RenderSystem.js';
+export { PredictionSystem } from './PredictionSystem.js';
+export { InterpolationSystem } from './InterpolationSystem.js';
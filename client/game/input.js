@@ -0,0 +1,80 @@
+// Keyboard state for player movement
+
+// Keys for each movement direction (KeyboardEvent.code)
+const MOVE_KEYS = {
+    forward: ['KeyW', 'ArrowUp'],
+    back: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight']
+};
+
+/**
+ * Keyboard Input Class
+ * Tracks which movement keys are held; typing in text fields is ignored
+ */
+export class KeyboardInput {
+    /**
+     * Start listening for key presses
+     * @param {EventTarget} [target=window] - Element to listen on
+     */
+    constructor(target = window) {
+        this.target = target;
+        this.pressed = new Set();
+
+        this.onKeyDown = (event) => {
+            if (!isTextField(event.target)) {
+                this.pressed.add(event.code);
+            }
+        };
+        this.onKeyUp = (event) => {
+            this.pressed.delete(event.code);
+        };
+        this.onBlur = () => {
+            this.pressed.clear();
+        };
+
+        target.addEventListener('keydown', this.onKeyDown);
+        target.addEventListener('keyup', this.onKeyUp);
+        target.addEventListener('blur', this.onBlur);
+    }
+
+    /**
+     * Get the current movement direction
+     * @returns {Object} { x, z } each -1, 0 or 1 (forward is -z)
+     */
+    getMovement() {
+        return {
+            x: this.isHeld('right') - this.isHeld('left'),
+            z: this.isHeld('back') - this.isHeld('forward')
+        };
+    }
+
+    /**
+     * Check if any key for a direction is held
+     * @param {string} direction - Key of MOVE_KEYS
+     * @returns {number} 1 if held, otherwise 0
+     */
+    isHeld(direction) {
+        return MOVE_KEYS[direction].some(code => this.pressed.has(code)) ? 1 : 0;
+    }
+
+    /**
+     * Stop listening for key presses
+     */
+    dispose() {
+        this.target.removeEventListener('keydown', this.onKeyDown);
+        this.target.removeEventListener('keyup', this.onKeyUp);
+        this.target.removeEventListener('blur', this.onBlur);
+        this.pressed.clear();
+    }
+}
+
+/**
+ * Check if an event target is a text field
+ * @param {EventTarget} element - Event target
+ * @returns {boolean} True for inputs, textareas and editable elements
+ */
+function isTextField(element) {
+    if (!element || !element.tagName) return false;
+    return element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.isContentEditable;
+}
@@ -1,6 +1,7 @@
 import { World, Entity } from '/shared/core/index.js';
 import { TransformComponent } from '/shared/components/index.js';
 import { TransformLoggerSystem } from '../game/ecs/systems/TransformLoggerSystem.js';
+import { WorldInspector } from './inspector.js';
 
 // --- Components and Systems for Testing ---
 
@@ -30,6 +31,11 @@ const runWorldBtn = document.getElementById('run-world-btn');
 
 const logOutput = document.getElementById('ecs-log-output');
 
+const inspector = new WorldInspector(document.getElementById('inspector-root'));
+
+const profilerSummary = document.getElementById('profiler-summary');
+const profilerTableBody = document.querySelector('#profiler-table tbody');
+
 // --- State ---
 let world = null;
 let entityCounter = 0;
@@ -45,8 +51,9 @@ function log(message) {
 // --- Event Listeners ---
 
 createWorldBtn.addEventListener('click', () => {
-    world = new World({ name: 'TestWorld' });
+    world = new World({ name: 'TestWorld', profile: true });
     worldNameSpan.textContent = world.name;
+    inspector.attach(world);
     worldControls.classList.remove('hidden');
     createWorldBtn.disabled = true;
     log(`World "${world.name}" created.`);
@@ -110,6 +117,7 @@ runWorldBtn.addEventListener('click', () => {
         gameLoopInterval = setInterval(() => {
             const currentTime = performance.now() / 1000; // seconds
             world.update(currentTime);
+            updateProfilerPanel();
         }, tickRate);
         runWorldBtn.textContent = 'Stop World';
         log(`World started with a tick rate of ${tickRate}ms.`);
@@ -157,5 +165,31 @@ function checkAddComponentButtonState() {
     addComponentBtn.disabled = !hasEntities || !entityTargetDropdown.value;
 }
 
+function updateProfilerPanel() {
+    const stats = world.getStats();
+    const ms = value => value.toFixed(3);
+
+    profilerSummary.textContent = `Tick ${stats.tick}, ${stats.entities} entities, ` +
+        `step avg ${ms(stats.steps.avg)}ms, p95 ${ms(stats.steps.p95)}ms, p99 ${ms(stats.steps.p99)}ms`;
+
+    profilerTableBody.innerHTML = '';
+    stats.systems.forEach(system => {
+        const row = document.createElement('tr');
+        [
+            system.enabled ? system.name : `${system.name} (disabled)`,
+            system.phase,
+            Math.round(system.entities),
+            ms(system.time.avg),
+            ms(system.time.p95),
+            ms(system.time.max)
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        profilerTableBody.appendChild(row);
+    });
+}
+
 // --- Initial Log ---
 log('ECS Test Suite Initialized. Click "Create World" to begin.');
@@ -0,0 +1,516 @@
+import { Component, Entity, System } from '/shared/core/index.js';
+
+// Events fired every step; hidden from the event log unless asked for
+const PER_TICK_EVENTS = new Set(['preUpdate', 'postUpdate', 'componentChanged']);
+
+const INSPECTOR_STYLES = `
+.ecs-inspector { font-family: "Courier New", Courier, monospace; font-size: 12px; color: #333; }
+.ecs-inspector h3 { margin: 12px 0 6px; font-size: 13px; }
+.ecs-inspector button { display: inline-block; width: auto; margin: 0 2px; padding: 2px 6px; font-size: 12px; }
+.ecs-inspector input, .ecs-inspector textarea, .ecs-inspector select { font-family: inherit; font-size: 12px; }
+.ecs-inspector input[type=number] { width: 70px; }
+.ecs-inspector textarea { width: 100%; min-height: 40px; box-sizing: border-box; }
+.ecs-inspector ul { list-style: none; margin: 0; padding-left: 14px; }
+.ecs-inspector .ecs-inspector-tree { max-height: 220px; overflow-y: auto; padding-left: 0; }
+.ecs-inspector .ecs-inspector-node { cursor: pointer; padding: 1px 3px; border-radius: 3px; }
+.ecs-inspector .ecs-inspector-node:hover { background-color: #e0e0e0; }
+.ecs-inspector .ecs-inspector-node.selected { background-color: #bbdefb; }
+.ecs-inspector .ecs-inspector-tag { display: inline-block; margin: 1px 2px; padding: 0 4px; border-radius: 3px; background-color: #fff9c4; }
+.ecs-inspector fieldset { margin: 6px 0; border: 1px solid #ccc; border-radius: 4px; }
+.ecs-inspector .ecs-inspector-field { display: flex; align-items: center; gap: 4px; margin: 2px 0; }
+.ecs-inspector .ecs-inspector-field > label { min-width: 110px; }
+.ecs-inspector .ecs-inspector-error { color: #c62828; }
+.ecs-inspector table { width: 100%; border-collapse: collapse; }
+.ecs-inspector td { padding: 2px 4px; border-bottom: 1px solid #eee; }
+.ecs-inspector .ecs-inspector-events { max-height: 180px; overflow-y: auto; background-color: #2d2d2d; color: #f1f1f1; padding: 6px; white-space: pre-wrap; }
+.ecs-inspector-floating { position: fixed; top: 10px; right: 10px; width: 380px; max-height: 90vh; overflow-y: auto; z-index: 1000; padding: 10px; background-color: rgba(245, 245, 245, 0.95); border-radius: 5px; box-shadow: 0 2px 8px rgba(0,0,0,0.3); }
+`;
+
+/**
+ * WorldInspector Class
+ * Live view and editor for any World: entity tree, components, tags,
+ * systems and the world's event stream
+ */
+export class WorldInspector {
+    /**
+     * Create an inspector inside a container element
+     * @param {HTMLElement} container - Element the inspector renders into
+     * @param {Object} [options] - Inspector options
+     * @param {number} [options.refreshInterval=500] - Milliseconds between redraws
+     * @param {number} [options.maxEvents=200] - Events kept in the event log
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.refreshInterval = options.refreshInterval || 500;
+        this.maxEvents = options.maxEvents || 200;
+        this.world = null;
+        this.selected = null; // Selected entity
+        this.events = []; // Most recent first
+        this.showPerTickEvents = false;
+        this.filter = '';
+        this.timer = null;
+        this.eventListener = (eventName, ...args) => this.recordEvent(eventName, args);
+
+        injectStyles();
+        this.build();
+    }
+
+    /**
+     * Start inspecting a world, detaching from any previous one
+     * @param {World} world - The world to inspect
+     */
+    attach(world) {
+        this.detach();
+
+        this.world = world;
+        this.world.on('*', this.eventListener);
+        this.timer = setInterval(() => this.render(), this.refreshInterval);
+        this.render();
+    }
+
+    /**
+     * Stop inspecting the current world
+     */
+    detach() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.world) {
+            this.world.off('*', this.eventListener);
+        }
+
+        this.world = null;
+        this.selected = null;
+        this.events = [];
+        this.render();
+    }
+
+    /**
+     * Detach and remove the inspector's elements
+     */
+    destroy() {
+        this.detach();
+        this.container.replaceChildren();
+    }
+
+    /**
+     * Select an entity to show in the entity panel
+     * @param {Entity|null} entity - Entity to select
+     */
+    select(entity) {
+        this.selected = entity;
+        this.renderTree();
+        this.renderEntity();
+    }
+
+    /**
+     * Create the inspector's static layout
+     * @private
+     */
+    build() {
+        const filterInput = el('input', { type: 'text', placeholder: 'Filter by name or tag' });
+        filterInput.addEventListener('input', () => {
+            this.filter = filterInput.value.trim().toLowerCase();
+            this.renderTree();
+        });
+
+        const perTickToggle = el('input', { type: 'checkbox' });
+        perTickToggle.addEventListener('change', () => {
+            this.showPerTickEvents = perTickToggle.checked;
+        });
+
+        const clearEventsBtn = el('button', { textContent: 'Clear' });
+        clearEventsBtn.addEventListener('click', () => {
+            this.events = [];
+            this.renderEvents();
+        });
+
+        this.summary = el('div');
+        this.tree = el('ul', { className: 'ecs-inspector-tree' });
+        this.entityPanel = el('div');
+        this.systemsTable = el('table');
+        this.eventLog = el('div', { className: 'ecs-inspector-events' });
+
+        this.root = el('div', { className: 'ecs-inspector' }, [
+            this.summary,
+            el('h3', { textContent: 'Entities' }),
+            filterInput,
+            this.tree,
+            el('h3', { textContent: 'Selected Entity' }),
+            this.entityPanel,
+            el('h3', { textContent: 'Systems' }),
+            this.systemsTable,
+            el('h3', { textContent: 'Events' }),
+            el('label', {}, [perTickToggle, ' Show per-tick events ']),
+            clearEventsBtn,
+            this.eventLog
+        ]);
+
+        this.container.replaceChildren(this.root);
+    }
+
+    /**
+     * Redraw everything except an entity panel that is being edited
+     */
+    render() {
+        this.renderSummary();
+        this.renderTree();
+        this.renderSystems();
+        this.renderEvents();
+
+        // Redrawing would throw away a half-typed value
+        if (!this.entityPanel.contains(document.activeElement)) {
+            this.renderEntity();
+        }
+    }
+
+    /**
+     * Draw the world summary line
+     * @private
+     */
+    renderSummary() {
+        const world = this.world;
+        this.summary.textContent = world ?
+            `${world.name}: tick ${world.tick}, ${world.entities.length} entities, ` +
+            `${world.systems.length} systems${world.running ? '' : ' (stopped)'}` :
+            'No world attached';
+    }
+
+    /**
+     * Draw the entity tree
+     * @private
+     */
+    renderTree() {
+        this.tree.replaceChildren();
+        if (!this.world) return;
+
+        const world = this.world;
+        const roots = world.entities.filter(entity => !entity.parent || entity.parent.world !== world);
+        for (const entity of roots) {
+            const node = this.createTreeNode(entity);
+            if (node) {
+                this.tree.appendChild(node);
+            }
+        }
+    }
+
+    /**
+     * Create the tree node for an entity and its children
+     * @param {Entity} entity - The entity
+     * @returns {HTMLElement|null} List item, or null if neither it nor its children match the filter
+     * @private
+     */
+    createTreeNode(entity) {
+        const children = [...entity.children]
+            .map(child => this.createTreeNode(child))
+            .filter(Boolean);
+
+        if (children.length === 0 && !this.matchesFilter(entity)) {
+            return null;
+        }
+
+        const label = el('span', {
+            className: `ecs-inspector-node${entity === this.selected ? ' selected' : ''}`,
+            textContent: `${entity.name} #${entity.id}${entity.active ? '' : ' (inactive)'}`
+        });
+        label.addEventListener('click', () => this.select(entity));
+
+        const item = el('li', {}, [label, ...[...entity.tags].map(tag => el('span', {
+            className: 'ecs-inspector-tag',
+            textContent: tag
+        }))]);
+
+        if (children.length > 0) {
+            item.appendChild(el('ul', {}, children));
+        }
+        return item;
+    }
+
+    /**
+     * Check an entity against the tree filter
+     * @param {Entity} entity - The entity
+     * @returns {boolean} True if it matches
+     * @private
+     */
+    matchesFilter(entity) {
+        if (!this.filter) return true;
+        return entity.name.toLowerCase().includes(this.filter) ||
+            [...entity.tags].some(tag => tag.toLowerCase().includes(this.filter));
+    }
+
+    /**
+     * Draw the selected entity's details, tags, relations and components
+     * @private
+     */
+    renderEntity() {
+        const entity = this.selected;
+        this.entityPanel.replaceChildren();
+
+        if (!entity || entity.world !== this.world) {
+            this.entityPanel.textContent = entity ? `${entity.name} has left the world` : 'Click an entity to inspect it';
+            return;
+        }
+
+        const deactivateBtn = el('button', { textContent: 'Deactivate', disabled: !entity.active });
+        deactivateBtn.addEventListener('click', () => {
+            entity.deactivate();
+            this.render();
+        });
+
+        this.entityPanel.append(
+            el('div', { textContent: `${entity.name} #${entity.id}` }, [deactivateBtn]),
+            el('div', {
+                textContent: `network ID: ${entity.networkId ?? '-'}, owner: ${entity.owner ?? '-'}, ` +
+                    `authority: ${entity.authority}, parent: ${entity.parent ? entity.parent.name : '-'}`
+            }),
+            this.createTagEditor(entity),
+            this.createRelationList(entity),
+            ...[...entity.components].map(([name, component]) => this.createComponentEditor(name, component))
+        );
+    }
+
+    /**
+     * Create the tag list with add and remove controls
+     * @param {Entity} entity - The entity
+     * @returns {HTMLElement} Tag editor
+     * @private
+     */
+    createTagEditor(entity) {
+        const tags = [...entity.tags].map(tag => {
+            const removeBtn = el('button', { textContent: 'x', title: `Remove tag ${tag}` });
+            removeBtn.addEventListener('click', () => {
+                entity.removeTag(tag);
+                this.render();
+            });
+            return el('span', { className: 'ecs-inspector-tag', textContent: tag }, [removeBtn]);
+        });
+
+        const tagInput = el('input', { type: 'text', placeholder: 'New tag' });
+        tagInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && tagInput.value.trim()) {
+                entity.addTag(tagInput.value.trim());
+                tagInput.blur();
+                this.render();
+            }
+        });
+
+        return el('div', { className: 'ecs-inspector-field' }, [el('label', { textContent: 'Tags' }), ...tags, tagInput]);
+    }
+
+    /**
+     * Create the list of the entity's relations, linking to the related entities
+     * @param {Entity} entity - The entity
+     * @returns {HTMLElement} Relation list
+     * @private
+     */
+    createRelationList(entity) {
+        const rows = [];
+        for (const [type, targets] of entity.relations) {
+            rows.push(el('div', {}, [`${type}: `, ...[...targets].map(target => this.createEntityLink(target))]));
+        }
+        for (const [type, sources] of entity.relatedBy) {
+            rows.push(el('div', {}, [`${type} (from): `, ...[...sources].map(source => this.createEntityLink(source))]));
+        }
+        return el('div', {}, rows);
+    }
+
+    /**
+     * Create a link that selects an entity
+     * @param {Entity} entity - Entity to link to
+     * @returns {HTMLElement} Link element
+     * @private
+     */
+    createEntityLink(entity) {
+        const link = el('span', { className: 'ecs-inspector-node', textContent: `${entity.name} #${entity.id}` });
+        link.addEventListener('click', () => this.select(entity));
+        return link;
+    }
+
+    /**
+     * Create an editor for a component's serialized fields
+     * Edits are applied through component.deserialize, so schema validation still applies
+     * @param {string} name - Component type name
+     * @param {Component} component - The component
+     * @returns {HTMLElement} Component editor
+     * @private
+     */
+    createComponentEditor(name, component) {
+        const error = el('div', { className: 'ecs-inspector-error' });
+        const apply = (fieldName, value) => {
+            try {
+                component.deserialize({ [fieldName]: value }, { partial: true });
+                error.textContent = '';
+            } catch (e) {
+                error.textContent = e.message;
+            }
+        };
+
+        const data = component.serialize();
+        const fields = Object.keys(data).map(fieldName =>
+            el('div', { className: 'ecs-inspector-field' }, [
+                el('label', { textContent: fieldName }),
+                ...createFieldInputs(data[fieldName], value => apply(fieldName, value))
+            ])
+        );
+
+        return el('fieldset', {}, [el('legend', { textContent: name }), ...fields, error]);
+    }
+
+    /**
+     * Draw the systems table with enable/disable toggles
+     * @private
+     */
+    renderSystems() {
+        this.systemsTable.replaceChildren();
+        if (!this.world) return;
+
+        for (const system of this.world.systems) {
+            const toggle = el('input', { type: 'checkbox', checked: system.enabled });
+            toggle.addEventListener('change', () => {
+                system.enabled = toggle.checked;
+            });
+
+            this.systemsTable.appendChild(el('tr', {}, [
+                el('td', {}, [toggle]),
+                el('td', { textContent: system.name }),
+                el('td', { textContent: system.phase }),
+                el('td', { textContent: `${system.entities.size} entities` })
+            ]));
+        }
+    }
+
+    /**
+     * Add a world event to the log
+     * @param {string} eventName - Event name
+     * @param {Array} args - Event arguments
+     * @private
+     */
+    recordEvent(eventName, args) {
+        if (!this.showPerTickEvents && PER_TICK_EVENTS.has(eventName)) return;
+
+        const tick = this.world ? this.world.tick : 0;
+        this.events.unshift(`[${tick}] ${eventName} ${args.map(describeValue).join(', ')}`);
+        if (this.events.length > this.maxEvents) {
+            this.events.length = this.maxEvents;
+        }
+    }
+
+    /**
+     * Draw the event log
+     * @private
+     */
+    renderEvents() {
+        this.eventLog.textContent = this.events.join('\n');
+    }
+}
+
+/**
+ * Show an inspector for a world in a panel floating over the page
+ * Used by the game page when opened with ?inspector
+ * @param {World} world - The world to inspect
+ * @param {Object} [options] - Inspector options (see WorldInspector)
+ * @returns {WorldInspector} The inspector
+ */
+export function mountInspector(world, options = {}) {
+    const container = el('div', { className: 'ecs-inspector-floating' });
+    document.body.appendChild(container);
+
+    const inspector = new WorldInspector(container, options);
+    inspector.attach(world);
+    return inspector;
+}
+
+/**
+ * Create inputs for one serialized field value
+ * Numbers, booleans and strings get a single input; flat objects such as
+ * {x, y, z} get one input per key; anything else is edited as JSON
+ * @param {*} value - Serialized field value
+ * @param {Function} onChange - Called with the new field value
+ * @returns {Array<HTMLElement>} Input elements
+ */
+function createFieldInputs(value, onChange) {
+    if (isFlatObject(value)) {
+        return Object.keys(value).map(key => {
+            const [input] = createFieldInputs(value[key], keyValue => {
+                value = { ...value, [key]: keyValue };
+                onChange(value);
+            });
+            input.title = key;
+            return input;
+        });
+    }
+
+    let input;
+    if (typeof value === 'number') {
+        input = el('input', { type: 'number', step: 'any', value: String(Math.round(value * 1e4) / 1e4) });
+        input.addEventListener('change', () => onChange(Number(input.value)));
+    } else if (typeof value === 'boolean') {
+        input = el('input', { type: 'checkbox', checked: value });
+        input.addEventListener('change', () => onChange(input.checked));
+    } else if (typeof value === 'string') {
+        input = el('input', { type: 'text', value });
+        input.addEventListener('change', () => onChange(input.value));
+    } else {
+        input = el('textarea', { value: JSON.stringify(value) });
+        input.addEventListener('change', () => {
+            try {
+                onChange(JSON.parse(input.value));
+                input.classList.remove('ecs-inspector-error');
+            } catch (e) {
+                input.classList.add('ecs-inspector-error');
+            }
+        });
+    }
+    return [input];
+}
+
+/**
+ * Check if a value is an object of only numbers, booleans and strings
+ * @param {*} value - Value to check
+ * @returns {boolean} True for flat objects like {x, y, z}
+ */
+function isFlatObject(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+
+    const values = Object.values(value);
+    return values.length > 0 && values.every(item => ['number', 'boolean', 'string'].includes(typeof item));
+}
+
+/**
+ * Describe an event argument for the event log
+ * @param {*} value - Event argument
+ * @returns {string} Short description
+ */
+function describeValue(value) {
+    if (value instanceof Entity) return `${value.name}#${value.id}`;
+    if (value instanceof System) return value.name;
+    if (value instanceof Component) return value.constructor.name;
+    if (value === null || value === undefined) return String(value);
+    if (typeof value !== 'object') return String(value);
+    if (typeof value.name === 'string') return value.name; // Plugins, worlds
+    return value.constructor ? value.constructor.name : 'Object';
+}
+
+/**
+ * Create a DOM element
+ * @param {string} tag - Tag name
+ * @param {Object} [props] - Properties assigned to the element
+ * @param {Array<HTMLElement|string>} [children] - Child nodes or text
+ * @returns {HTMLElement} The element
+ */
+function el(tag, props = {}, children = []) {
+    const element = Object.assign(document.createElement(tag), props);
+    element.append(...children);
+    return element;
+}
+
+/**
+ * Add the inspector's stylesheet to the page once
+ */
+function injectStyles() {
+    if (document.getElementById('ecs-inspector-styles')) return;
+
+    const style = el('style', { id: 'ecs-inspector-styles', textContent: INSPECTOR_STYLES });
+    document.head.appendChild(style);
+}
@@ -4,6 +4,9 @@ import { TransformComponent } from '/shared/components/index.js';
 
 // Socket.io is loaded globally from CDN
 
+// Inputs sent per click of Move: half a second of movement at a 20/s simulation rate
+const MOVE_INPUTS_PER_CLICK = 10;
+
 // --- DOM Elements ---
 
 // Connection Tab
@@ -62,6 +65,7 @@ let socket = null;
 let username = `User_${Math.floor(Math.random() * 1000)}`;
 let currentChannelId = null;
 let selectedRoomId = null;
+let inputSequence = 0; // Last movement input sent; the server only applies increasing sequences
 
 // --- Logging ---
 function log(message, data = null) {
@@ -87,7 +91,8 @@ function connectToServer() {
         
         // Connect to the Socket.IO server
         // Using the default connection (no URL) which connects to the host that serves the page
-        socket = io();
+        // Ask for entity_entered/entity_left, since this page doesn't apply deltas
+        socket = io({ auth: { interestEvents: true } });
         
         // Update UI
         connectionStatus.textContent = 'Connecting...';
@@ -102,7 +107,6 @@ function connectToServer() {
         socket.on('server_tick', handleServerTick);
         socket.on('player_joined', handlePlayerJoined);
         socket.on('player_disconnected', handlePlayerDisconnected);
-        socket.on('player_moved', handlePlayerMoved);
         socket.on('player_action', handlePlayerAction);
         
         // Chat event handlers
@@ -124,6 +128,8 @@ function connectToServer() {
         socket.on('entity_added', handleEntityAdded);
         socket.on('entity_deleted', handleEntityDeleted);
         socket.on('entity_removed', handleEntityRemoved);
+        socket.on('entity_entered', handleEntityEntered);
+        socket.on('entity_left', handleEntityLeft);
         socket.on('interaction_error', handleInteractionError);
         socket.on('entity_error', handleEntityError);
         
@@ -142,6 +148,9 @@ function handleConnect() {
     connectionStatus.style.color = 'green';
     socketId.textContent = socket.id;
     
+    // A new connection gets a new player, which expects inputs from sequence 1
+    inputSequence = 0;
+    
     // Update UI
     connectBtn.disabled = true;
     disconnectBtn.disabled = false;
@@ -186,10 +195,6 @@ function handlePlayerDisconnected(data) {
     addChatMessage('system', `Player ${data.playerId} left the game.`);
 }
 
-function handlePlayerMoved(data) {
-    log('Player moved', data);
-}
-
 function handlePlayerAction(data) {
     log('Player action', data);
 }
@@ -278,6 +283,14 @@ function handleEntityRemoved(data) {
     log('Entity removed', data);
 }
 
+function handleEntityEntered(data) {
+    log('Entity entered view', data);
+}
+
+function handleEntityLeft(data) {
+    log('Entity left view', data);
+}
+
 function handleInteractionError(error) {
     log('Interaction error', error);
 }
@@ -362,14 +375,16 @@ moveBtn.addEventListener('click', () => {
         return;
     }
     
-    const moveData = {
-        x: parseFloat(posX.value) || 0,
-        y: parseFloat(posY.value) || 0,
-        z: parseFloat(posZ.value) || 0
+    // X and Z are a direction; the server moves the player one step per input at its own speed
+    const direction = {
+        x: Math.max(-1, Math.min(1, parseFloat(posX.value) || 0)),
+        z: Math.max(-1, Math.min(1, parseFloat(posZ.value) || 0))
     };
     
-    socket.emit('player_move', moveData);
-    log('Sent move request', moveData);
+    for (let i = 0; i < MOVE_INPUTS_PER_CLICK; i++) {
+        socket.emit('player_input', { sequence: ++inputSequence, ...direction });
+    }
+    log(`Sent ${MOVE_INPUTS_PER_CLICK} movement inputs`, direction);
 });
 
 actionBtn.addEventListener('click', () => {
@@ -519,18 +534,12 @@ createEntityBtn.addEventListener('click', () => {
         return;
     }
     
-    const type = entityType.value;
-    
     const entityData = {
-        type,
+        prefab: entityType.value,
         position: {
             x: parseFloat(posX.value) || 0,
             y: parseFloat(posY.value) || 0,
             z: parseFloat(posZ.value) || 0
-        },
-        properties: {
-            name: `${type}_${Date.now()}`,
-            createdBy: socket.id
         }
     };
     
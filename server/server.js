@@ -9,10 +9,16 @@ import { dirname, join } from 'path';
 import dotenv from 'dotenv';
 
 // Import socket handlers and utilities
-import { initializeSocketHandlers, broadcastGameState } from './socket/index.js';
-import { getSocketConfig } from './socket/config/socketConfig.js';
+import { initializeSocketHandlers } from './socket/index.js';
+import { getSocketConfig, getNetworkConfig, getRateLimitConfig } from './socket/config/socketConfig.js';
 import { RoomManager } from './socket/managers/roomManager.js';
+import { ReplicationManager } from './socket/managers/replicationManager.js';
+import { InterestManager } from './socket/managers/interestManager.js';
+import { RateLimiter } from './socket/managers/rateLimiter.js';
 import { SocketEventEmitter } from './socket/utils/eventEmitter.js';
+import { createServerWorld, logWorldStats } from './world/serverWorld.js';
+import { getWorldConfig } from './world/worldConfig.js';
+import { MovementValidator } from './world/movementValidator.js';
 
 // Load environment variables
 dotenv.config();
@@ -31,22 +37,29 @@ const io = new Server(httpServer, getSocketConfig());
 // Make io available to routes
 app.set('io', io);
 
-// Game state
-const gameState = {
-  entities: {},
-  worldObjects: {},
-  lastUpdate: Date.now()
-};
+// Authoritative game world; game logic runs as ECS systems
+const worldConfig = getWorldConfig();
+const movementValidator = new MovementValidator(worldConfig.movement);
+const world = createServerWorld(worldConfig, movementValidator);
+world.init();
 
-// Server tick rate (300ms)
-const TICK_RATE = 3000; // milliseconds
+// Server tick rate; clients size their interpolation delay from it
+const networkConfig = getNetworkConfig();
+const TICK_RATE = networkConfig.tickInterval; // milliseconds
+
+// Simulation runs on its own, faster loop; the world steps in fixed increments
+const SIMULATION_INTERVAL = 1000 / worldConfig.simulationRate; // milliseconds
 
 // Initialize socket managers and utilities
 const roomManager = new RoomManager(io);
 const eventEmitter = new SocketEventEmitter(io);
+const interestManager = new InterestManager(world, networkConfig);
+const replicationManager = new ReplicationManager(world, networkConfig, interestManager);
+const rateLimitConfig = getRateLimitConfig();
+const rateLimiter = new RateLimiter(rateLimitConfig);
 
 // Initialize socket handlers
-initializeSocketHandlers(io, gameState);
+initializeSocketHandlers(io, world, replicationManager, movementValidator, interestManager, rateLimiter);
 
 // Initialize room manager
 roomManager.initialize();
@@ -54,6 +67,8 @@ roomManager.initialize();
 // Make managers available to routes
 app.set('roomManager', roomManager);
 app.set('eventEmitter', eventEmitter);
+app.set('world', world);
+app.set('rateLimiter', rateLimiter);
 
 // Serve static files from the client directory
 app.use(express.static(join(__dirname, '../client')));
@@ -91,24 +106,47 @@ httpServer.listen(PORT, () => {
   startServerTick();
 });
 
-// Server tick function - runs every TICK_RATE ms (300ms)
+// Server tick function - runs every TICK_RATE ms
 function startServerTick() {
   console.log(`Starting server tick loop with rate: ${TICK_RATE}ms`);
+  console.log(`Starting simulation at ${worldConfig.simulationRate} steps per second`);
+  
+  // Run the world's systems; update() turns elapsed time into fixed steps
+  const simulationInterval = setInterval(() => {
+    world.update(performance.now() / 1000);
+  }, SIMULATION_INTERVAL);
   
   // Set up the interval for server ticks
   const tickInterval = setInterval(() => {
-    // Update game state timestamp
-    gameState.lastUpdate = Date.now();
+    // Work out what each client can see; entities entering or leaving view are announced
+    interestManager.update();
     
-    // Use the broadcast utility to send game state to all clients
-    broadcastGameState(io, gameState);
+    // Stream entity deltas to game clients; full state only goes out on join and on request
+    replicationManager.broadcast();
     
     // Log server tick (uncomment for debugging)
-    // console.log('Server tick:', gameState);
+    // console.log('Server tick:', world.tick);
   }, TICK_RATE);
   
-  // Store the interval reference for cleanup
+  // Periodically report per-system timings when profiling is enabled
+  if (worldConfig.profileReportInterval > 0) {
+    const statsInterval = setInterval(() => {
+      logWorldStats(world);
+    }, worldConfig.profileReportInterval * 1000);
+    app.set('statsInterval', statsInterval);
+  }
+  
+  // Periodically report dropped events so floods show up in the logs
+  if (rateLimitConfig.reportInterval > 0) {
+    const rateLimitInterval = setInterval(() => {
+      rateLimiter.logReport();
+    }, rateLimitConfig.reportInterval * 1000);
+    app.set('rateLimitInterval', rateLimitInterval);
+  }
+  
+  // Store the interval references for cleanup
   app.set('tickInterval', tickInterval);
+  app.set('simulationInterval', simulationInterval);
 }
 
 // Handle process termination gracefully
@@ -122,6 +160,22 @@ process.on('SIGINT', () => {
     console.log('Server tick loop stopped');
   }
   
+  const statsInterval = app.get('statsInterval');
+  if (statsInterval) {
+    clearInterval(statsInterval);
+  }
+  
+  const rateLimitInterval = app.get('rateLimitInterval');
+  if (rateLimitInterval) {
+    clearInterval(rateLimitInterval);
+  }
+  
+  const simulationInterval = app.get('simulationInterval');
+  if (simulationInterval) {
+    clearInterval(simulationInterval);
+    world.stop();
+  }
+  
   // Close all socket connections
   io.close(() => {
     console.log('Socket.io connections closed');
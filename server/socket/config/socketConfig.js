@@ -74,29 +74,119 @@ export function getNamespaceConfig() {
 
 /**
  * Get event throttling configuration
+ * Each client gets a token bucket per event: it refills at limit per window and
+ * holds up to burst tokens, so short bursts pass but the long-run rate can't exceed limit
  * @returns {Object} Event throttling configuration
  */
 export function getEventThrottleConfig() {
   return {
     'chat_message': {
       limit: 30,      // 30 messages per minute
-      window: 60000   // 1 minute window
+      window: 60000,  // 1 minute window
+      burst: 5        // 5 messages in quick succession
     },
-    'player_move': {
-      limit: 120,     // 120 movements per minute (2 per second)
-      window: 60000   // 1 minute window
+    'player_input': {
+      limit: 1500,    // 1500 inputs per minute (one per simulation step at 20/s, with headroom)
+      window: 60000,  // 1 minute window
+      burst: 60       // Inputs buffered during a lag spike arrive together
     },
     'player_action': {
       limit: 60,      // 60 actions per minute (1 per second)
-      window: 60000   // 1 minute window
+      window: 60000,  // 1 minute window
+      burst: 5
     },
     'interact_object': {
       limit: 30,      // 30 interactions per minute
-      window: 60000   // 1 minute window
+      window: 60000,  // 1 minute window
+      burst: 5
+    },
+    'create_entity': {
+      limit: 10,      // 10 new entities per minute
+      window: 60000,  // 1 minute window
+      burst: 3
+    },
+    'delete_entity': {
+      limit: 20,      // 20 deletions per minute
+      window: 60000,  // 1 minute window
+      burst: 5
+    },
+    'request_world_state': {
+      limit: 10,      // 10 full state requests per minute
+      window: 60000,  // 1 minute window
+      burst: 2
+    },
+    'delta_ack': {
+      limit: 1500,    // One per server tick, with headroom for fast tick rates
+      window: 60000,  // 1 minute window
+      burst: 30
     },
     'default': {
       limit: 60,      // Default limit
-      window: 60000   // 1 minute window
+      window: 60000,  // 1 minute window
+      burst: 10
     }
   };
 }
+
+/**
+ * Get rate limit escalation configuration
+ * Events over their limit are always dropped; repeated violations escalate
+ * @param {Object} env - Environment variables
+ * @returns {Object} Rate limit escalation configuration
+ */
+export function getRateLimitConfig(env = process.env) {
+  return {
+    // Dropped events are counted over this window (ms) to decide the response
+    violationWindow: 60000,
+    
+    // Violations in the window before the client is warned, muted and disconnected
+    warnAfter: 5,
+    muteAfter: 20,
+    disconnectAfter: 50,
+    
+    // How long a muted client's events are all dropped (ms)
+    muteDuration: parseInt(env.RATE_LIMIT_MUTE_DURATION || '10000', 10),
+    
+    // Log rate limit metrics every N seconds when anything was dropped (0 disables)
+    reportInterval: parseInt(env.RATE_LIMIT_REPORT_INTERVAL || '60', 10)
+  };
+}
+
+/**
+ * Get network encoding configuration
+ * @param {Object} env - Environment variables
+ * @returns {Object} Network encoding configuration
+ */
+export function getNetworkConfig(env = process.env) {
+  return {
+    // Milliseconds between server ticks (entity deltas and game state broadcasts)
+    tickInterval: parseInt(env.TICK_INTERVAL || '3000', 10),
+    
+    // Clients only hear about entities within this distance of their player
+    interestRadius: parseFloat(env.INTEREST_RADIUS || '100'),
+    
+    // Extra distance a visible entity may move away before it is dropped
+    interestHysteresis: parseFloat(env.INTEREST_HYSTERESIS || '10'),
+    
+    // Send server ticks as binary deltas ('server_delta_bin') instead of JSON ('server_delta')
+    binaryTicks: env.BINARY_TICKS === 'true',
+    
+    // Log JSON vs binary payload sizes every N ticks (0 disables)
+    bandwidthReportInterval: parseInt(env.BANDWIDTH_REPORT_INTERVAL || '0', 10)
+  };
+}
+
+/**
+ * Get configuration for entities clients create with 'create_entity'
+ * @param {Object} env - Environment variables
+ * @returns {Object} Entity creation configuration
+ */
+export function getEntityConfig(env = process.env) {
+  return {
+    // Prefabs clients may spawn (see server/world/prefabs); only inert props by default
+    creatablePrefabs: (env.CREATABLE_PREFABS || 'crate,barrel').split(',').map(id => id.trim()).filter(Boolean),
+    
+    // Furthest from their own player (in units) a client may place an entity
+    maxSpawnDistance: parseFloat(env.MAX_SPAWN_DISTANCE || '10')
+  };
+}
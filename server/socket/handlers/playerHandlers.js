@@ -1,6 +1,9 @@
 // server/socket/handlers/playerHandlers.js
 // Handles all player-related socket events
 
+import { getPlayerEntity, playerToJSON, serializeGameState, spawnPlayer } from '../../world/serverWorld.js';
+import { broadcastNear, broadcastToInterested } from '../managers/interestManager.js';
+
 /**
  * Set up player-related socket event handlers
  * @param {Server} io - The Socket.IO server instance
@@ -8,121 +11,122 @@
  */
 export default function playerHandlers(io, socket) {
   const playerId = socket.id;
-  const gameState = socket.gameState;
-  
+  const world = socket.world;
+  const movementValidator = socket.movementValidator;
+  const interest = socket.interest;
+
   // Initialize player entity if it doesn't exist
-  if (!gameState.entities[playerId]) {
-    gameState.entities[playerId] = {
-      id: playerId,
-      position: { x: 0, y: 0, z: 0 },
-      rotation: { x: 0, y: 0, z: 0 },
-      scale: { x: 1, y: 1, z: 1 },
-      lastUpdate: Date.now()
-    };
-  }
-  
-  // Send initial state to the client
-  socket.emit('server_tick', gameState);
-  
-  // Notify other players about the new player
-  socket.broadcast.emit('player_joined', {
+  const player = spawnPlayer(world, playerId);
+
+  // Send initial state to the client, limited to what it can see from its spawn point
+  const visible = interest ? interest.refresh(playerId) : null;
+  socket.emit('server_tick', serializeGameState(world, visible));
+
+  // Notify nearby players about the new player
+  const spawnPosition = playerToJSON(player).position;
+  broadcastNear(socket, spawnPosition, 'player_joined', {
     playerId,
-    position: gameState.entities[playerId].position
+    position: spawnPosition
   });
-  
-  // Handle player movement
-  socket.on('player_move', handlePlayerMove);
-  
+
+  // Handle sequence-numbered movement inputs (predicted by the client)
+  socket.on('player_input', handlePlayerInput);
+
   // Handle player action
   socket.on('player_action', handlePlayerAction);
-  
+
   // Handle player state update
   socket.on('player_state', handlePlayerState);
-  
+
   /**
-   * Handle player movement updates
-   * @param {Object} moveData - Movement data from client
+   * Queue a movement input for the MovementSystem
+   * The applied sequence is replicated back in MovementComponent.lastSequence
+   * @param {Object} input - { sequence, x, z } from the client
    */
-  function handlePlayerMove(moveData) {
-    console.log(`Player ${playerId} move request:`, moveData);
-    
-    // Update player position in game state
-    if (gameState.entities[playerId]) {
-      gameState.entities[playerId].position = {
-        x: moveData.x || gameState.entities[playerId].position.x,
-        y: moveData.y || gameState.entities[playerId].position.y,
-        z: moveData.z || gameState.entities[playerId].position.z
-      };
-      
-      // Update rotation if provided
-      if (moveData.rotation) {
-        gameState.entities[playerId].rotation = {
-          x: moveData.rotation.x || gameState.entities[playerId].rotation.x,
-          y: moveData.rotation.y || gameState.entities[playerId].rotation.y,
-          z: moveData.rotation.z || gameState.entities[playerId].rotation.z
-        };
+  function handlePlayerInput(input) {
+    const entity = getPlayerEntity(world, playerId);
+    if (!entity) return;
+
+    if (!entity.getComponent('MovementComponent').queueInput(input)) {
+      socket.emit('player_error', { error: 'Input rejected', sequence: input && input.sequence });
+
+      // Well-behaved clients never send malformed, replayed or flooding inputs
+      if (movementValidator && movementValidator.recordViolation(playerId)) {
+        console.warn(`Player ${playerId} flagged for repeated rejected inputs`);
+        world.emit('playerFlagged', entity, 'input');
       }
-      
-      gameState.entities[playerId].lastUpdate = Date.now();
-      
-      // Broadcast movement to other players for immediate feedback
-      socket.broadcast.emit('player_moved', {
-        playerId,
-        position: gameState.entities[playerId].position,
-        rotation: gameState.entities[playerId].rotation
-      });
     }
   }
-  
+
   /**
    * Handle player actions (jumping, attacking, etc.)
    * @param {Object} actionData - Action data from client
    */
   function handlePlayerAction(actionData) {
     console.log(`Player ${playerId} action:`, actionData);
-    
+
+    const entity = getPlayerEntity(world, playerId);
+    if (!entity || !actionData) return;
+
+    const position = playerToJSON(entity).position;
+
     // Process the action based on type
     switch (actionData.type) {
       case 'jump':
         // Handle jump action
-        socket.broadcast.emit('player_action', {
+        broadcastToInterested(socket, playerId, 'player_action', {
           playerId,
           action: 'jump',
-          position: gameState.entities[playerId].position
+          position
         });
         break;
-        
+
       case 'attack':
         // Handle attack action
-        socket.broadcast.emit('player_action', {
+        broadcastToInterested(socket, playerId, 'player_action', {
           playerId,
           action: 'attack',
           target: actionData.target,
-          position: gameState.entities[playerId].position
+          position
         });
         break;
-        
+
       default:
         console.log(`Unknown action type: ${actionData.type}`);
     }
   }
-  
+
   /**
    * Handle player state updates (health, inventory, etc.)
    * @param {Object} stateData - State data from client
    */
   function handlePlayerState(stateData) {
     console.log(`Player ${playerId} state update:`, stateData);
-    
-    // Update player state in game state
-    if (gameState.entities[playerId]) {
-      // Merge the new state data with existing state
-      gameState.entities[playerId] = {
-        ...gameState.entities[playerId],
-        ...stateData,
-        id: playerId, // Ensure ID doesn't get overwritten
+
+    const entity = getPlayerEntity(world, playerId);
+    if (!entity || !stateData || typeof stateData !== 'object') return;
+
+    // Scale goes to the transform; everything else is merged into the player's state
+    const { position, rotation, scale, id, inventory, lastUpdate, ...state } = stateData;
+
+    // Position and rotation only change through 'player_input'; the rest of the update still applies
+    if (position !== undefined || rotation !== undefined) {
+      socket.emit('player_error', { error: 'Position and rotation are set by player_input' });
+    }
+
+    const transformUpdate = {};
+    if (scale !== undefined) transformUpdate.scale = scale;
+
+    const playerComponent = entity.getComponent('PlayerComponent');
+
+    try {
+      entity.getComponent('TransformComponent').deserialize(transformUpdate, { partial: true });
+      playerComponent.deserialize({
+        state: { ...playerComponent.state, ...state },
         lastUpdate: Date.now()
-      };
+      }, { partial: true });
+    } catch (error) {
+      socket.emit('player_error', { error: error.message });
     }
   }
 }
@@ -1,6 +1,16 @@
 // server/socket/handlers/worldHandlers.js
 // Handles all world-related socket events
 
+import { Entity } from '../../../shared/core/index.js';
+import {
+  getPlayerEntity,
+  getWorldObjectEntity,
+  serializeGameState,
+  worldObjectToJSON
+} from '../../world/serverWorld.js';
+import { getEntityConfig } from '../config/socketConfig.js';
+import { broadcastNear, broadcastToInterested } from '../managers/interestManager.js';
+
 /**
  * Set up world-related socket event handlers
  * @param {Server} io - The Socket.IO server instance
@@ -8,7 +18,11 @@
  */
 export default function worldHandlers(io, socket) {
   const playerId = socket.id;
-  const gameState = socket.gameState;
+  const world = socket.world;
+  const movementValidator = socket.movementValidator;
+  const interest = socket.interest;
+  const entityConfig = getEntityConfig();
+  const creatablePrefabs = new Set(entityConfig.creatablePrefabs);
   
   // Handle world interaction events
   socket.on('interact_object', handleObjectInteraction);
@@ -64,8 +78,8 @@ export default function worldHandlers(io, socket) {
    */
   function handleItemPickup(interactionData) {
     // Check if the object exists in the world
-    const worldObject = gameState.worldObjects?.[interactionData.objectId];
-    if (!worldObject) {
+    const objectEntity = getWorldObjectEntity(world, interactionData.objectId);
+    if (!objectEntity) {
       socket.emit('interaction_error', { 
         error: 'Object not found',
         objectId: interactionData.objectId
@@ -73,6 +87,8 @@ export default function worldHandlers(io, socket) {
       return;
     }
     
+    const worldObject = objectEntity.getComponent('WorldObjectComponent');
+    
     // Check if the object is pickable
     if (!worldObject.pickable) {
       socket.emit('interaction_error', { 
@@ -82,18 +98,20 @@ export default function worldHandlers(io, socket) {
       return;
     }
     
+    const playerEntity = getPlayerEntity(world, playerId);
+    if (!playerEntity) return;
+    
     // Remove the object from the world
-    delete gameState.worldObjects[interactionData.objectId];
+    objectEntity.deactivate();
     
     // Add the item to player inventory (simplified)
-    if (!gameState.entities[playerId].inventory) {
-      gameState.entities[playerId].inventory = [];
-    }
-    gameState.entities[playerId].inventory.push({
+    const playerComponent = playerEntity.getComponent('PlayerComponent');
+    playerComponent.inventory.push({
       id: interactionData.objectId,
       type: worldObject.type,
       properties: worldObject.properties
     });
+    playerComponent.markChanged();
     
     // Notify the player
     socket.emit('pickup_success', {
@@ -105,8 +123,8 @@ export default function worldHandlers(io, socket) {
       }
     });
     
-    // Notify other players
-    socket.broadcast.emit('object_removed', {
+    // Notify other players who could see the object
+    broadcastToInterested(socket, interactionData.objectId, 'object_removed', {
       objectId: interactionData.objectId,
       reason: 'pickup',
       playerId
@@ -122,7 +140,7 @@ export default function worldHandlers(io, socket) {
     // This is a simplified example
     
     // Notify all nearby players about the object use
-    io.emit('object_used', {
+    emitAboutObject(interactionData.objectId, 'object_used', {
       objectId: interactionData.objectId,
       playerId,
       effects: interactionData.effects || []
@@ -138,20 +156,37 @@ export default function worldHandlers(io, socket) {
     // This is a simplified example
     
     // Update object state in the game world
-    if (gameState.worldObjects?.[interactionData.objectId]) {
-      gameState.worldObjects[interactionData.objectId].activated = true;
-      gameState.worldObjects[interactionData.objectId].lastActivatedBy = playerId;
-      gameState.worldObjects[interactionData.objectId].lastActivatedTime = Date.now();
+    const objectEntity = getWorldObjectEntity(world, interactionData.objectId);
+    if (objectEntity) {
+      objectEntity.getComponent('WorldObjectComponent').deserialize({
+        activated: true,
+        lastActivatedBy: playerId,
+        lastActivatedTime: Date.now()
+      }, { partial: true });
     }
     
-    // Notify all players about the object activation
-    io.emit('object_activated', {
+    // Notify all players who can see the object about the activation
+    emitAboutObject(interactionData.objectId, 'object_activated', {
       objectId: interactionData.objectId,
       playerId,
       timestamp: Date.now()
     });
   }
   
+  /**
+   * Send an object event to every player who can see the object, including this one
+   * @param {string} objectId - World object ID
+   * @param {string} eventName - Event name
+   * @param {Object} payload - Event payload
+   */
+  function emitAboutObject(objectId, eventName, payload) {
+    if (interest) {
+      interest.emitToInterested(objectId, eventName, payload);
+    } else {
+      io.emit(eventName, payload);
+    }
+  }
+  
   /**
    * Handle requests for world state
    * @param {Object} requestData - Request data from client
@@ -159,11 +194,12 @@ export default function worldHandlers(io, socket) {
   function handleWorldStateRequest(requestData) {
     console.log(`Player ${playerId} requesting world state:`, requestData);
     
-    // Create a response with the current world state
-    // This could be filtered based on player position, visibility, etc.
+    // Create a response with the part of the world state this player can see
+    const visible = interest ? interest.getVisible(playerId) : null;
+    const { entities, worldObjects } = serializeGameState(world, visible);
     const worldStateResponse = {
-      entities: gameState.entities,
-      worldObjects: gameState.worldObjects || {},
+      entities,
+      worldObjects,
       timestamp: Date.now()
     };
     
@@ -178,32 +214,50 @@ export default function worldHandlers(io, socket) {
   function handleEntityCreation(entityData) {
     console.log(`Player ${playerId} creating entity:`, entityData);
     
-    // Validate entity data
-    if (!entityData.type) {
-      socket.emit('entity_error', { error: 'Entity type is required' });
+    // Clients pick a prefab from the allowlist; its template decides what the entity is
+    const prefabId = entityData && entityData.prefab;
+    if (!creatablePrefabs.has(prefabId) || !world.prefabs.has(prefabId)) {
+      socket.emit('entity_error', { error: 'Unknown prefab', prefab: prefabId });
       return;
     }
     
-    // Generate a unique ID for the entity
-    const entityId = `entity_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const player = getPlayerEntity(world, playerId);
+    if (!player) {
+      socket.emit('entity_error', { error: 'Player not found' });
+      return;
+    }
     
-    // Create the entity in the game state
-    const newEntity = {
-      id: entityId,
-      type: entityData.type,
-      position: entityData.position || { x: 0, y: 0, z: 0 },
-      rotation: entityData.rotation || { x: 0, y: 0, z: 0 },
-      scale: entityData.scale || { x: 1, y: 1, z: 1 },
-      properties: entityData.properties || {},
-      createdBy: playerId,
-      createdAt: Date.now()
-    };
+    const spawn = getSpawnPosition(player.getComponent('TransformComponent').position, entityData.position);
+    if (spawn.error) {
+      socket.emit('entity_error', { error: spawn.error, prefab: prefabId });
+      return;
+    }
     
-    // Add to game state
-    if (!gameState.worldObjects) {
-      gameState.worldObjects = {};
+    // Only the placement comes from the client; schema validation rejects malformed rotations
+    let entity;
+    try {
+      entity = world.prefabs.instantiate(prefabId, {
+        networkId: world.createNetworkId('entity'),
+        components: {
+          TransformComponent: {
+            position: spawn.position,
+            rotation: entityData.rotation || { x: 0, y: 0, z: 0 }
+          },
+          WorldObjectComponent: {
+            createdAt: Date.now()
+          }
+        }
+      });
+    } catch (error) {
+      socket.emit('entity_error', { error: error.message });
+      return;
     }
-    gameState.worldObjects[entityId] = newEntity;
+    
+    // The creating player owns the object; the server still simulates it
+    entity.setOwner(playerId, Entity.AUTHORITY.SERVER);
+    world.addEntity(entity);
+    
+    const newEntity = worldObjectToJSON(entity);
     
     // Notify the creating player
     socket.emit('entity_created', {
@@ -211,12 +265,42 @@ export default function worldHandlers(io, socket) {
       entity: newEntity
     });
     
-    // Notify other players
-    socket.broadcast.emit('entity_added', {
+    // Notify players near the new entity
+    broadcastNear(socket, newEntity.position, 'entity_added', {
       entity: newEntity
     });
   }
   
+  /**
+   * Work out where a client-created entity goes
+   * Spawns default to the player's position, must be near the player and are kept
+   * inside the world bounds and out of blocked terrain like player moves
+   * @param {Object} from - The requesting player's position
+   * @param {Object} [requested] - Position the client asked for
+   * @returns {Object} { position } or { error }
+   */
+  function getSpawnPosition(from, requested) {
+    const target = requested || from;
+    if (!isVector(target)) {
+      return { error: 'Invalid spawn position' };
+    }
+    
+    const distance = Math.hypot(target.x - from.x, target.y - from.y, target.z - from.z);
+    if (distance > entityConfig.maxSpawnDistance) {
+      return { error: 'Spawn position too far away' };
+    }
+    
+    if (!movementValidator) {
+      return { position: { x: target.x, y: target.y, z: target.z } };
+    }
+    
+    const result = movementValidator.constrain(from, target);
+    if (result.reason === 'blocked') {
+      return { error: 'Spawn position is blocked' };
+    }
+    return { position: result.position };
+  }
+  
   /**
    * Handle entity deletion requests
    * @param {Object} deleteData - Delete data from client
@@ -231,7 +315,7 @@ export default function worldHandlers(io, socket) {
     }
     
     // Check if entity exists
-    const entity = gameState.worldObjects?.[deleteData.entityId];
+    const entity = getWorldObjectEntity(world, deleteData.entityId);
     if (!entity) {
       socket.emit('entity_error', { 
         error: 'Entity not found',
@@ -240,8 +324,8 @@ export default function worldHandlers(io, socket) {
       return;
     }
     
-    // Check permissions (only creator or admin can delete)
-    if (entity.createdBy !== playerId && !socket.isAdmin) {
+    // Check permissions (only owner or admin can delete)
+    if (!entity.isOwnedBy(playerId) && !socket.isAdmin) {
       socket.emit('entity_error', { 
         error: 'Permission denied',
         entityId: deleteData.entityId
@@ -250,7 +334,7 @@ export default function worldHandlers(io, socket) {
     }
     
     // Remove the entity
-    delete gameState.worldObjects[deleteData.entityId];
+    entity.deactivate();
     
     // Notify the deleting player
     socket.emit('entity_deleted', {
@@ -258,10 +342,19 @@ export default function worldHandlers(io, socket) {
       entityId: deleteData.entityId
     });
     
-    // Notify other players
-    socket.broadcast.emit('entity_removed', {
+    // Notify other players who could see the entity
+    broadcastToInterested(socket, deleteData.entityId, 'entity_removed', {
       entityId: deleteData.entityId,
       removedBy: playerId
     });
   }
 }
+
+/**
+ * Check that a value is an {x, y, z} of finite numbers
+ * @param {*} value - Value to check
+ * @returns {boolean} True if it can be used as a position or rotation
+ */
+function isVector(value) {
+  return Boolean(value) && ['x', 'y', 'z'].every(axis => Number.isFinite(value[axis]));
+}
@@ -5,51 +5,83 @@ import playerHandlers from './handlers/playerHandlers.js';
 import chatHandlers from './handlers/chatHandlers.js';
 import worldHandlers from './handlers/worldHandlers.js';
 import { setupMiddleware } from './middleware/socketMiddleware.js';
+import { getNetworkConfig } from './config/socketConfig.js';
+import { broadcastToInterested } from './managers/interestManager.js';
+import { RateLimiter } from './managers/rateLimiter.js';
+import { getPlayerEntity } from '../world/serverWorld.js';
 
 /**
  * Initialize all socket.io handlers and middleware
  * @param {Server} io - The Socket.IO server instance
- * @param {Object} gameState - The shared game state object
+ * @param {World} world - The authoritative server world
+ * @param {ReplicationManager} [replication] - Streams world deltas to clients
+ * @param {MovementValidator} [movementValidator] - Checks player moves; moves are trusted without one
+ * @param {InterestManager} [interest] - Limits what each client is sent to its surroundings
+ * @param {RateLimiter} [rateLimiter] - Limits the events each client sends
  */
-export function initializeSocketHandlers(io, gameState) {
+export function initializeSocketHandlers(io, world, replication = null, movementValidator = null, interest = null,
+  rateLimiter = new RateLimiter()) {
   console.log('Initializing socket handlers...');
   
   // Set up socket middleware
-  setupMiddleware(io);
+  setupMiddleware(io, rateLimiter);
   
   // Handle new connections
   io.on('connection', (socket) => {
     console.log(`New client connected: ${socket.id}`);
     
-    // Attach the game state to the socket for handlers to access
-    socket.gameState = gameState;
+    // Attach the world, movement rules and interest sets to the socket for handlers to access
+    socket.world = world;
+    socket.movementValidator = movementValidator;
+    socket.interest = interest;
+    
+    if (interest) {
+      // Only clients that ask for them get entity_entered/entity_left; deltas cover the rest
+      interest.addClient(socket, socket.handshake.auth.interestEvents === true);
+    }
+    
+    // Clients step their world at the server's rate so prediction replays match,
+    // and buffer remote entities for about one tick interval
+    socket.emit('world_config', {
+      simulationRate: world.simulationRate,
+      tickInterval: getNetworkConfig().tickInterval,
+      tick: world.tick
+    });
     
     // Register all handlers
     playerHandlers(io, socket);
     chatHandlers(io, socket);
     worldHandlers(io, socket);
     
+    if (replication) {
+      replication.addClient(socket);
+    }
+    
     // Handle disconnection
     socket.on('disconnect', () => {
       console.log(`Client disconnected: ${socket.id}`);
-      // Remove player from game state
-      if (gameState.entities && gameState.entities[socket.id]) {
-        delete gameState.entities[socket.id];
+      
+      if (replication) {
+        replication.removeClient(socket);
+      }
+      
+      if (interest) {
+        interest.removeClient(socket);
+      }
+      
+      if (movementValidator) {
+        movementValidator.removePlayer(socket.id);
+      }
+      
+      // Remove the player's entity from the world
+      const player = getPlayerEntity(world, socket.id);
+      if (player) {
+        player.deactivate();
         // Notify other clients about the disconnection
-        socket.broadcast.emit('player_disconnected', { playerId: socket.id });
+        broadcastToInterested(socket, socket.id, 'player_disconnected', { playerId: socket.id });
       }
     });
   });
   
   return io;
 }
-
-/**
- * Broadcast the current game state to all connected clients
- * @param {Server} io - The Socket.IO server instance
- * @param {Object} gameState - The current game state to broadcast
- */
-export function broadcastGameState(io, gameState) {
-  gameState.lastUpdate = Date.now();
-  io.emit('server_tick', gameState);
-}
@@ -0,0 +1,238 @@
+// server/socket/managers/interestManager.js
+// Tracks which entities each client can see, based on distance from its player
+
+import { getNetworkConfig } from '../config/socketConfig.js';
+import { getPlayerEntity } from '../../world/serverWorld.js';
+
+/**
+ * Interest Manager for limiting what each client is sent to its surroundings
+ */
+export class InterestManager {
+  /**
+   * Create a new InterestManager
+   * @param {World} world - The authoritative server world
+   * @param {Object} [config] - Network configuration (see getNetworkConfig)
+   * @param {number} config.interestRadius - Distance within which entities become visible
+   * @param {number} config.interestHysteresis - Extra distance before a visible entity is dropped,
+   *   so entities on the edge don't flicker in and out
+   */
+  constructor(world, config = getNetworkConfig()) {
+    this.world = world;
+    this.config = config;
+    this.clients = new Map(); // Socket ID -> { socket, visible: Set<networkId>, announce }
+  }
+
+  /**
+   * Start tracking a socket's interest set
+   * The set stays empty until the next update() or refresh()
+   * @param {Socket} socket - The client socket
+   * @param {boolean} [announce=false] - Send 'entity_entered'/'entity_left' as the set changes;
+   *   clients that apply deltas already learn this from created/destroyed
+   */
+  addClient(socket, announce = false) {
+    this.clients.set(socket.id, { socket, visible: new Set(), announce });
+  }
+
+  /**
+   * Stop tracking a socket
+   * @param {Socket} socket - The client socket
+   */
+  removeClient(socket) {
+    this.clients.delete(socket.id);
+  }
+
+  /**
+   * Recompute every client's interest set
+   * Call once per server tick, before anything is sent
+   */
+  update() {
+    const global = getGlobalEntities(this.world);
+    for (const client of this.clients.values()) {
+      this.updateClient(client, global);
+    }
+  }
+
+  /**
+   * Recompute one client's interest set now, e.g. once its player has spawned
+   * @param {string} socketId - Socket ID
+   * @returns {Set<string>|null} networkIds visible to the client, or null if the socket isn't tracked
+   */
+  refresh(socketId) {
+    const client = this.clients.get(socketId);
+    if (!client) return null;
+
+    this.updateClient(client);
+    return client.visible;
+  }
+
+  /**
+   * Recompute one client's interest set, telling it what entered and left if it asked to be told
+   * @param {Object} client - Tracked client
+   * @param {Array<Entity>} [global] - Networked entities without a position
+   * @private
+   */
+  updateClient(client, global = getGlobalEntities(this.world)) {
+    const previous = client.visible;
+    const visible = new Set();
+    const viewer = getPlayerEntity(this.world, client.socket.id);
+
+    if (viewer) {
+      const { interestRadius, interestHysteresis } = this.config;
+      const center = getPosition(viewer);
+      const inside = new Set(this.world.queryRadius(center, interestRadius));
+
+      // Entities already visible stay until they are past the outer radius
+      for (const entity of this.world.queryRadius(center, interestRadius + interestHysteresis)) {
+        if (entity.networkId === null) continue;
+        if (inside.has(entity) || previous.has(entity.networkId)) {
+          visible.add(entity.networkId);
+        }
+      }
+
+      visible.add(viewer.networkId);
+    }
+
+    for (const entity of global) {
+      visible.add(entity.networkId);
+    }
+
+    client.visible = visible;
+    if (!client.announce) return;
+
+    for (const networkId of visible) {
+      if (!previous.has(networkId)) {
+        const entity = this.world.getEntityByNetworkId(networkId);
+        client.socket.emit('entity_entered', {
+          networkId,
+          tags: [...entity.tags],
+          position: entity.hasComponent('TransformComponent') ? { ...getPosition(entity) } : null
+        });
+      }
+    }
+    for (const networkId of previous) {
+      if (!visible.has(networkId)) {
+        client.socket.emit('entity_left', { networkId });
+      }
+    }
+  }
+
+  /**
+   * Get the networkIds a client can currently see
+   * @param {string} socketId - Socket ID
+   * @returns {Set<string>|null} Visible networkIds, or null if the socket isn't tracked
+   */
+  getVisible(socketId) {
+    const client = this.clients.get(socketId);
+    return client ? client.visible : null;
+  }
+
+  /**
+   * Check if a client can see an entity
+   * @param {string} socketId - Socket ID
+   * @param {string} networkId - Entity network ID
+   * @returns {boolean} True if the entity is in the client's interest set
+   */
+  isVisible(socketId, networkId) {
+    const visible = this.getVisible(socketId);
+    return visible !== null && visible.has(networkId);
+  }
+
+  /**
+   * Send an event about an entity to every client that can see it
+   * @param {string} networkId - Entity the event is about
+   * @param {string} eventName - Event name
+   * @param {Object} payload - Event payload
+   * @param {string} [exceptId] - Socket ID to leave out, usually the sender
+   */
+  emitToInterested(networkId, eventName, payload, exceptId = null) {
+    for (const [socketId, client] of this.clients) {
+      if (socketId !== exceptId && client.visible.has(networkId)) {
+        client.socket.emit(eventName, payload);
+      }
+    }
+  }
+
+  /**
+   * Send an event to every client whose player is within view of a position
+   * For entities clients may not know about yet, such as a player that just joined
+   * @param {Object} position - Position {x, y, z} the event happened at
+   * @param {string} eventName - Event name
+   * @param {Object} payload - Event payload
+   * @param {string} [exceptId] - Socket ID to leave out, usually the sender
+   */
+  emitNear(position, eventName, payload, exceptId = null) {
+    const radiusSq = this.config.interestRadius * this.config.interestRadius;
+
+    for (const [socketId, client] of this.clients) {
+      const viewer = socketId !== exceptId ? getPlayerEntity(this.world, socketId) : null;
+      if (viewer && distanceSq(getPosition(viewer), position) <= radiusSq) {
+        client.socket.emit(eventName, payload);
+      }
+    }
+  }
+}
+
+/**
+ * Send an event about an entity to the other clients that can see it
+ * Without an InterestManager on the socket, every other client gets it
+ * @param {Socket} socket - The sending client's socket
+ * @param {string} networkId - Entity the event is about
+ * @param {string} eventName - Event name
+ * @param {Object} payload - Event payload
+ */
+export function broadcastToInterested(socket, networkId, eventName, payload) {
+  if (socket.interest) {
+    socket.interest.emitToInterested(networkId, eventName, payload, socket.id);
+  } else {
+    socket.broadcast.emit(eventName, payload);
+  }
+}
+
+/**
+ * Send an event to the other clients within view of a position
+ * Without an InterestManager on the socket, every other client gets it
+ * @param {Socket} socket - The sending client's socket
+ * @param {Object} position - Position {x, y, z} the event happened at
+ * @param {string} eventName - Event name
+ * @param {Object} payload - Event payload
+ */
+export function broadcastNear(socket, position, eventName, payload) {
+  if (socket.interest) {
+    socket.interest.emitNear(position, eventName, payload, socket.id);
+  } else {
+    socket.broadcast.emit(eventName, payload);
+  }
+}
+
+/**
+ * Get networked entities that have no position
+ * They aren't anywhere, so every client sees them
+ * @param {World} world - The server world
+ * @returns {Array<Entity>} Active networked entities without a TransformComponent
+ */
+function getGlobalEntities(world) {
+  return world.entities.filter(entity =>
+    entity.active && entity.networkId !== null && !entity.hasComponent('TransformComponent'));
+}
+
+/**
+ * Get an entity's position in world space
+ * @param {Entity} entity - Entity with a TransformComponent
+ * @returns {Object} Position {x, y, z}
+ */
+function getPosition(entity) {
+  return entity.parent ? entity.getWorldPosition() : entity.getComponent('TransformComponent').position;
+}
+
+/**
+ * Squared distance between two positions
+ * @param {Object} a - First position {x, y, z}
+ * @param {Object} b - Second position {x, y, z}
+ * @returns {number} Squared distance
+ */
+function distanceSq(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return dx * dx + dy * dy + dz * dz;
+}
@@ -0,0 +1,285 @@
+// server/socket/managers/rateLimiter.js
+// Throttles the events each client sends, escalating against clients that keep flooding
+
+import { getEventThrottleConfig, getRateLimitConfig } from '../config/socketConfig.js';
+
+/**
+ * Rate Limiter for inbound socket events
+ * Every socket gets a token bucket per event type (see getEventThrottleConfig).
+ * Events without a token are dropped; repeated drops warn, then temporarily
+ * mute, then disconnect the client (see getRateLimitConfig).
+ */
+export class RateLimiter {
+  /**
+   * Create a new RateLimiter
+   * @param {Object} [config] - Escalation configuration (see getRateLimitConfig)
+   * @param {Object} [throttle] - Per-event limits (see getEventThrottleConfig)
+   */
+  constructor(config = getRateLimitConfig(), throttle = getEventThrottleConfig()) {
+    this.config = config;
+    this.throttle = throttle;
+    this.sockets = new Map(); // Socket ID -> { socket, buckets, violations, mutedUntil, disconnected }
+    this.metrics = createMetrics();
+    this.reportedMetrics = createMetrics(); // Totals at the last report, for per-interval numbers
+  }
+
+  /**
+   * Start limiting a socket's events
+   * @param {Socket} socket - The client socket
+   */
+  addSocket(socket) {
+    this.sockets.set(socket.id, {
+      socket,
+      buckets: new Map(), // Event name -> { tokens, updatedAt }
+      violations: [], // Timestamps of dropped events
+      mutedUntil: 0,
+      disconnected: false
+    });
+  }
+
+  /**
+   * Stop tracking a disconnected socket
+   * @param {Socket} socket - The client socket
+   */
+  removeSocket(socket) {
+    this.sockets.delete(socket.id);
+  }
+
+  /**
+   * Check an incoming event and take a token for it
+   * Events that are refused count as violations and may escalate. Events dropped
+   * while muted are only counted, so escalation picks up again once the mute expires
+   * @param {Socket} socket - The sending socket
+   * @param {string} eventName - Event name
+   * @param {number} [now] - Current time in ms
+   * @returns {boolean} True if the event may be handled, false if it should be dropped
+   */
+  allow(socket, eventName, now = Date.now()) {
+    const client = this.sockets.get(socket.id);
+    if (!client) return true;
+
+    if (now < client.mutedUntil) {
+      this.countDropped(eventName);
+      return false;
+    }
+
+    if (!this.takeToken(client, eventName, now)) {
+      this.reject(client, eventName, now);
+      return false;
+    }
+
+    this.metrics.allowed++;
+    this.countEvent(eventName).allowed++;
+    return true;
+  }
+
+  /**
+   * Get the throttle entry an event is counted under
+   * Events without their own limits share the default entry, so unknown event
+   * names can't grow the bucket or metrics maps
+   * @param {string} eventName - Event name
+   * @returns {string} Event name, or 'default'
+   */
+  getThrottleKey(eventName) {
+    return Object.prototype.hasOwnProperty.call(this.throttle, eventName) ? eventName : 'default';
+  }
+
+  /**
+   * Get the limits that apply to an event
+   * @param {string} eventName - Event name
+   * @returns {Object} { limit, window, burst }
+   */
+  getLimits(eventName) {
+    const limits = this.throttle[this.getThrottleKey(eventName)];
+    return {
+      limit: limits.limit,
+      window: limits.window,
+      burst: limits.burst !== undefined ? limits.burst : limits.limit
+    };
+  }
+
+  /**
+   * Check if a socket is currently muted
+   * @param {string} socketId - Socket ID
+   * @param {number} [now] - Current time in ms
+   * @returns {boolean} True if all its events are being dropped
+   */
+  isMuted(socketId, now = Date.now()) {
+    const client = this.sockets.get(socketId);
+    return client ? now < client.mutedUntil : false;
+  }
+
+  /**
+   * Get rate limiting metrics
+   * @param {number} [now] - Current time in ms
+   * @returns {Object} Totals since startup, per-event counts and current client counts
+   */
+  getMetrics(now = Date.now()) {
+    let muted = 0;
+    for (const client of this.sockets.values()) {
+      if (now < client.mutedUntil) muted++;
+    }
+
+    const events = {};
+    for (const [eventName, counts] of this.metrics.events) {
+      events[eventName] = { ...counts };
+    }
+
+    return {
+      allowed: this.metrics.allowed,
+      dropped: this.metrics.dropped,
+      warnings: this.metrics.warnings,
+      mutes: this.metrics.mutes,
+      disconnects: this.metrics.disconnects,
+      events,
+      clients: this.sockets.size,
+      mutedClients: muted
+    };
+  }
+
+  /**
+   * Log the events dropped since the last report
+   * Quiet intervals aren't logged
+   */
+  logReport() {
+    const dropped = this.metrics.dropped - this.reportedMetrics.dropped;
+    if (dropped > 0) {
+      const allowed = this.metrics.allowed - this.reportedMetrics.allowed;
+      const busiest = [...this.metrics.events]
+        .map(([eventName, counts]) => {
+          const previous = this.reportedMetrics.events.get(eventName);
+          return [eventName, counts.dropped - (previous ? previous.dropped : 0)];
+        })
+        .filter(([, count]) => count > 0)
+        .sort((a, b) => b[1] - a[1])
+        .map(([eventName, count]) => `${eventName} ${count}`);
+
+      console.log(`[RateLimit] ${dropped} events dropped, ${allowed} allowed (${busiest.join(', ')}); ` +
+        `totals: ${this.metrics.warnings} warnings, ${this.metrics.mutes} mutes, ${this.metrics.disconnects} disconnects`);
+    }
+
+    this.reportedMetrics = copyMetrics(this.metrics);
+  }
+
+  /**
+   * Refill a socket's bucket for an event and take a token from it
+   * @param {Object} client - Tracked socket
+   * @param {string} eventName - Event name
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if a token was available
+   * @private
+   */
+  takeToken(client, eventName, now) {
+    const { limit, window, burst } = this.getLimits(eventName);
+    const key = this.getThrottleKey(eventName);
+
+    let bucket = client.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: now };
+      client.buckets.set(key, bucket);
+    }
+
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    bucket.tokens = Math.min(burst, bucket.tokens + elapsed * limit / window);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) return false;
+
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Count a dropped event and escalate: warn, then mute, then disconnect
+   * @param {Object} client - Tracked socket
+   * @param {string} eventName - Event name
+   * @param {number} now - Current time in ms
+   * @private
+   */
+  reject(client, eventName, now) {
+    this.countDropped(eventName);
+
+    if (client.disconnected) return;
+
+    const { violationWindow, warnAfter, muteAfter, disconnectAfter, muteDuration } = this.config;
+    client.violations = client.violations.filter(time => now - time < violationWindow);
+    client.violations.push(now);
+
+    const violations = client.violations.length;
+    const socket = client.socket;
+
+    if (violations >= disconnectAfter) {
+      client.disconnected = true;
+      this.metrics.disconnects++;
+      console.warn(`[RateLimit] Disconnecting ${socket.id}: ${violations} dropped events (last: ${eventName})`);
+      socket.emit('error', { code: 'RATE_LIMIT', action: 'disconnect', message: 'Disconnected for flooding' });
+      socket.disconnect(true);
+    } else if (violations === muteAfter) {
+      client.mutedUntil = now + muteDuration;
+      this.metrics.mutes++;
+      console.warn(`[RateLimit] Muting ${socket.id} for ${muteDuration}ms: ${violations} dropped events (last: ${eventName})`);
+      socket.emit('error', {
+        code: 'RATE_LIMIT',
+        action: 'mute',
+        message: 'Too many events; ignoring this client for a while',
+        retryAfter: muteDuration
+      });
+    } else if (violations === warnAfter) {
+      this.metrics.warnings++;
+      console.warn(`[RateLimit] Warning ${socket.id}: ${violations} dropped events (last: ${eventName})`);
+      socket.emit('error', {
+        code: 'RATE_LIMIT',
+        action: 'warn',
+        message: 'Rate limit exceeded',
+        event: eventName
+      });
+    }
+  }
+
+  /**
+   * Count a dropped event in the metrics
+   * @param {string} eventName - Event name
+   * @private
+   */
+  countDropped(eventName) {
+    this.metrics.dropped++;
+    this.countEvent(eventName).dropped++;
+  }
+
+  /**
+   * Get the per-event counters, creating them on first use
+   * @param {string} eventName - Event name
+   * @returns {Object} { allowed, dropped }
+   * @private
+   */
+  countEvent(eventName) {
+    const key = this.getThrottleKey(eventName);
+    let counts = this.metrics.events.get(key);
+    if (!counts) {
+      counts = { allowed: 0, dropped: 0 };
+      this.metrics.events.set(key, counts);
+    }
+    return counts;
+  }
+}
+
+/**
+ * Create zeroed rate limit metrics
+ * @returns {Object} Metrics
+ */
+function createMetrics() {
+  return { allowed: 0, dropped: 0, warnings: 0, mutes: 0, disconnects: 0, events: new Map() };
+}
+
+/**
+ * Copy rate limit metrics, including the per-event counters
+ * @param {Object} metrics - Metrics to copy
+ * @returns {Object} Independent copy
+ */
+function copyMetrics(metrics) {
+  const events = new Map();
+  for (const [eventName, counts] of metrics.events) {
+    events.set(eventName, { ...counts });
+  }
+  return { ...metrics, events };
+}
@@ -0,0 +1,122 @@
+// server/socket/managers/replicationManager.js
+// Sends each client the entity changes since the last state it was sent
+
+import { DeltaEncoder, encodeDelta } from '../../../shared/network/index.js';
+import { getNetworkConfig } from '../config/socketConfig.js';
+
+/**
+ * Replication Manager for streaming world state to clients as deltas
+ */
+export class ReplicationManager {
+  /**
+   * Create a new ReplicationManager
+   * @param {World} world - The authoritative server world
+   * @param {Object} [config] - Network configuration (see getNetworkConfig)
+   * @param {InterestManager} [interest] - Limits each client to the entities it can see
+   */
+  constructor(world, config = getNetworkConfig(), interest = null) {
+    this.world = world;
+    this.config = config;
+    this.interest = interest;
+    this.encoder = new DeltaEncoder();
+    this.clients = new Map(); // Socket ID -> { socket, ackedTick, ackedInclude, sent: [{ tick, include }] }
+    this.broadcastCount = 0;
+    this.lastBroadcastTick = null;
+  }
+
+  /**
+   * Start replicating to a socket
+   * Deltas are full updates until its first 'delta_ack'; later ones build on what it was sent since
+   * @param {Socket} socket - The client socket
+   */
+  addClient(socket) {
+    const client = { socket, ackedTick: null, ackedInclude: null, sent: [] };
+    this.clients.set(socket.id, client);
+
+    socket.on('delta_ack', (ackData) => {
+      const tick = ackData && ackData.tick;
+
+      // Ignore malformed or stale acknowledgements, and ticks this client wasn't sent
+      const index = client.sent.findIndex(entry => entry.tick === tick);
+      if (index === -1) return;
+
+      client.ackedTick = tick;
+      client.ackedInclude = client.sent[index].include;
+      client.sent = client.sent.slice(index + 1);
+    });
+  }
+
+  /**
+   * Stop replicating to a socket
+   * @param {Socket} socket - The client socket
+   */
+  removeClient(socket) {
+    this.clients.delete(socket.id);
+  }
+
+  /**
+   * Capture the world and send every client its delta
+   * Does nothing until the world has stepped, since deltas are identified by tick
+   */
+  broadcast() {
+    const tick = this.world.tick;
+    if (tick === this.lastBroadcastTick) return;
+    this.lastBroadcastTick = tick;
+
+    this.encoder.capture(this.world.entities, tick);
+    this.broadcastCount++;
+
+    const interval = this.config.bandwidthReportInterval;
+    const report = interval > 0 && this.broadcastCount % interval === 0 ?
+      { clients: 0, jsonBytes: 0, binaryBytes: 0 } : null;
+
+    for (const client of this.clients.values()) {
+      const include = this.interest ? this.interest.getVisible(client.socket.id) : null;
+
+      // The client applies every delta it was sent, acknowledged or not, so the encoder
+      // needs all of them; entities entering or leaving view become created or destroyed
+      const delta = this.encoder.encode(tick, client.ackedTick, {
+        include,
+        baselineInclude: client.ackedInclude,
+        sent: client.sent
+      });
+      this.rememberSent(client, tick, include);
+
+      const binary = this.config.binaryTicks || report ? encodeDelta(delta) : null;
+      if (this.config.binaryTicks) {
+        client.socket.emit('server_delta_bin', binary);
+      } else {
+        client.socket.emit('server_delta', delta);
+      }
+
+      if (report) {
+        report.clients++;
+        report.jsonBytes += Buffer.byteLength(JSON.stringify(delta));
+        report.binaryBytes += binary.byteLength;
+      }
+    }
+
+    if (report && report.clients > 0) {
+      const saved = 100 - Math.round(report.binaryBytes / report.jsonBytes * 100);
+      console.log(`[Replication] tick ${tick}: ${report.clients} clients, JSON ${report.jsonBytes} B, binary ${report.binaryBytes} B (${saved}% smaller)`);
+    }
+  }
+
+  /**
+   * Remember a delta sent to a client until it is acknowledged
+   * A client that falls further behind than the encoder's history starts over with a full update
+   * @param {Object} client - Replicated client
+   * @param {number} tick - Tick that was sent
+   * @param {Set<string>|null} include - networkIds the client was sent, or null for all
+   * @private
+   */
+  rememberSent(client, tick, include) {
+    client.sent.push({ tick, include });
+
+    if (client.sent.length >= this.encoder.historySize) {
+      client.ackedTick = null;
+      client.ackedInclude = null;
+      client.sent = [{ tick, include }];
+    }
+  }
+}
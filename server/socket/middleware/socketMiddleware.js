@@ -4,12 +4,13 @@
 /**
  * Set up Socket.IO middleware
  * @param {Server} io - The Socket.IO server instance
+ * @param {RateLimiter} rateLimiter - Limits the events each client sends
  */
-export function setupMiddleware(io) {
+export function setupMiddleware(io, rateLimiter) {
   // Add middleware for all socket connections
   io.use(authMiddleware);
   io.use(loggingMiddleware);
-  io.use(rateLimit);
+  io.use((socket, next) => rateLimit(socket, next, rateLimiter));
 }
 
 /**
@@ -78,73 +79,26 @@ function loggingMiddleware(socket, next) {
 
 /**
  * Rate limiting middleware for Socket.IO
+ * Checks every event the client sends against its token buckets; events over
+ * the limit are dropped before any handler sees them
  * @param {Socket} socket - The socket connection
  * @param {Function} next - Callback to continue to the next middleware
+ * @param {RateLimiter} rateLimiter - Tracks per-socket, per-event limits
  */
-function rateLimit(socket, next) {
-  // Initialize rate limiting data
-  socket.rateLimit = {
-    events: {},
-    lastReset: Date.now()
-  };
+function rateLimit(socket, next, rateLimiter) {
+  rateLimiter.addSocket(socket);
   
-  // Override emit to check rate limits
-  const emit = socket.emit;
-  socket.emit = function(...args) {
-    const eventName = args[0];
-    
-    // Skip rate limiting for certain events
-    const excludedEvents = ['connect', 'disconnect', 'error', 'server_tick'];
-    if (excludedEvents.includes(eventName)) {
-      return emit.apply(this, args);
-    }
-    
-    // Check if we need to reset counters
-    const now = Date.now();
-    if (now - socket.rateLimit.lastReset > 60000) {
-      socket.rateLimit.events = {};
-      socket.rateLimit.lastReset = now;
-    }
-    
-    // Initialize counter for this event
-    if (!socket.rateLimit.events[eventName]) {
-      socket.rateLimit.events[eventName] = 0;
-    }
-    
-    // Increment counter
-    socket.rateLimit.events[eventName]++;
-    
-    // Check if limit exceeded
-    const limit = getEventLimit(eventName);
-    if (socket.rateLimit.events[eventName] > limit) {
-      console.warn(`Rate limit exceeded for ${socket.id} on event ${eventName}`);
-      socket.emit('error', { code: 'RATE_LIMIT', message: 'Rate limit exceeded' });
-      return;
+  socket.use(([eventName], nextEvent) => {
+    if (rateLimiter.allow(socket, eventName)) {
+      nextEvent();
     }
-    
-    // Call original emit
-    return emit.apply(this, args);
-  };
+  });
   
-  next();
-}
-
-/**
- * Get the rate limit for a specific event
- * @param {string} eventName - The name of the event
- * @returns {number} The rate limit (events per minute)
- */
-function getEventLimit(eventName) {
-  // Define limits for different event types
-  const limits = {
-    'chat_message': 30,      // 30 messages per minute
-    'player_move': 120,      // 120 movements per minute (2 per second)
-    'player_action': 60,     // 60 actions per minute (1 per second)
-    'interact_object': 30,   // 30 interactions per minute
-    'default': 60            // Default limit
-  };
+  socket.on('disconnect', () => {
+    rateLimiter.removeSocket(socket);
+  });
   
-  return limits[eventName] || limits.default;
+  next();
 }
 
 /**
@@ -0,0 +1,207 @@
+// server/world/movementValidator.js
+// Checks player movement against speed, world bounds and blocked terrain
+
+const AXES = ['x', 'y', 'z'];
+
+/**
+ * Movement Validator for keeping player movement server-authoritative
+ */
+export class MovementValidator {
+  /**
+   * Create a new MovementValidator
+   * @param {Object} config - Movement configuration (see getWorldConfig().movement)
+   * @param {number} config.maxSpeed - Fastest legitimate movement in units per second
+   * @param {number} config.speedTolerance - Multiplier on maxSpeed to absorb network jitter
+   * @param {number} config.maxMoveInterval - Longest gap in ms credited towards one move
+   * @param {Object} config.bounds - { min: {x, y, z}, max: {x, y, z} } players must stay inside
+   * @param {Array<Object>} [config.blockedAreas] - Boxes ({ min, max }) players can't enter
+   * @param {number} config.flagThreshold - Violations within flagWindow before a player is flagged
+   * @param {number} config.flagWindow - Violation window in milliseconds
+   */
+  constructor(config) {
+    this.config = config;
+    this.blockedAreas = [];
+    this.offenders = new Map(); // Player ID -> { violations: [timestamps], flagged }
+
+    for (const area of config.blockedAreas || []) {
+      this.addBlockedArea(area.min, area.max);
+    }
+  }
+
+  /**
+   * Block a box of terrain
+   * @param {Object} min - Minimum corner {x, y, z}
+   * @param {Object} max - Maximum corner {x, y, z}
+   */
+  addBlockedArea(min, max) {
+    const box = { min: {}, max: {} };
+    for (const axis of AXES) {
+      box.min[axis] = Math.min(min[axis], max[axis]);
+      box.max[axis] = Math.max(min[axis], max[axis]);
+    }
+    this.blockedAreas.push(box);
+  }
+
+  /**
+   * Check a requested move and work out where the player is allowed to be
+   * Moves faster than the speed limit are shortened, moves out of bounds are
+   * clamped, and moves into blocked terrain are refused
+   * @param {Object} from - Current position {x, y, z}
+   * @param {Object} to - Requested position {x, y, z}
+   * @param {number} elapsed - Milliseconds since the player's last accepted update
+   * @returns {Object} { valid, position, reason } where position is where the player ends up
+   */
+  validate(from, to, elapsed) {
+    if (!AXES.every(axis => Number.isFinite(to[axis]))) {
+      return { valid: false, position: { ...from }, reason: 'invalid' };
+    }
+
+    let position = { x: to.x, y: to.y, z: to.z };
+    let reason = null;
+
+    // Distance covered at full speed since the last update, plus a little slack
+    const { maxSpeed, speedTolerance, maxMoveInterval } = this.config;
+    const seconds = Math.min(Math.max(elapsed, 0), maxMoveInterval) / 1000;
+    const allowed = maxSpeed * speedTolerance * seconds + 0.1;
+    const distance = Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z);
+
+    if (distance > allowed) {
+      const scale = allowed / distance;
+      for (const axis of AXES) {
+        position[axis] = from[axis] + (to[axis] - from[axis]) * scale;
+      }
+      reason = 'speed';
+    }
+
+    const constrained = this.constrain(from, position);
+    if (constrained.reason === 'blocked') {
+      return constrained;
+    }
+
+    reason = reason || constrained.reason;
+    return { valid: reason === null, position: constrained.position, reason };
+  }
+
+  /**
+   * Keep a position inside the world bounds and out of blocked terrain, ignoring speed
+   * @param {Object} from - Current position {x, y, z}
+   * @param {Object} to - Requested position {x, y, z}
+   * @returns {Object} { valid, position, reason } as for validate, without 'speed'
+   */
+  constrain(from, to) {
+    if (!AXES.every(axis => Number.isFinite(to[axis]))) {
+      return { valid: false, position: { ...from }, reason: 'invalid' };
+    }
+
+    const position = { x: to.x, y: to.y, z: to.z };
+    let reason = null;
+
+    const { min, max } = this.config.bounds;
+    for (const axis of AXES) {
+      const clamped = Math.min(Math.max(position[axis], min[axis]), max[axis]);
+      if (clamped !== position[axis]) {
+        position[axis] = clamped;
+        reason = 'bounds';
+      }
+    }
+
+    if (this.isPathBlocked(from, position)) {
+      return { valid: false, position: { ...from }, reason: 'blocked' };
+    }
+
+    return { valid: reason === null, position, reason };
+  }
+
+  /**
+   * Check if a straight move crosses blocked terrain
+   * Boxes containing the start are ignored so a player placed inside one can walk out
+   * @param {Object} from - Start position {x, y, z}
+   * @param {Object} to - End position {x, y, z}
+   * @returns {boolean} True if the path enters a blocked area
+   */
+  isPathBlocked(from, to) {
+    return this.blockedAreas.some(box => !boxContains(box, from) && segmentHitsBox(from, to, box));
+  }
+
+  /**
+   * Record a rejected or corrected move
+   * @param {string} playerId - Player (socket) ID
+   * @param {number} [now] - Current time in ms
+   * @returns {boolean} True if this violation got the player flagged
+   */
+  recordViolation(playerId, now = Date.now()) {
+    let offender = this.offenders.get(playerId);
+    if (!offender) {
+      offender = { violations: [], flagged: false };
+      this.offenders.set(playerId, offender);
+    }
+
+    offender.violations = offender.violations.filter(time => now - time < this.config.flagWindow);
+    offender.violations.push(now);
+
+    if (!offender.flagged && offender.violations.length >= this.config.flagThreshold) {
+      offender.flagged = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check if a player has been flagged for repeated violations
+   * @param {string} playerId - Player (socket) ID
+   * @returns {boolean} True if flagged
+   */
+  isFlagged(playerId) {
+    const offender = this.offenders.get(playerId);
+    return offender ? offender.flagged : false;
+  }
+
+  /**
+   * Forget a disconnected player's violations
+   * @param {string} playerId - Player (socket) ID
+   */
+  removePlayer(playerId) {
+    this.offenders.delete(playerId);
+  }
+}
+
+/**
+ * Check if a point lies inside a box
+ * @param {Object} box - { min, max }
+ * @param {Object} point - {x, y, z}
+ * @returns {boolean} True if inside
+ */
+function boxContains(box, point) {
+  return AXES.every(axis => point[axis] >= box.min[axis] && point[axis] <= box.max[axis]);
+}
+
+/**
+ * Check if a line segment intersects a box (slab method)
+ * @param {Object} from - Segment start {x, y, z}
+ * @param {Object} to - Segment end {x, y, z}
+ * @param {Object} box - { min, max }
+ * @returns {boolean} True if they intersect
+ */
+function segmentHitsBox(from, to, box) {
+  let enter = 0;
+  let exit = 1;
+
+  for (const axis of AXES) {
+    const delta = to[axis] - from[axis];
+
+    if (delta === 0) {
+      if (from[axis] < box.min[axis] || from[axis] > box.max[axis]) return false;
+      continue;
+    }
+
+    let near = (box.min[axis] - from[axis]) / delta;
+    let far = (box.max[axis] - from[axis]) / delta;
+    if (near > far) [near, far] = [far, near];
+
+    enter = Math.max(enter, near);
+    exit = Math.min(exit, far);
+    if (enter > exit) return false;
+  }
+
+  return true;
+}
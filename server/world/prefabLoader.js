@@ -0,0 +1,28 @@
+// server/world/prefabLoader.js
+// Loads the server's JSON prefab templates
+
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+// Server prefab templates: each JSON file is a map of prefab ID -> template
+const PREFAB_DIR = fileURLToPath(new URL('./prefabs/', import.meta.url));
+
+/**
+ * Register every prefab template file in a directory
+ * Templates may extend prefabs from other files or plugins; inheritance is resolved on first use
+ * @param {PrefabRegistry} registry - The registry to add the prefabs to
+ * @param {string} [dir] - Directory of .json template files; defaults to server/world/prefabs
+ * @returns {PrefabRegistry} The registry
+ */
+export function loadPrefabFiles(registry, dir = PREFAB_DIR) {
+  const files = readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  for (const file of files) {
+    try {
+      registry.load(readFileSync(join(dir, file), 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load prefabs from ${file}: ${error.message}`);
+    }
+  }
+  return registry;
+}
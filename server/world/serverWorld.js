@@ -0,0 +1,170 @@
+// server/world/serverWorld.js
+// Authoritative headless ECS world hosted by the server
+
+import { Entity, World } from '../../shared/core/index.js';
+import { GamePlugin } from '../../shared/plugins/index.js';
+import { loadPrefabFiles } from './prefabLoader.js';
+
+/**
+ * Create the server's world with the shared game plugins and server prefabs installed
+ * The caller registers any server-only systems and then calls world.init()
+ * @param {Object} [config] - World configuration
+ * @param {MovementValidator} [movementValidator] - Keeps input-driven movement in bounds and out of blocked terrain
+ * @returns {World} The server world
+ */
+export function createServerWorld(config = {}, movementValidator = null) {
+  const world = new World({
+    name: 'ServerWorld',
+    profile: config.profileReportInterval > 0,
+    ...config
+  });
+
+  // Inputs can't exceed the speed limit, so only bounds and terrain need checking
+  const constrain = movementValidator ?
+    (from, to) => movementValidator.constrain(from, to).position :
+    null;
+
+  world.use(GamePlugin, { movement: { constrain } });
+  loadPrefabFiles(world.prefabs);
+  return world;
+}
+
+/**
+ * Log a per-system timing report, flagging steps that overrun the tick budget
+ * @param {World} world - A world with profiling enabled
+ */
+export function logWorldStats(world) {
+  const stats = world.getStats();
+  if (!stats.profiling) return;
+
+  const ms = value => value.toFixed(2);
+  const budget = stats.simulationRate ? 1000 / stats.simulationRate : null;
+  const steps = stats.steps;
+
+  console.log(`[WorldStats] ${stats.name} tick ${stats.tick}, ${stats.entities} entities, ` +
+    `step avg ${ms(steps.avg)}ms p95 ${ms(steps.p95)}ms max ${ms(steps.max)}ms` +
+    (budget ? ` (budget ${ms(budget)}ms)` : ''));
+
+  for (const system of stats.systems) {
+    console.log(`[WorldStats]   ${system.name} [${system.phase}] avg ${ms(system.time.avg)}ms ` +
+      `p95 ${ms(system.time.p95)}ms, ~${Math.round(system.entities)} entities`);
+  }
+
+  if (budget && steps.p95 > budget) {
+    console.warn(`[WorldStats] p95 step time ${ms(steps.p95)}ms is over the ${ms(budget)}ms tick budget`);
+  }
+  if (stats.droppedTime > 0) {
+    console.warn(`[WorldStats] ${stats.droppedTime.toFixed(2)}s of simulation dropped while catching up`);
+  }
+}
+
+/**
+ * Get a connected player's entity
+ * @param {World} world - The server world
+ * @param {string} playerId - Player (socket) ID
+ * @returns {Entity|null} The player entity, or null if not connected
+ */
+export function getPlayerEntity(world, playerId) {
+  const entity = world.getEntityByNetworkId(playerId);
+  return entity && entity.hasTag('player') ? entity : null;
+}
+
+/**
+ * Spawn the entity for a newly connected player
+ * Players own their entity and predict its movement; the server stays authoritative
+ * @param {World} world - The server world
+ * @param {string} playerId - Player (socket) ID
+ * @returns {Entity} The player entity
+ */
+export function spawnPlayer(world, playerId) {
+  const existing = getPlayerEntity(world, playerId);
+  if (existing) return existing;
+
+  const entity = world.spawn('player', {
+    name: `player_${playerId}`,
+    networkId: playerId,
+    components: {
+      PlayerComponent: { lastUpdate: Date.now() }
+    }
+  });
+  entity.setOwner(playerId, Entity.AUTHORITY.PREDICTED);
+  return entity;
+}
+
+/**
+ * Get a world object entity by its network ID
+ * @param {World} world - The server world
+ * @param {string} objectId - World object ID
+ * @returns {Entity|null} The world object entity, or null if not found
+ */
+export function getWorldObjectEntity(world, objectId) {
+  const entity = world.getEntityByNetworkId(objectId);
+  return entity && entity.hasTag('worldObject') ? entity : null;
+}
+
+/**
+ * Serialize a player entity into the flat shape clients expect
+ * @param {Entity} entity - Player entity
+ * @returns {Object} Player data
+ */
+export function playerToJSON(entity) {
+  const transform = entity.getComponent('TransformComponent').serialize();
+  const player = entity.getComponent('PlayerComponent').serialize();
+
+  return {
+    ...player.state,
+    id: entity.networkId,
+    position: transform.position,
+    rotation: transform.rotation,
+    scale: transform.scale,
+    inventory: player.inventory,
+    lastUpdate: player.lastUpdate
+  };
+}
+
+/**
+ * Serialize a world object entity into the flat shape clients expect
+ * @param {Entity} entity - World object entity
+ * @returns {Object} World object data
+ */
+export function worldObjectToJSON(entity) {
+  const transform = entity.getComponent('TransformComponent').serialize();
+  const object = entity.getComponent('WorldObjectComponent').serialize();
+
+  return {
+    id: entity.networkId,
+    ...object,
+    position: transform.position,
+    rotation: transform.rotation,
+    scale: transform.scale,
+    createdBy: entity.owner
+  };
+}
+
+/**
+ * Build the full game state message from the world
+ * Keeps the { entities, worldObjects } layout of the old plain-object game state
+ * @param {World} world - The server world
+ * @param {Set<string>} [visible] - Only include these networkIds (see InterestManager)
+ * @returns {Object} Game state keyed by player and object ID
+ */
+export function serializeGameState(world, visible = null) {
+  const isVisible = entity => !visible || visible.has(entity.networkId);
+
+  const entities = {};
+  for (const entity of world.findEntitiesWithTag('player')) {
+    if (isVisible(entity)) entities[entity.networkId] = playerToJSON(entity);
+  }
+
+  const worldObjects = {};
+  for (const entity of world.findEntitiesWithTag('worldObject')) {
+    if (isVisible(entity)) worldObjects[entity.networkId] = worldObjectToJSON(entity);
+  }
+
+  return {
+    entities,
+    worldObjects,
+    tick: world.tick,
+    lastUpdate: Date.now()
+  };
+}
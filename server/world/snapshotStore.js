@@ -0,0 +1,47 @@
+// server/world/snapshotStore.js
+// Saves and loads world snapshots as JSON files (autosave, bug reproduction)
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { World } from '../../shared/core/index.js';
+
+/**
+ * Write a world snapshot to disk
+ * The file is written next to the target and renamed into place, so a crash
+ * mid-write never leaves a truncated snapshot behind
+ * @param {World} world - The world to snapshot
+ * @param {string} filePath - Destination file path
+ * @returns {Promise<Object>} The snapshot that was written
+ */
+export async function saveWorldSnapshot(world, filePath) {
+  const snapshot = world.snapshot();
+  const tempPath = `${filePath}.tmp`;
+
+  await mkdir(dirname(filePath), { recursive: true });
+  await writeFile(tempPath, JSON.stringify(snapshot, null, 2), 'utf8');
+  await rename(tempPath, filePath);
+
+  return snapshot;
+}
+
+/**
+ * Load a world from a snapshot file
+ * Component data that failed to migrate is logged; see world.migrationReport for the raw data
+ * @param {string} filePath - Snapshot file path
+ * @param {Object} [config] - World configuration passed to World.restore
+ * @returns {Promise<World>} The restored world
+ */
+export async function loadWorldSnapshot(filePath, config = {}) {
+  const json = await readFile(filePath, 'utf8');
+  const world = World.restore(json, config);
+
+  const report = world.migrationReport.summary();
+  if (report.migrated > 0) {
+    console.log(`Migrated ${report.migrated} components from older versions in ${filePath}`);
+  }
+  for (const failure of report.failures) {
+    console.warn(`Dropped ${failure.component} (v${failure.fromVersion} -> v${failure.toVersion}) from entity ${failure.entityName}: ${failure.error}`);
+  }
+
+  return world;
+}
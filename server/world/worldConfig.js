@@ -0,0 +1,58 @@
+// server/world/worldConfig.js
+// Configuration for the authoritative server world
+
+/**
+ * Get server world configuration
+ * Clients are sent simulationRate on connect so they step at the same rate
+ * @param {Object} env - Environment variables
+ * @returns {Object} World configuration
+ */
+export function getWorldConfig(env = process.env) {
+  return {
+    // Fixed simulation steps per second
+    simulationRate: parseInt(env.SIMULATION_RATE || '20', 10),
+    
+    // Most steps run in one update after a stall before the backlog is dropped
+    maxCatchUpSteps: parseInt(env.MAX_CATCH_UP_STEPS || '5', 10),
+    
+    // Log per-system timings every N seconds (0 disables profiling)
+    profileReportInterval: parseInt(env.PROFILE_REPORT_INTERVAL || '0', 10),
+    
+    // Player movement validation (see MovementValidator)
+    movement: getMovementConfig(env)
+  };
+}
+
+/**
+ * Get player movement validation configuration
+ * @param {Object} env - Environment variables
+ * @returns {Object} Movement configuration
+ */
+export function getMovementConfig(env = process.env) {
+  const halfSize = parseFloat(env.WORLD_SIZE || '1000') / 2;
+  
+  return {
+    // Fastest legitimate player movement in units per second
+    maxSpeed: parseFloat(env.MAX_PLAYER_SPEED || '10'),
+    
+    // Allow this much over maxSpeed to absorb network jitter
+    speedTolerance: parseFloat(env.SPEED_TOLERANCE || '1.5'),
+    
+    // Longest gap between moves (ms) that counts towards the distance allowed,
+    // so standing still doesn't bank a teleport
+    maxMoveInterval: 1000,
+    
+    // Players must stay inside this box
+    bounds: {
+      min: { x: -halfSize, y: 0, z: -halfSize },
+      max: { x: halfSize, y: parseFloat(env.WORLD_HEIGHT || '200'), z: halfSize }
+    },
+    
+    // Impassable terrain as boxes: [{ min: {x, y, z}, max: {x, y, z} }]
+    blockedAreas: JSON.parse(env.BLOCKED_AREAS || '[]'),
+    
+    // Flag players with this many rejected moves within flagWindow ms
+    flagThreshold: parseInt(env.MOVE_FLAG_THRESHOLD || '5', 10),
+    flagWindow: 10000
+  };
+}
@@ -0,0 +1,48 @@
+import { Component, Types } from '../core/index.js';
+
+/**
+ * Movement Component
+ * Moves an entity from sequence-numbered inputs, one input per simulation step
+ * The server and the owning client apply the same inputs with MovementSystem,
+ * so the client can predict its own movement before the server confirms it
+ */
+export class MovementComponent extends Component {
+    /**
+     * Initialize schema defaults and the input queue
+     */
+    init() {
+        super.init();
+        this.inputs = []; // Queued { sequence, x, z } inputs; runtime only, never serialized
+    }
+
+    /**
+     * Queue an input for the MovementSystem
+     * Inputs must arrive in sequence order; move axes are clamped to [-1, 1]
+     * @param {Object} input - { sequence, x, z }
+     * @returns {boolean} True if the input was queued, false if it was malformed,
+     *   out of order or the queue is full
+     */
+    queueInput(input) {
+        if (!input || !Number.isInteger(input.sequence) || input.sequence < 1) return false;
+        if (!Number.isFinite(input.x) || !Number.isFinite(input.z)) return false;
+
+        const last = this.inputs.length > 0 ? this.inputs[this.inputs.length - 1].sequence : this.lastSequence;
+        if (input.sequence <= last) return false;
+        if (this.inputs.length >= MovementComponent.MAX_QUEUED_INPUTS) return false;
+
+        this.inputs.push({
+            sequence: input.sequence,
+            x: Math.max(-1, Math.min(1, input.x)),
+            z: Math.max(-1, Math.min(1, input.z))
+        });
+        return true;
+    }
+}
+
+MovementComponent.schema = {
+    speed: { type: Types.Number, default: 5, min: 0 }, // Units per second
+    lastSequence: { type: Types.Number, integer: true, min: 0 } // Last input applied; acknowledges inputs to the owner
+};
+
+// Inputs a client can have waiting before more are refused
+MovementComponent.MAX_QUEUED_INPUTS = 32;
@@ -0,0 +1,13 @@
+import { Component, Types } from '../core/index.js';
+
+/**
+ * Player Component
+ * Marks an entity as a connected player and holds per-player game state
+ */
+export class PlayerComponent extends Component {}
+
+PlayerComponent.schema = {
+    lastUpdate: { type: Types.Number, integer: true, min: 0 }, // Last client update, ms since epoch
+    inventory: { type: Types.Array, of: Types.Json, maxLength: 256 },
+    state: { type: Types.Json, default: {} } // Client-reported state (health, animation, ...)
+};
@@ -1,59 +1,109 @@
-import { Component } from '../core/index.js';
+import { Component, Types } from '../core/index.js';
 import * as THREE from '../modules/three.module.js';
 
 /**
  * Transform Component
  * Stores position, rotation, and scale data
+ * Values are local to the parent entity's transform; for root entities local
+ * and world space are the same. worldMatrix is derived at runtime and never serialized.
  */
 export  class TransformComponent extends Component {
-    constructor(data = {}) {
-        // Ensure position is a Vector3
-        let position = new THREE.Vector3(0, 0, 0);
-        if (data.position) {
-            if (data.position instanceof THREE.Vector3) {
-                position = data.position;
-            } else {
-                position = new THREE.Vector3(
-                    data.position.x || 0,
-                    data.position.y || 0,
-                    data.position.z || 0
-                );
-            }
-        }
-        
-        // Ensure rotation is an Euler
-        let rotation = new THREE.Euler(0, 0, 0);
-        if (data.rotation) {
-            if (data.rotation instanceof THREE.Euler) {
-                rotation = data.rotation;
-            } else {
-                rotation = new THREE.Euler(
-                    data.rotation.x || 0,
-                    data.rotation.y || 0,
-                    data.rotation.z || 0
-                );
-            }
-        }
-        
-        // Ensure scale is a Vector3
-        let scale = new THREE.Vector3(1, 1, 1);
-        if (data.scale) {
-            if (data.scale instanceof THREE.Vector3) {
-                scale = data.scale;
-            } else {
-                scale = new THREE.Vector3(
-                    data.scale.x || 1,
-                    data.scale.y || 1,
-                    data.scale.z || 1
-                );
-            }
+    /**
+     * Initialize schema defaults and runtime matrices
+     */
+    init() {
+        super.init();
+        this.localMatrix = new THREE.Matrix4();
+        this.worldMatrix = new THREE.Matrix4();
+    }
+
+    /**
+     * Rebuild the local matrix from position, rotation and scale
+     * @returns {THREE.Matrix4} The local matrix
+     */
+    updateLocalMatrix() {
+        scratchQuaternion.setFromEuler(this.rotation);
+        return this.localMatrix.compose(this.position, scratchQuaternion, this.scale);
+    }
+
+    /**
+     * Rebuild the world matrix from the local matrix and the parent's world matrix
+     * @param {THREE.Matrix4|null} parentWorldMatrix - Parent world matrix, or null for roots
+     * @returns {THREE.Matrix4} The world matrix
+     */
+    updateWorldMatrix(parentWorldMatrix = null) {
+        this.updateLocalMatrix();
+
+        if (parentWorldMatrix) {
+            this.worldMatrix.multiplyMatrices(parentWorldMatrix, this.localMatrix);
+        } else {
+            this.worldMatrix.copy(this.localMatrix);
         }
-        
-        // Create component with properly typed properties
-        super({
-            position: position,
-            rotation: rotation,
-            scale: scale
-        });
+
+        return this.worldMatrix;
+    }
+
+    /**
+     * Recompute the world matrix by walking up the entity hierarchy
+     * Use when the TransformHierarchySystem may not have run since the last change
+     * @returns {THREE.Matrix4} The world matrix
+     */
+    refreshWorldMatrix() {
+        const parent = this.entity ? findParentTransform(this.entity) : null;
+        return this.updateWorldMatrix(parent ? parent.refreshWorldMatrix() : null);
+    }
+
+    /**
+     * Get the world-space position from the current world matrix
+     * @param {THREE.Vector3} [target] - Vector to write into
+     * @returns {THREE.Vector3} World position
+     */
+    getWorldPosition(target = new THREE.Vector3()) {
+        return target.setFromMatrixPosition(this.worldMatrix);
+    }
+
+    /**
+     * Get the world-space rotation from the current world matrix
+     * @param {THREE.Quaternion} [target] - Quaternion to write into
+     * @returns {THREE.Quaternion} World rotation
+     */
+    getWorldQuaternion(target = new THREE.Quaternion()) {
+        this.worldMatrix.decompose(scratchVector, target, scratchScale);
+        return target;
+    }
+
+    /**
+     * Get the world-space scale from the current world matrix
+     * @param {THREE.Vector3} [target] - Vector to write into
+     * @returns {THREE.Vector3} World scale
+     */
+    getWorldScale(target = new THREE.Vector3()) {
+        this.worldMatrix.decompose(scratchVector, scratchQuaternion, target);
+        return target;
+    }
+}
+
+TransformComponent.schema = {
+    position: { type: Types.Vec3, default: { x: 0, y: 0, z: 0 } },
+    rotation: { type: Types.Euler, default: { x: 0, y: 0, z: 0 } },
+    scale: { type: Types.Vec3, default: { x: 1, y: 1, z: 1 } }
+};
+
+const scratchQuaternion = new THREE.Quaternion();
+const scratchVector = new THREE.Vector3();
+const scratchScale = new THREE.Vector3();
+
+/**
+ * Find the transform of the nearest ancestor that has one
+ * @param {Entity} entity - The entity to start from
+ * @returns {TransformComponent|null} Ancestor transform, or null for roots
+ */
+export function findParentTransform(entity) {
+    let ancestor = entity.parent;
+    while (ancestor) {
+        const transform = ancestor.getComponent('TransformComponent');
+        if (transform) return transform;
+        ancestor = ancestor.parent;
     }
+    return null;
 }
@@ -0,0 +1,17 @@
+import { Component, Types } from '../core/index.js';
+
+/**
+ * World Object Component
+ * Interactive objects placed in the world (items, doors, props)
+ */
+export class WorldObjectComponent extends Component {}
+
+WorldObjectComponent.schema = {
+    type: { type: Types.String, maxLength: 64, required: true },
+    properties: { type: Types.Json, default: {} },
+    pickable: Types.Bool,
+    activated: Types.Bool,
+    lastActivatedBy: { type: Types.String, maxLength: 64 },
+    lastActivatedTime: { type: Types.Number, integer: true, min: 0 },
+    createdAt: { type: Types.Number, integer: true, min: 0 }
+};
@@ -1 +1,13 @@
-export { TransformComponent } from './TransformComponent.js';
+import { Component } from '../core/index.js';
+import { TransformComponent, findParentTransform } from './TransformComponent.js';
+import { PlayerComponent } from './PlayerComponent.js';
+import { WorldObjectComponent } from './WorldObjectComponent.js';
+import { MovementComponent } from './MovementComponent.js';
+
+// Register shared components so they can be created from serialized data
+Component.register('TransformComponent', TransformComponent);
+Component.register('PlayerComponent', PlayerComponent);
+Component.register('WorldObjectComponent', WorldObjectComponent);
+Component.register('MovementComponent', MovementComponent);
+
+export { TransformComponent, findParentTransform, PlayerComponent, WorldObjectComponent, MovementComponent };
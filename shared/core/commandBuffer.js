@@ -0,0 +1,197 @@
+import { Entity } from './entity.js';
+
+/**
+ * CommandBuffer Class
+ * Records structural changes (entity creation/destruction, component and tag
+ * changes) so they can be applied at a sync point instead of mid-iteration
+ */
+export class CommandBuffer {
+    /**
+     * Create a new command buffer
+     * @param {World} world - The world commands are applied to
+     */
+    constructor(world) {
+        this.world = world;
+        this.commands = [];
+        this.flushing = false;
+    }
+
+    /**
+     * Number of pending commands
+     * @returns {number} Pending command count
+     */
+    get length() {
+        return this.commands.length;
+    }
+
+    /**
+     * Queue a new entity to be added to the world
+     * Components are attached immediately since the entity is not yet in a world
+     * @param {Entity|string} [entityOrName] - An existing entity, or a name for a new one
+     * @param {Array<Component>} [components=[]] - Components to attach
+     * @returns {Entity} The entity that will be added on flush
+     */
+    create(entityOrName = '', components = []) {
+        const entity = entityOrName instanceof Entity ? entityOrName : new Entity(entityOrName);
+
+        for (const component of components) {
+            entity.addComponent(component);
+        }
+
+        this.commands.push({ type: 'create', entity });
+        return entity;
+    }
+
+    /**
+     * Queue an entity built from a prefab to be added to the world
+     * @param {string} prefabId - Registered prefab ID
+     * @param {Object} [overrides] - Template-shaped overrides
+     * @returns {Entity} The entity that will be added on flush
+     */
+    spawn(prefabId, overrides = {}) {
+        return this.create(this.world.prefabs.instantiate(prefabId, overrides));
+    }
+
+    /**
+     * Queue an entity for deactivation
+     * @param {Entity} entity - The entity to destroy
+     * @param {boolean} [cleanup=true] - Whether to clean up resources like meshes
+     * @returns {CommandBuffer} This buffer for chaining
+     */
+    destroy(entity, cleanup = true) {
+        this.commands.push({ type: 'destroy', entity, cleanup });
+        return this;
+    }
+
+    /**
+     * Queue a component to be added to an entity
+     * @param {Entity} entity - The target entity
+     * @param {Component} component - The component to add
+     * @returns {CommandBuffer} This buffer for chaining
+     */
+    addComponent(entity, component) {
+        this.commands.push({ type: 'addComponent', entity, component });
+        return this;
+    }
+
+    /**
+     * Queue a component to be removed from an entity
+     * @param {Entity} entity - The target entity
+     * @param {string} componentName - The name of the component class to remove
+     * @returns {CommandBuffer} This buffer for chaining
+     */
+    removeComponent(entity, componentName) {
+        this.commands.push({ type: 'removeComponent', entity, componentName });
+        return this;
+    }
+
+    /**
+     * Queue a tag to be added to an entity
+     * @param {Entity} entity - The target entity
+     * @param {string} tag - The tag to add
+     * @returns {CommandBuffer} This buffer for chaining
+     */
+    addTag(entity, tag) {
+        this.commands.push({ type: 'addTag', entity, tag });
+        return this;
+    }
+
+    /**
+     * Queue a tag to be removed from an entity
+     * @param {Entity} entity - The target entity
+     * @param {string} tag - The tag to remove
+     * @returns {CommandBuffer} This buffer for chaining
+     */
+    removeTag(entity, tag) {
+        this.commands.push({ type: 'removeTag', entity, tag });
+        return this;
+    }
+
+    /**
+     * Apply all pending commands in the order they were recorded
+     * Commands recorded while flushing (e.g. from onAdd hooks) are applied in the same flush
+     * @returns {number} Number of commands applied
+     * @throws {Error} If a command fails; the commands after it stay queued for the next flush
+     */
+    flush() {
+        if (this.flushing) return 0;
+
+        this.flushing = true;
+        let applied = 0;
+
+        try {
+            while (this.commands.length > 0) {
+                const batch = this.commands;
+                this.commands = [];
+
+                for (let i = 0; i < batch.length; i++) {
+                    try {
+                        if (this.apply(batch[i])) {
+                            applied++;
+                        }
+                    } catch (error) {
+                        // Requeue the rest of the batch ahead of anything it recorded
+                        this.commands = batch.slice(i + 1).concat(this.commands);
+                        throw error;
+                    }
+                }
+            }
+        } finally {
+            this.flushing = false;
+        }
+
+        return applied;
+    }
+
+    /**
+     * Apply a single command
+     * Commands targeting entities that were destroyed in the meantime are skipped
+     * @param {Object} command - The command to apply
+     * @returns {boolean} True if the command was applied
+     * @private
+     */
+    apply(command) {
+        const { entity } = command;
+
+        if (command.type === 'create') {
+            if (!entity.active) return false;
+            this.world.addEntity(entity);
+            return true;
+        }
+
+        if (!entity.active) return false;
+
+        switch (command.type) {
+            case 'destroy':
+                entity.deactivate(command.cleanup);
+                return true;
+
+            case 'addComponent':
+                entity.addComponent(command.component);
+                return true;
+
+            case 'removeComponent':
+                entity.removeComponent(command.componentName);
+                return true;
+
+            case 'addTag':
+                entity.addTag(command.tag);
+                return true;
+
+            case 'removeTag':
+                entity.removeTag(command.tag);
+                return true;
+
+            default:
+                console.warn(`CommandBuffer: Unknown command type '${command.type}'`);
+                return false;
+        }
+    }
+
+    /**
+     * Discard all pending commands
+     */
+    clear() {
+        this.commands.length = 0;
+    }
+}
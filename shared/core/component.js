@@ -1,24 +1,56 @@
+import { compileSchema, createDefault, validateValue } from './schema.js';
+import { getComponentVersion, migrateComponentData } from './migration.js';
+
 /**
  * Component Base Class
  * Components are pure data containers
+ * Derived classes may declare a schema (see schema.js) to get typed defaults,
+ * validation on deserialize and deep cloning
+ * They may also declare a data version and migrations (see migration.js)
  */
 export class Component {
-    constructor(data = {}) {
+    /**
+     * Create a new component
+     * @param {Object} [data] - Initial data, validated against the schema if there is one
+     * @param {Object} [options] - Deserialization options for the initial data (see deserialize)
+     */
+    constructor(data, options) {
+        // Change tracking state; non-enumerable so it is never serialized
+        Object.defineProperties(this, {
+            entity: { value: null, writable: true, enumerable: false },
+            changedTick: { value: 0, writable: true, enumerable: false },
+            changeCount: { value: 0, writable: true, enumerable: false }
+        });
+
         // Initialize with default values
         this.init();
         
         // Apply provided data
         if (data) {
-            this.deserialize(data);
+            this.deserialize(data, options);
         }
     }
     
     /**
      * Initialize component with default values
-     * Override in derived classes
+     * Schema-backed components get their field defaults; others override this
      */
     init() {
-        // Set default properties here in derived classes
+        const schema = this.getSchema();
+        if (!schema) return;
+
+        for (const [fieldName, field] of schema) {
+            this[fieldName] = createDefault(field, `${this.constructor.name}.${fieldName}`);
+        }
+    }
+
+    /**
+     * Get the compiled schema for this component type
+     * @returns {Map<string, Object>|null} Compiled schema, or null if none is declared
+     */
+    getSchema() {
+        const schema = this.constructor.schema;
+        return schema ? compileSchema(schema, this.constructor.name) : null;
     }
     
     /**
@@ -36,12 +68,10 @@ export class Component {
         const result = {};
         
         // Get all serializable properties from schema
-        const schema = this.constructor.schema;
+        const schema = this.getSchema();
         if (schema) {
-            for (const prop in schema) {
-                if (this.hasOwnProperty(prop)) {
-                    result[prop] = this[prop];
-                }
+            for (const [fieldName, field] of schema) {
+                result[fieldName] = field.type.serialize(this[fieldName], field);
             }
             return result;
         }
@@ -58,24 +88,81 @@ export class Component {
     
     /**
      * Deserialize data into this component
+     * With a schema, every field is validated before any is applied, and
+     * properties the schema doesn't declare are ignored
+     * Data saved with an older version is migrated first
      * @param {Object} data - Data to deserialize
+     * @param {Object} [options] - Deserialization options
+     * @param {boolean} [options.partial=false] - Allow required fields to be missing (for updates)
+     * @param {number} [options.version] - Version the data was saved in; defaults to the current version
+     * @param {MigrationReport} [options.report] - Report to record migrations in
+     * @throws {Error} If the data can't be migrated or fails schema validation
      */
-    deserialize(data) {
+    deserialize(data, options = {}) {
         if (!data) return;
         
+        // Bring saved data up to the current version
+        const version = getComponentVersion(this.constructor);
+        const migrated = options.version !== undefined && options.version !== version;
+        if (migrated) {
+            data = migrateComponentData(this.constructor, data, options.version);
+        }
+        
         // Apply data based on schema if available
-        const schema = this.constructor.schema;
+        const schema = this.getSchema();
         if (schema) {
-            for (const prop in data) {
-                if (schema.hasOwnProperty(prop)) {
-                    this[prop] = data[prop];
+            const name = this.constructor.name;
+            if (typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error(`${name}: expected an object to deserialize`);
+            }
+
+            const values = new Map();
+            for (const [fieldName, field] of schema) {
+                if (Object.prototype.hasOwnProperty.call(data, fieldName)) {
+                    values.set(fieldName, validateValue(field, data[fieldName], `${name}.${fieldName}`));
+                } else if (field.required && !options.partial) {
+                    throw new Error(`${name}.${fieldName}: required field is missing`);
                 }
             }
-            return;
+
+            for (const [fieldName, value] of values) {
+                this[fieldName] = value;
+            }
+        } else {
+            // Fallback: deserialize all properties
+            Object.assign(this, data);
         }
-        
-        // Fallback: deserialize all properties
-        Object.assign(this, data);
+
+        if (migrated && options.report) {
+            options.report.recordMigrated(this.constructor.name, options.version, version);
+        }
+        this.markChanged();
+    }
+
+    /**
+     * Flag this component's data as modified in the current world tick
+     * Call after mutating fields in place (e.g. transform.position.x += 1)
+     * @returns {Component} This component for chaining
+     */
+    markChanged() {
+        this.changeCount++;
+
+        const world = this.entity ? this.entity.world : null;
+        if (world) {
+            this.changedTick = world.tick;
+            world.onComponentChanged(this.entity, this.constructor.name, this);
+        }
+
+        return this;
+    }
+
+    /**
+     * Check if this component changed after a given world tick
+     * @param {number} tick - World tick to compare against
+     * @returns {boolean} True if the component changed after that tick
+     */
+    changedSince(tick) {
+        return this.changedTick > tick;
     }
     
     /**
@@ -83,6 +170,15 @@ export class Component {
      * @returns {Component} A new component with the same data
      */
     clone() {
+        const schema = this.getSchema();
+        if (schema) {
+            const copy = new this.constructor();
+            for (const [fieldName, field] of schema) {
+                copy[fieldName] = field.type.clone(this[fieldName], field);
+            }
+            return copy;
+        }
+
         return new this.constructor(this.serialize());
     }
 }
@@ -103,14 +199,27 @@ Component.register = function(typeName, componentClass) {
  * Create a component from type name and data
  * @param {string} typeName - Registered component type name
  * @param {Object} data - Component data
+ * @param {Object} [options] - Deserialization options (see Component.deserialize)
  * @returns {Component} New component instance
  */
-Component.create = function(typeName, data = {}) {
+Component.create = function(typeName, data = {}, options) {
     const ComponentClass = Component.types.get(typeName);
     if (!ComponentClass) {
         throw new Error(`Component type '${typeName}' not registered`);
     }
-    return new ComponentClass(data);
+    return new ComponentClass(data, options);
+};
+
+/**
+ * Get the data version of each registered component type
+ * @returns {Object} Type name -> version
+ */
+Component.getVersions = function() {
+    const versions = {};
+    for (const [typeName, componentClass] of Component.types) {
+        versions[typeName] = getComponentVersion(componentClass);
+    }
+    return versions;
 };
 
 /**
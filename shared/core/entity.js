@@ -1,3 +1,7 @@
+import { Component } from './component.js';
+import { EntityIdAllocator } from './entityIds.js';
+import { getComponentVersion } from './migration.js';
+
 /**
  * Entity Class
  * Entities are containers for components
@@ -8,15 +12,20 @@ export class Entity {
      * @param {string} [name] - Optional name for the entity
      */
     constructor(name = '') {
-        this.id = Entity.nextId++;
+        this.id = Entity.ids.allocate(); // Generational handle, see EntityIdAllocator
         this.name = name || `entity_${this.id}`;
         this.components = new Map();
         this.active = true;
         this.tags = new Set();
         this.world = null; // Reference to parent world when added
-        this.networkId = null; // For networked entities
+        this.networkId = null; // For networked entities; change with setNetworkId() once in a world
+        this.authority = Entity.AUTHORITY.SERVER; // Who simulates this entity, see Entity.AUTHORITY
+        this.owner = null; // Owning player/socket ID, or null for server-owned entities
         this.parent = null; // For hierarchical entities
         this.children = new Set(); // Child entities
+        this.relations = new Map(); // Relation type -> Set of target entities, see relate()
+        this.relatedBy = new Map(); // Relation type -> Set of entities relating to this one
+        this.prefab = null; // Prefab ID this entity was spawned from
     }
 
     /**
@@ -34,9 +43,16 @@ export class Entity {
             if (typeof oldComponent.onRemove === 'function') {
                 oldComponent.onRemove(this);
             }
+            if (oldComponent !== component) {
+                oldComponent.entity = null;
+            }
         }
         
         this.components.set(componentName, component);
+        component.entity = this;
+        if (this.world) {
+            component.changedTick = this.world.tick;
+        }
         
         // Call onAdd if it exists
         if (typeof component.onAdd === 'function') {
@@ -66,6 +82,7 @@ export class Entity {
             }
             
             this.components.delete(componentName);
+            component.entity = null;
             
             // Notify world of component change if entity is in a world
             if (this.world) {
@@ -102,6 +119,19 @@ export class Entity {
         return this.components.get(componentName) || null;
     }
     
+    /**
+     * Flag a component on this entity as modified in the current world tick
+     * @param {string} componentName - The name of the component class that changed
+     * @returns {Entity} This entity for chaining
+     */
+    markChanged(componentName) {
+        const component = this.components.get(componentName);
+        if (component) {
+            component.markChanged();
+        }
+        return this;
+    }
+
     /**
      * Add a tag to this entity
      * @param {string} tag - The tag to add
@@ -130,6 +160,60 @@ export class Entity {
         return this;
     }
     
+    /**
+     * Set this entity's network ID, keeping the world's lookup index in sync
+     * @param {string|number|null} networkId - New network ID, or null to stop replicating
+     * @returns {Entity} This entity for chaining
+     */
+    setNetworkId(networkId) {
+        const previous = this.networkId;
+        if (previous === networkId) return this;
+
+        this.networkId = networkId;
+        if (this.world) {
+            this.world.onNetworkIdChanged(this, previous);
+        }
+        return this;
+    }
+
+    /**
+     * Set who owns and simulates this entity
+     * @param {string|null} owner - Owning player/socket ID, or null for the server
+     * @param {string} [authority] - One of Entity.AUTHORITY; defaults to PREDICTED
+     *   for owned entities and SERVER otherwise
+     * @returns {Entity} This entity for chaining
+     * @throws {Error} If the authority is unknown or needs an owner that isn't given
+     */
+    setOwner(owner, authority) {
+        if (authority === undefined) {
+            authority = owner === null ? Entity.AUTHORITY.SERVER : Entity.AUTHORITY.PREDICTED;
+        }
+        if (!Object.values(Entity.AUTHORITY).includes(authority)) {
+            throw new Error(`Unknown authority '${authority}' for entity ${this.name}`);
+        }
+        if (authority !== Entity.AUTHORITY.SERVER && owner === null) {
+            throw new Error(`Entity ${this.name} needs an owner for '${authority}' authority`);
+        }
+
+        const previous = this.owner;
+        this.owner = owner;
+        this.authority = authority;
+
+        if (this.world && previous !== owner) {
+            this.world.onOwnerChanged(this, previous);
+        }
+        return this;
+    }
+
+    /**
+     * Check if a player/socket owns this entity
+     * @param {string} ownerId - Player/socket ID
+     * @returns {boolean} True if the entity is owned by ownerId
+     */
+    isOwnedBy(ownerId) {
+        return this.owner !== null && this.owner === ownerId;
+    }
+
     /**
      * Check if this entity has a tag
      * @param {string} tag - The tag to check
@@ -168,6 +252,160 @@ export class Entity {
         return this;
     }
 
+    /**
+     * Add a typed relation from this entity to another, e.g. item.relate('ownedBy', player)
+     * Relations in Entity.EXCLUSIVE_RELATIONS replace this entity's previous target of that type
+     * @param {string} type - Relation type
+     * @param {Entity} target - Related entity
+     * @returns {Entity} This entity for chaining
+     * @throws {Error} If the type or target is invalid, or either entity is inactive
+     */
+    relate(type, target) {
+        if (typeof type !== 'string' || type === '') {
+            throw new Error('Relation type must be a non-empty string');
+        }
+        if (!(target instanceof Entity)) {
+            throw new Error(`Relation '${type}' of entity ${this.name} needs an entity as its target`);
+        }
+        if (!this.active || !target.active) {
+            throw new Error(`Cannot relate inactive entities: ${this.name} ${type} ${target.name}`);
+        }
+
+        if (this.hasRelation(type, target)) return this;
+
+        if (Entity.EXCLUSIVE_RELATIONS.has(type)) {
+            this.unrelate(type);
+        }
+
+        addToSetMap(this.relations, type, target);
+        addToSetMap(target.relatedBy, type, this);
+
+        if (this.world) {
+            this.world.onRelationAdded(this, type, target);
+        }
+        return this;
+    }
+
+    /**
+     * Remove a relation from this entity
+     * @param {string} type - Relation type
+     * @param {Entity} [target] - Related entity; omit to remove every relation of this type
+     * @returns {Entity} This entity for chaining
+     */
+    unrelate(type, target) {
+        const targets = target === undefined ? this.getRelated(type) : [target];
+
+        for (const related of targets) {
+            if (!this.hasRelation(type, related)) continue;
+
+            deleteFromSetMap(this.relations, type, related);
+            deleteFromSetMap(related.relatedBy, type, this);
+
+            if (this.world) {
+                this.world.onRelationRemoved(this, type, related);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Check if this entity has a relation
+     * @param {string} type - Relation type
+     * @param {Entity} [target] - Related entity; omit to check for any target
+     * @returns {boolean} True if the relation exists
+     */
+    hasRelation(type, target) {
+        const targets = this.relations.get(type);
+        if (!targets) return false;
+        return target === undefined ? targets.size > 0 : targets.has(target);
+    }
+
+    /**
+     * Get the entities this entity relates to with a relation type
+     * @param {string} type - Relation type
+     * @returns {Array<Entity>} Related entities
+     */
+    getRelated(type) {
+        const targets = this.relations.get(type);
+        return targets ? [...targets] : [];
+    }
+
+    /**
+     * Get the single target of a relation, e.g. the owner of an item
+     * @param {string} type - Relation type
+     * @returns {Entity|null} The first related entity, or null if there is none
+     */
+    getRelation(type) {
+        const targets = this.relations.get(type);
+        return targets && targets.size > 0 ? targets.values().next().value : null;
+    }
+
+    /**
+     * Get the entities that relate to this entity with a relation type
+     * e.g. player.getRelatedBy('ownedBy') lists the player's items
+     * @param {string} type - Relation type
+     * @returns {Array<Entity>} Entities with a relation of this type pointing here
+     */
+    getRelatedBy(type) {
+        const sources = this.relatedBy.get(type);
+        return sources ? [...sources] : [];
+    }
+
+    /**
+     * Remove every relation to or from this entity
+     * @returns {Entity} This entity for chaining
+     */
+    clearRelations() {
+        for (const type of [...this.relations.keys()]) {
+            this.unrelate(type);
+        }
+        for (const [type, sources] of [...this.relatedBy]) {
+            for (const source of [...sources]) {
+                source.unrelate(type, this);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Get this entity's world-space position, accounting for parent transforms
+     * @param {THREE.Vector3} [target] - Vector to write into
+     * @returns {THREE.Vector3|null} World position, or null without a TransformComponent
+     */
+    getWorldPosition(target) {
+        const transform = this.getComponent('TransformComponent');
+        if (!transform) return null;
+
+        transform.refreshWorldMatrix();
+        return transform.getWorldPosition(target);
+    }
+
+    /**
+     * Get this entity's world-space rotation, accounting for parent transforms
+     * @param {THREE.Quaternion} [target] - Quaternion to write into
+     * @returns {THREE.Quaternion|null} World rotation, or null without a TransformComponent
+     */
+    getWorldQuaternion(target) {
+        const transform = this.getComponent('TransformComponent');
+        if (!transform) return null;
+
+        transform.refreshWorldMatrix();
+        return transform.getWorldQuaternion(target);
+    }
+
+    /**
+     * Get this entity's world-space scale, accounting for parent transforms
+     * @param {THREE.Vector3} [target] - Vector to write into
+     * @returns {THREE.Vector3|null} World scale, or null without a TransformComponent
+     */
+    getWorldScale(target) {
+        const transform = this.getComponent('TransformComponent');
+        if (!transform) return null;
+
+        transform.refreshWorldMatrix();
+        return transform.getWorldScale(target);
+    }
+
     /**
      * Deactivate this entity
      * @param {boolean} cleanup - Whether to clean up resources like meshes
@@ -216,12 +454,18 @@ export class Entity {
             }
         }
         
+        // Dead entities can't own, target or belong to anything
+        this.clearRelations();
+        
         // Mark as inactive
         this.active = false;
         
         // Notify world if entity is in a world
         if (this.world) {
             this.world.onEntityDeactivated(this);
+        } else {
+            // No world will remove it, so free the ID now
+            Entity.ids.release(this.id);
         }
     }
     
@@ -236,15 +480,27 @@ export class Entity {
             name: this.name,
             active: this.active,
             tags: Array.from(this.tags),
-            networkId: this.networkId
+            networkId: this.networkId,
+            authority: this.authority,
+            owner: this.owner,
+            prefab: this.prefab,
+            parentId: this.parent ? this.parent.id : null,
+            relations: {}
         };
         
-        // Include components if requested
+        // Relations are stored as target entity IDs
+        for (const [type, targets] of this.relations) {
+            data.relations[type] = Array.from(targets, target => target.id);
+        }
+        
+        // Include components if requested, with the data version of each
         if (includeComponents) {
             data.components = {};
+            data.componentVersions = {};
             for (const [name, component] of this.components) {
                 if (typeof component.serialize === 'function') {
                     data.components[name] = component.serialize();
+                    data.componentVersions[name] = getComponentVersion(component.constructor);
                 }
             }
         }
@@ -254,17 +510,27 @@ export class Entity {
     
     /**
      * Deserialize data into this entity
+     * Saved component data is migrated using data.componentVersions; components
+     * missing from that map were saved before their type had a version (version 1)
      * @param {Object} data - Data to deserialize
      * @param {boolean} [includeComponents=true] - Whether to deserialize component data
+     * @param {MigrationReport} [report] - Collects components that fail to load instead of throwing
      * @returns {Entity} This entity for chaining
      */
-    deserialize(data, includeComponents = true) {
+    deserialize(data, includeComponents = true, report = null) {
         if (!data) return this;
         
         // Basic properties
         if (data.name) this.name = data.name;
         if (data.active !== undefined) this.active = data.active;
-        if (data.networkId) this.networkId = data.networkId;
+        if (data.networkId !== undefined && data.networkId !== null) this.setNetworkId(data.networkId);
+        if (data.owner !== undefined || data.authority !== undefined) {
+            this.setOwner(
+                data.owner !== undefined ? data.owner : this.owner,
+                data.authority || undefined
+            );
+        }
+        if (data.prefab) this.prefab = data.prefab;
         
         // Tags
         if (data.tags && Array.isArray(data.tags)) {
@@ -273,18 +539,40 @@ export class Entity {
         
         // Components
         if (includeComponents && data.components) {
+            const versions = data.componentVersions;
             for (const componentName in data.components) {
-                // If we already have this component, update it
-                if (this.hasComponent(componentName)) {
-                    const component = this.getComponent(componentName);
-                    if (typeof component.deserialize === 'function') {
-                        component.deserialize(data.components[componentName]);
+                const componentData = data.components[componentName];
+                const options = {
+                    version: versions ? (versions[componentName] || 1) : undefined,
+                    report: report || undefined
+                };
+
+                try {
+                    // If we already have this component, update it
+                    if (this.hasComponent(componentName)) {
+                        const component = this.getComponent(componentName);
+                        if (typeof component.deserialize === 'function') {
+                            component.deserialize(componentData, options);
+                        }
                     }
-                }
-                // Otherwise try to create it if registered
-                else if (typeof Component !== 'undefined' && Component.types.has(componentName)) {
-                    const component = Component.create(componentName, data.components[componentName]);
-                    this.addComponent(component);
+                    // Otherwise try to create it if registered
+                    else if (Component.types.has(componentName)) {
+                        const component = Component.create(componentName, componentData, options);
+                        this.addComponent(component);
+                    }
+                } catch (error) {
+                    if (!report) throw error;
+
+                    const ComponentClass = Component.types.get(componentName);
+                    report.recordFailure({
+                        entityId: this.id,
+                        entityName: this.name,
+                        component: componentName,
+                        fromVersion: options.version === undefined ? null : options.version,
+                        toVersion: ComponentClass ? getComponentVersion(ComponentClass) : null,
+                        error: error.message,
+                        data: componentData
+                    });
                 }
             }
         }
@@ -293,15 +581,57 @@ export class Entity {
     }
 }
 
-// Static counter for entity IDs
-Entity.nextId = 0;
+// Shared allocator for entity IDs
+Entity.ids = new EntityIdAllocator();
+
+// Who is authoritative for an entity's state
+Entity.AUTHORITY = {
+    SERVER: 'server', // Simulated by the server only
+    PREDICTED: 'predicted', // Server-authoritative, predicted locally by the owner
+    CLIENT: 'client' // Simulated by the owning client, relayed by the server
+};
+
+// Relation types an entity can only have one target for; relate() replaces the old target
+Entity.EXCLUSIVE_RELATIONS = new Set(['ownedBy', 'equippedIn']);
 
 /**
  * Create an entity from serialized data
  * @param {Object} data - Serialized entity data
+ * @param {MigrationReport} [report] - Collects components that fail to load instead of throwing
  * @returns {Entity} New entity instance
  */
-Entity.fromJSON = function(data) {
+Entity.fromJSON = function(data, report = null) {
     const entity = new Entity(data.name || '');
-    return entity.deserialize(data);
+    return entity.deserialize(data, true, report);
 };
+
+/**
+ * Add a value to the Set stored under a key, creating the Set if needed
+ * @param {Map} map - Map of Sets
+ * @param {*} key - Key
+ * @param {*} value - Value to add
+ */
+function addToSetMap(map, key, value) {
+    let set = map.get(key);
+    if (!set) {
+        set = new Set();
+        map.set(key, set);
+    }
+    set.add(value);
+}
+
+/**
+ * Remove a value from the Set stored under a key, dropping the Set once empty
+ * @param {Map} map - Map of Sets
+ * @param {*} key - Key
+ * @param {*} value - Value to remove
+ */
+function deleteFromSetMap(map, key, value) {
+    const set = map.get(key);
+    if (!set) return;
+
+    set.delete(value);
+    if (set.size === 0) {
+        map.delete(key);
+    }
+}
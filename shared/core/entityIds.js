@@ -0,0 +1,196 @@
+/**
+ * EntityIdAllocator Class
+ * Hands out generational entity handles and recycles the indices of removed entities
+ *
+ * A handle packs a slot index and a generation into one integer:
+ *   handle = generation * INDEX_LIMIT + index
+ * Releasing a handle bumps its slot's generation, so any stored copy of the old
+ * handle no longer matches a live entity even after the slot is reused.
+ * Generation 0 handles equal their index, so they stay small for short-lived worlds.
+ */
+export class EntityIdAllocator {
+    constructor() {
+        this.generations = []; // Slot index -> current generation
+        this.free = new Set(); // Released slot indices, reused oldest first
+        this.retired = 0; // Slots that ran out of generations
+    }
+
+    /**
+     * Number of slots ever allocated
+     * @returns {number} Slot count
+     */
+    get size() {
+        return this.generations.length;
+    }
+
+    /**
+     * Number of handles currently in use
+     * @returns {number} Live handle count
+     */
+    get liveCount() {
+        return this.generations.length - this.free.size - this.retired;
+    }
+
+    /**
+     * Allocate a new handle
+     * @returns {number} Entity handle
+     * @throws {Error} If every slot index is in use
+     */
+    allocate() {
+        let index;
+
+        if (this.free.size > 0) {
+            index = this.free.values().next().value;
+            this.free.delete(index);
+        } else {
+            index = this.generations.length;
+            if (index >= EntityIdAllocator.INDEX_LIMIT) {
+                throw new Error(`Entity ID space exhausted (${EntityIdAllocator.INDEX_LIMIT} live entities)`);
+            }
+            this.generations.push(0);
+        }
+
+        return EntityIdAllocator.makeHandle(index, this.generations[index]);
+    }
+
+    /**
+     * Release a handle so its slot can be reused
+     * Releasing a stale or unknown handle does nothing
+     * @param {number} handle - Entity handle
+     * @returns {boolean} True if the handle was live and has been released
+     */
+    release(handle) {
+        if (!this.isCurrent(handle)) return false;
+
+        const index = EntityIdAllocator.indexOf(handle);
+        const generation = this.generations[index] + 1;
+        this.generations[index] = generation;
+
+        // Slots that run out of generations are retired rather than wrapped around
+        if (generation <= EntityIdAllocator.MAX_GENERATION) {
+            this.free.add(index);
+        } else {
+            this.retired++;
+        }
+        return true;
+    }
+
+    /**
+     * Check if a handle matches the current generation of its slot
+     * @param {number} handle - Entity handle
+     * @returns {boolean} True if the handle has been allocated and not released
+     */
+    isCurrent(handle) {
+        if (!Number.isInteger(handle) || handle < 0) return false;
+
+        const index = EntityIdAllocator.indexOf(handle);
+        return index < this.generations.length &&
+            !this.free.has(index) &&
+            this.generations[index] === EntityIdAllocator.generationOf(handle);
+    }
+
+    /**
+     * Check if a handle's slot is held by a live handle of any generation
+     * @param {number} handle - Entity handle
+     * @returns {boolean} True if the slot is allocated or retired
+     */
+    isSlotTaken(handle) {
+        const index = EntityIdAllocator.indexOf(handle);
+        return index < this.generations.length && !this.free.has(index);
+    }
+
+    /**
+     * Claim a specific handle, e.g. when restoring entities with their saved IDs
+     * The slot's generation never moves backwards, so older handles stay stale
+     * @param {number} handle - Entity handle
+     * @returns {number} The handle
+     */
+    reserve(handle) {
+        const index = EntityIdAllocator.indexOf(handle);
+        const generation = EntityIdAllocator.generationOf(handle);
+
+        // Slots skipped over become free
+        while (this.generations.length <= index) {
+            this.free.add(this.generations.length);
+            this.generations.push(0);
+        }
+
+        this.generations[index] = Math.max(this.generations[index], generation);
+        this.free.delete(index);
+        return handle;
+    }
+
+    /**
+     * Capture allocator state for a snapshot
+     * Only slots with a non-zero generation are listed
+     * @returns {Object} Serialized allocator state
+     */
+    serialize() {
+        const generations = [];
+        for (let index = 0; index < this.generations.length; index++) {
+            if (this.generations[index] > 0) {
+                generations.push([index, this.generations[index]]);
+            }
+        }
+        return { size: this.generations.length, generations };
+    }
+
+    /**
+     * Merge saved allocator state into this allocator
+     * Free slots are raised to at least their saved generation so handles that were
+     * stale when the snapshot was taken stay stale after it is restored. Slots in
+     * use here are left alone; restored entities claim theirs with reserve().
+     * @param {Object} data - Serialized allocator state
+     */
+    merge(data) {
+        if (!data) return;
+
+        while (this.generations.length < (data.size || 0)) {
+            this.free.add(this.generations.length);
+            this.generations.push(0);
+        }
+
+        for (const [index, generation] of data.generations || []) {
+            if (this.free.has(index) && generation > this.generations[index]) {
+                this.generations[index] = generation;
+                if (generation > EntityIdAllocator.MAX_GENERATION) {
+                    this.free.delete(index);
+                    this.retired++;
+                }
+            }
+        }
+    }
+}
+
+// 2^22 slots (~4M live entities) and 2^31 generations per slot keeps handles
+// below 2^53, so they survive JSON and varuint encoding as plain numbers
+EntityIdAllocator.INDEX_LIMIT = 2 ** 22;
+EntityIdAllocator.MAX_GENERATION = 2 ** 31 - 1;
+
+/**
+ * Build a handle from a slot index and generation
+ * @param {number} index - Slot index
+ * @param {number} generation - Slot generation
+ * @returns {number} Entity handle
+ */
+EntityIdAllocator.makeHandle = function(index, generation) {
+    return generation * EntityIdAllocator.INDEX_LIMIT + index;
+};
+
+/**
+ * Get the slot index of a handle
+ * @param {number} handle - Entity handle
+ * @returns {number} Slot index
+ */
+EntityIdAllocator.indexOf = function(handle) {
+    return handle % EntityIdAllocator.INDEX_LIMIT;
+};
+
+/**
+ * Get the generation of a handle
+ * @param {number} handle - Entity handle
+ * @returns {number} Generation
+ */
+EntityIdAllocator.generationOf = function(handle) {
+    return Math.floor(handle / EntityIdAllocator.INDEX_LIMIT);
+};
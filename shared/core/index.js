@@ -1,5 +1,14 @@
 // Core ECS module exports
 export { Component } from './component.js';
 export { Entity } from './entity.js';
+export { EntityIdAllocator } from './entityIds.js';
 export { System } from './system.js';
 export { World } from './world.js';
+export { SpatialGrid } from './spatialGrid.js';
+export { Query } from './query.js';
+export { CommandBuffer } from './commandBuffer.js';
+export { Types } from './schema.js';
+export { PrefabRegistry } from './prefab.js';
+export { PluginManager } from './plugin.js';
+export { WorldProfiler, RollingStats } from './profiler.js';
+export { MigrationReport, migrateComponentData } from './migration.js';
@@ -0,0 +1,127 @@
+/**
+ * Component data migrations
+ *
+ * A component type declares its current data version and one migration per
+ * version bump. Each migration receives a copy of the data in the previous
+ * version's shape and returns it in its own version's shape:
+ *
+ *   export class HealthComponent extends Component {}
+ *   HealthComponent.schema = { current: {...}, max: {...} };
+ *   HealthComponent.version = 2;
+ *   HealthComponent.migrations = {
+ *       2: data => ({ current: data.hp, max: data.maxHp }) // version 1 -> 2
+ *   };
+ *
+ * Component types that never declare a version are at version 1. Saved
+ * entities and snapshots record the version of each component's data (see
+ * Entity.serialize), and Component.deserialize migrates older data on load.
+ */
+
+/**
+ * Get the current data version of a component class
+ * @param {class} ComponentClass - Component class
+ * @returns {number} Data version
+ * @throws {Error} If the class declares an invalid version
+ */
+export function getComponentVersion(ComponentClass) {
+    const version = ComponentClass.version === undefined ? 1 : ComponentClass.version;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`${ComponentClass.name}: version must be a positive integer`);
+    }
+    return version;
+}
+
+/**
+ * Bring component data from an older version up to the class's current version
+ * @param {class} ComponentClass - Component class
+ * @param {Object} data - Data in the shape of fromVersion
+ * @param {number} fromVersion - Version the data was saved in
+ * @returns {Object} Data in the shape of the current version
+ * @throws {Error} If the data is newer than the class, or a migration is missing or fails
+ */
+export function migrateComponentData(ComponentClass, data, fromVersion) {
+    const name = ComponentClass.name;
+    const version = getComponentVersion(ComponentClass);
+
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+        throw new Error(`${name}: invalid data version ${fromVersion}`);
+    }
+    if (fromVersion > version) {
+        throw new Error(`${name}: data version ${fromVersion} is newer than supported version ${version}`);
+    }
+
+    const migrations = ComponentClass.migrations || {};
+    let result = data;
+
+    for (let target = fromVersion + 1; target <= version; target++) {
+        const migration = migrations[target];
+        if (typeof migration !== 'function') {
+            throw new Error(`${name}: no migration from version ${target - 1} to ${target}`);
+        }
+
+        try {
+            result = migration({ ...result });
+        } catch (error) {
+            throw new Error(`${name}: migration to version ${target} failed: ${error.message}`);
+        }
+
+        if (!result || typeof result !== 'object' || Array.isArray(result)) {
+            throw new Error(`${name}: migration to version ${target} must return an object`);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * MigrationReport Class
+ * Collects what happened while loading saved component data
+ */
+export class MigrationReport {
+    /**
+     * Create an empty report
+     */
+    constructor() {
+        this.migrated = []; // { component, fromVersion, toVersion }
+        this.failed = []; // { entityId, entityName, component, fromVersion, toVersion, error, data }
+    }
+
+    /**
+     * Record component data that was migrated successfully
+     * @param {string} component - Component type name
+     * @param {number} fromVersion - Saved version
+     * @param {number} toVersion - Current version
+     */
+    recordMigrated(component, fromVersion, toVersion) {
+        this.migrated.push({ component, fromVersion, toVersion });
+    }
+
+    /**
+     * Record component data that could not be loaded
+     * The raw data is kept so it can be repaired by hand
+     * @param {Object} failure - { entityId, entityName, component, fromVersion, toVersion, error, data }
+     */
+    recordFailure(failure) {
+        this.failed.push(failure);
+    }
+
+    /**
+     * Check if any component data failed to load
+     * @returns {boolean} True if there were failures
+     */
+    hasFailures() {
+        return this.failed.length > 0;
+    }
+
+    /**
+     * Summarize the report
+     * @returns {Object} { migrated, failed, failures } where failures omit the raw data
+     */
+    summary() {
+        return {
+            migrated: this.migrated.length,
+            failed: this.failed.length,
+            failures: this.failed.map(({ data, ...failure }) => failure)
+        };
+    }
+}
@@ -0,0 +1,233 @@
+import { Component } from './component.js';
+import { System } from './system.js';
+
+/**
+ * Plugin format:
+ *   export const CombatPlugin = {
+ *       name: 'combat',
+ *       dependencies: [HealthPlugin, 'inventory'], // plugin objects are installed first, names must already be installed
+ *       components: { HealthComponent, DamageComponent }, // registered with Component.register
+ *       systems: [CombatSystem, (world, options) => new LootSystem(options.lootTable)], // classes, factories or instances
+ *       prefabs: { goblin: {...} }, // loaded into world.prefabs
+ *       events: { entityRemoved: entity => {...} }, // world.on listeners
+ *       init(world, options) {}, // after everything above is in place
+ *       teardown(world) {} // before systems, listeners and prefabs are removed
+ *   };
+ *
+ * A plugin object carries no per-world state, so the same plugin can be used
+ * by the server and client worlds. Anything per-world belongs in init().
+ */
+
+/**
+ * PluginManager Class
+ * Installs and removes plugins on a world, tracking what each one added
+ */
+export class PluginManager {
+    /**
+     * Create a new plugin manager
+     * @param {World} world - The world plugins are installed on
+     */
+    constructor(world) {
+        this.world = world;
+        this.installed = new Map(); // Plugin name -> install record
+        this.installing = []; // Plugin names being installed (cycle detection)
+    }
+
+    /**
+     * Check if a plugin is installed
+     * @param {Object|string} pluginOrName - Plugin object or name
+     * @returns {boolean} True if installed
+     */
+    has(pluginOrName) {
+        return this.installed.has(pluginName(pluginOrName));
+    }
+
+    /**
+     * Get an installed plugin by name
+     * @param {string} name - Plugin name
+     * @returns {Object|null} The plugin, or null if not installed
+     */
+    get(name) {
+        const record = this.installed.get(name);
+        return record ? record.plugin : null;
+    }
+
+    /**
+     * Install a plugin and any plugin-object dependencies it lists
+     * Installing an already installed plugin does nothing
+     * @param {Object} plugin - Plugin definition
+     * @param {Object} [options={}] - Options passed to the plugin's init hook
+     * @throws {Error} If the plugin is invalid, a dependency is missing or dependencies are circular
+     */
+    install(plugin, options = {}) {
+        validatePlugin(plugin);
+        if (this.installed.has(plugin.name)) return;
+
+        if (this.installing.includes(plugin.name)) {
+            throw new Error(`Plugin dependency cycle: ${[...this.installing, plugin.name].join(' -> ')}`);
+        }
+
+        this.installing.push(plugin.name);
+        try {
+            for (const dependency of plugin.dependencies || []) {
+                if (typeof dependency === 'string') {
+                    if (!this.installed.has(dependency)) {
+                        throw new Error(`Plugin '${plugin.name}' depends on '${dependency}', which is not installed`);
+                    }
+                } else {
+                    this.install(dependency);
+                }
+            }
+        } finally {
+            this.installing.pop();
+        }
+
+        const world = this.world;
+        const record = { plugin, systems: [], listeners: [], prefabIds: [] };
+
+        // Components are registered globally, so they stay registered after removal
+        const components = plugin.components || {};
+        for (const typeName of Object.keys(components)) {
+            Component.register(typeName, components[typeName]);
+        }
+
+        try {
+            if (plugin.prefabs) {
+                const before = new Set(world.prefabs.templates.keys());
+                world.prefabs.load(plugin.prefabs);
+                record.prefabIds = [...world.prefabs.templates.keys()].filter(id => !before.has(id));
+            }
+
+            for (const entry of plugin.systems || []) {
+                const system = createSystem(entry, world, options, plugin.name);
+                record.systems.push(system);
+                world.registerSystem(system);
+            }
+
+            const events = plugin.events || {};
+            for (const eventName of Object.keys(events)) {
+                world.on(eventName, events[eventName]);
+                record.listeners.push([eventName, events[eventName]]);
+            }
+
+            if (typeof plugin.init === 'function') {
+                plugin.init(world, options);
+            }
+        } catch (error) {
+            // Leave the world as it was before the failed install
+            this.undo(record);
+            throw error;
+        }
+
+        this.installed.set(plugin.name, record);
+
+        world.emit('pluginInstalled', plugin);
+    }
+
+    /**
+     * Remove an installed plugin, undoing its systems, listeners and prefabs
+     * Plugins it installed as dependencies stay installed
+     * @param {Object|string} pluginOrName - Plugin object or name
+     * @returns {boolean} True if the plugin was installed
+     * @throws {Error} If another installed plugin depends on it
+     */
+    uninstall(pluginOrName) {
+        const name = pluginName(pluginOrName);
+        const record = this.installed.get(name);
+        if (!record) return false;
+
+        const dependents = [...this.installed.values()]
+            .filter(other => (other.plugin.dependencies || []).some(dependency => pluginName(dependency) === name))
+            .map(other => other.plugin.name);
+        if (dependents.length > 0) {
+            throw new Error(`Cannot remove plugin '${name}': required by ${dependents.join(', ')}`);
+        }
+
+        if (typeof record.plugin.teardown === 'function') {
+            record.plugin.teardown(this.world);
+        }
+
+        this.undo(record);
+        this.installed.delete(name);
+        this.world.emit('pluginRemoved', record.plugin);
+        return true;
+    }
+
+    /**
+     * Remove the listeners, systems and prefabs a plugin added
+     * @param {Object} record - Install record
+     * @private
+     */
+    undo(record) {
+        const world = this.world;
+
+        for (const [eventName, listener] of record.listeners) {
+            world.off(eventName, listener);
+        }
+        for (const system of record.systems) {
+            world.unregisterSystem(system);
+        }
+        for (const id of record.prefabIds) {
+            world.prefabs.unregister(id);
+        }
+    }
+
+    /**
+     * Remove every installed plugin, dependents before their dependencies
+     */
+    uninstallAll() {
+        for (const name of [...this.installed.keys()].reverse()) {
+            this.uninstall(name);
+        }
+    }
+}
+
+/**
+ * Get a plugin's name from a plugin object or name
+ * @param {Object|string} pluginOrName - Plugin object or name
+ * @returns {string} Plugin name
+ */
+function pluginName(pluginOrName) {
+    return typeof pluginOrName === 'string' ? pluginOrName : pluginOrName.name;
+}
+
+/**
+ * Check the shape of a plugin definition
+ * @param {Object} plugin - Plugin definition
+ * @throws {Error} If the plugin is malformed
+ */
+function validatePlugin(plugin) {
+    if (!plugin || typeof plugin !== 'object') {
+        throw new Error('Plugin must be an object');
+    }
+    if (typeof plugin.name !== 'string' || plugin.name === '') {
+        throw new Error('Plugin needs a name');
+    }
+    if (plugin.systems !== undefined && !Array.isArray(plugin.systems)) {
+        throw new Error(`Plugin '${plugin.name}': systems must be an array`);
+    }
+    if (plugin.dependencies !== undefined && !Array.isArray(plugin.dependencies)) {
+        throw new Error(`Plugin '${plugin.name}': dependencies must be an array`);
+    }
+}
+
+/**
+ * Turn a plugin's systems entry into a system instance
+ * @param {System|Function} entry - System instance, System subclass, or factory (world, options) => System
+ * @param {World} world - The world being installed into
+ * @param {Object} options - Options given to world.use
+ * @param {string} name - Plugin name for error messages
+ * @returns {System} System instance
+ */
+function createSystem(entry, world, options, name) {
+    let system = entry;
+
+    if (typeof entry === 'function') {
+        system = entry.prototype instanceof System ? new entry() : entry(world, options);
+    }
+
+    if (!(system instanceof System)) {
+        throw new Error(`Plugin '${name}': systems entries must be System classes, instances or factories`);
+    }
+    return system;
+}
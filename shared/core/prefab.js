@@ -0,0 +1,246 @@
+import { Entity } from './entity.js';
+import { Component } from './component.js';
+
+/**
+ * PrefabRegistry Class
+ * Stores entity templates loaded from JSON and builds entities from them
+ *
+ * Template format:
+ *   {
+ *     "extends": "monster",            // optional parent prefab (or list of parents)
+ *     "name": "Goblin",                // optional entity name
+ *     "tags": ["npc", "hostile"],      // added to inherited tags
+ *     "components": {
+ *       "TransformComponent": { "scale": { "x": 0.8, "y": 0.8, "z": 0.8 } },
+ *       "LootComponent": null          // null removes an inherited component
+ *     }
+ *   }
+ *
+ * Component data is deep merged down the inheritance chain: objects merge
+ * field by field, everything else (including arrays) is replaced.
+ *
+ * A registry can have a parent: prefabs it doesn't have itself are looked up
+ * there, and its own prefabs shadow the parent's without changing them.
+ */
+export class PrefabRegistry {
+    /**
+     * Create a new prefab registry
+     * @param {PrefabRegistry} [parent] - Registry to fall back to for prefabs not registered here
+     */
+    constructor(parent = null) {
+        this.parent = parent;
+        this.templates = new Map(); // Prefab ID -> raw template registered here
+        this.resolved = new Map(); // Prefab ID -> template with inheritance applied
+        this.revision = 0; // Bumped whenever templates change
+        this.resolvedRevision = 0; // getRevision() when `resolved` was last valid
+    }
+
+    /**
+     * Get a number that changes whenever this registry or a parent changes
+     * @returns {number} Combined revision
+     */
+    getRevision() {
+        return this.revision + (this.parent ? this.parent.getRevision() : 0);
+    }
+
+    /**
+     * Register a prefab template
+     * @param {string} id - Prefab ID
+     * @param {Object} template - Prefab template
+     * @returns {PrefabRegistry} This registry for chaining
+     */
+    register(id, template) {
+        if (!template || typeof template !== 'object') {
+            throw new Error(`Prefab '${id}' must be an object`);
+        }
+
+        this.templates.set(id, template);
+
+        // Any resolved prefab might inherit from this one
+        this.revision++;
+        return this;
+    }
+
+    /**
+     * Load prefab templates from JSON
+     * Accepts a map of ID -> template, or an array of templates with an `id` field
+     * @param {string|Object|Array} json - JSON string or parsed data
+     * @returns {PrefabRegistry} This registry for chaining
+     */
+    load(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (Array.isArray(data)) {
+            for (const template of data) {
+                if (!template.id) {
+                    throw new Error('Prefab templates in an array need an id');
+                }
+                const { id, ...rest } = template;
+                this.register(id, rest);
+            }
+        } else {
+            for (const id of Object.keys(data)) {
+                this.register(id, data[id]);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Check if a prefab is registered here or in a parent
+     * @param {string} id - Prefab ID
+     * @returns {boolean} True if registered
+     */
+    has(id) {
+        return this.templates.has(id) || (this.parent !== null && this.parent.has(id));
+    }
+
+    /**
+     * Remove a prefab registered here; a parent's prefab with the same ID shows through again
+     * @param {string} id - Prefab ID
+     */
+    unregister(id) {
+        if (this.templates.delete(id)) {
+            this.revision++;
+        }
+    }
+
+    /**
+     * Get a prefab's raw template from this registry or the nearest parent that has it
+     * @param {string} id - Prefab ID
+     * @returns {Object|undefined} Raw template, or undefined if not registered
+     */
+    getTemplate(id) {
+        if (this.templates.has(id)) return this.templates.get(id);
+        return this.parent ? this.parent.getTemplate(id) : undefined;
+    }
+
+    /**
+     * Get a prefab with its inheritance chain applied
+     * @param {string} id - Prefab ID
+     * @param {Array<string>} [chain=[]] - Prefabs currently being resolved (cycle detection)
+     * @returns {Object} Resolved template with name, tags and components
+     * @throws {Error} If the prefab or a parent is missing, or inheritance is circular
+     */
+    resolve(id, chain = []) {
+        // Drop cached results once this registry or a parent has changed
+        const revision = this.getRevision();
+        if (revision !== this.resolvedRevision) {
+            this.resolved.clear();
+            this.resolvedRevision = revision;
+        }
+
+        if (this.resolved.has(id)) {
+            return this.resolved.get(id);
+        }
+
+        if (chain.includes(id)) {
+            throw new Error(`Prefab inheritance cycle: ${[...chain, id].join(' -> ')}`);
+        }
+
+        const template = this.getTemplate(id);
+        if (!template) {
+            throw new Error(chain.length > 0 ?
+                `Prefab '${chain[chain.length - 1]}' extends unknown prefab '${id}'` :
+                `Prefab '${id}' not registered`);
+        }
+
+        let result = { name: undefined, tags: [], components: {} };
+
+        const parents = template.extends === undefined ? [] :
+            (Array.isArray(template.extends) ? template.extends : [template.extends]);
+        for (const parentId of parents) {
+            result = mergeTemplates(result, this.resolve(parentId, [...chain, id]));
+        }
+
+        result = mergeTemplates(result, template);
+        result.prefab = id;
+
+        this.resolved.set(id, result);
+        return result;
+    }
+
+    /**
+     * Build an entity from a prefab
+     * The entity is not added to any world
+     * @param {string} id - Prefab ID
+     * @param {Object} [overrides] - Template-shaped overrides (name, tags, components, networkId)
+     * @returns {Entity} New entity
+     */
+    instantiate(id, overrides = {}) {
+        const template = mergeTemplates(this.resolve(id), overrides);
+        const entity = new Entity(template.name || '');
+
+        for (const tag of template.tags) {
+            entity.addTag(tag);
+        }
+
+        if (overrides.networkId !== undefined) {
+            entity.setNetworkId(overrides.networkId);
+        }
+
+        for (const componentName in template.components) {
+            const data = template.components[componentName];
+            if (data === null) continue;
+            entity.addComponent(Component.create(componentName, data));
+        }
+
+        entity.prefab = id;
+        return entity;
+    }
+}
+
+// Prefabs every world can use; each world's own registry falls back to this one
+PrefabRegistry.default = new PrefabRegistry();
+
+/**
+ * Merge a child template over a base template
+ * @param {Object} base - Resolved base template
+ * @param {Object} child - Template or overrides to apply on top
+ * @returns {Object} New merged template
+ */
+function mergeTemplates(base, child) {
+    const merged = {
+        name: child.name !== undefined ? child.name : base.name,
+        tags: [...new Set([...(base.tags || []), ...(child.tags || [])])],
+        components: { ...base.components }
+    };
+
+    const components = child.components || {};
+    for (const componentName of Object.keys(components)) {
+        const data = components[componentName];
+        merged.components[componentName] = data === null ? null :
+            deepMerge(merged.components[componentName], data);
+    }
+
+    return merged;
+}
+
+/**
+ * Deep merge plain objects; arrays and other values replace
+ * @param {*} base - Base value
+ * @param {*} override - Override value
+ * @returns {*} Merged value
+ */
+function deepMerge(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) {
+        return isPlainObject(override) ? deepMerge({}, override) : override;
+    }
+
+    const result = { ...base };
+    for (const key of Object.keys(override)) {
+        if (key === '__proto__') continue;
+        result[key] = deepMerge(base[key], override[key]);
+    }
+    return result;
+}
+
+/**
+ * Check for a plain (JSON-style) object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,162 @@
+/**
+ * RollingStats Class
+ * Keeps the most recent samples of a measurement in a ring buffer
+ */
+export class RollingStats {
+    /**
+     * Create a new rolling sample window
+     * @param {number} [size=120] - Number of samples kept
+     */
+    constructor(size = 120) {
+        this.samples = new Float64Array(size);
+        this.count = 0; // Samples stored, up to size
+        this.next = 0; // Ring buffer write position
+        this.last = 0;
+        this.total = 0; // Samples recorded since the last reset
+    }
+
+    /**
+     * Record a sample
+     * @param {number} value - Sample value
+     */
+    add(value) {
+        this.samples[this.next] = value;
+        this.next = (this.next + 1) % this.samples.length;
+        this.count = Math.min(this.count + 1, this.samples.length);
+        this.last = value;
+        this.total++;
+    }
+
+    /**
+     * Summarize the stored samples
+     * @returns {Object} { last, avg, p50, p95, p99, max, samples }
+     */
+    summary() {
+        if (this.count === 0) {
+            return { last: 0, avg: 0, p50: 0, p95: 0, p99: 0, max: 0, samples: 0 };
+        }
+
+        const sorted = this.samples.slice(0, this.count).sort();
+        let sum = 0;
+        for (const value of sorted) {
+            sum += value;
+        }
+
+        return {
+            last: this.last,
+            avg: sum / this.count,
+            p50: percentile(sorted, 0.5),
+            p95: percentile(sorted, 0.95),
+            p99: percentile(sorted, 0.99),
+            max: sorted[sorted.length - 1],
+            samples: this.count
+        };
+    }
+
+    /**
+     * Discard all samples
+     */
+    reset() {
+        this.count = 0;
+        this.next = 0;
+        this.last = 0;
+        this.total = 0;
+    }
+}
+
+/**
+ * WorldProfiler Class
+ * Records how long each system and each simulation step takes
+ * Durations are in milliseconds
+ */
+export class WorldProfiler {
+    /**
+     * Create a new profiler
+     * @param {number} [sampleSize=120] - Samples kept per measurement
+     */
+    constructor(sampleSize = 120) {
+        this.sampleSize = sampleSize;
+        this.systems = new Map(); // System -> { time, entities }
+        this.steps = new RollingStats(sampleSize); // Whole simulation steps
+        this.updates = new RollingStats(sampleSize); // Whole world.update calls
+    }
+
+    /**
+     * Record one run of a system
+     * @param {System} system - The system
+     * @param {number} duration - Run time in milliseconds
+     * @param {number} entityCount - Entities the system processed
+     */
+    recordSystem(system, duration, entityCount) {
+        let record = this.systems.get(system);
+        if (!record) {
+            record = {
+                time: new RollingStats(this.sampleSize),
+                entities: new RollingStats(this.sampleSize)
+            };
+            this.systems.set(system, record);
+        }
+
+        record.time.add(duration);
+        record.entities.add(entityCount);
+    }
+
+    /**
+     * Record one simulation step
+     * @param {number} duration - Step time in milliseconds
+     */
+    recordStep(duration) {
+        this.steps.add(duration);
+    }
+
+    /**
+     * Record one world update (all steps plus rendering)
+     * @param {number} duration - Update time in milliseconds
+     */
+    recordUpdate(duration) {
+        this.updates.add(duration);
+    }
+
+    /**
+     * Summarize recorded timings
+     * @param {Array<System>} systems - Systems in schedule order
+     * @returns {Object} { steps, updates, systems: [...] }
+     */
+    getStats(systems) {
+        return {
+            steps: this.steps.summary(),
+            updates: this.updates.summary(),
+            systems: systems.map(system => {
+                const record = this.systems.get(system);
+                return {
+                    name: system.name,
+                    phase: system.phase,
+                    enabled: system.enabled,
+                    runs: record ? record.time.total : 0,
+                    time: record ? record.time.summary() : new RollingStats(1).summary(),
+                    entities: record ? record.entities.summary().avg : 0
+                };
+            })
+        };
+    }
+
+    /**
+     * Discard all recorded timings
+     */
+    reset() {
+        this.systems.clear();
+        this.steps.reset();
+        this.updates.reset();
+    }
+}
+
+/**
+ * Read a percentile from sorted samples (nearest rank)
+ * @param {Float64Array} sorted - Samples in ascending order
+ * @param {number} fraction - Percentile as a fraction (0.95 for p95)
+ * @returns {number} Sample value
+ */
+function percentile(sorted, fraction) {
+    const index = Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
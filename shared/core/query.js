@@ -0,0 +1,192 @@
+/**
+ * Query Class
+ * A live, incrementally maintained set of entities matching a component/tag filter
+ */
+export class Query {
+    /**
+     * Create a new query
+     * @param {Object} descriptor - Query filter
+     * @param {Array<string>} [descriptor.all=[]] - Components an entity must all have
+     * @param {Array<string>} [descriptor.any=[]] - Components an entity must have at least one of
+     * @param {Array<string>} [descriptor.none=[]] - Components an entity must not have
+     * @param {Array<string>} [descriptor.tags=[]] - Tags an entity must all have
+     * @param {Array<string>} [descriptor.changed=[]] - Components whose markChanged() calls are reported in `changed`
+     */
+    constructor(descriptor = {}) {
+        this.all = descriptor.all || [];
+        this.any = descriptor.any || [];
+        this.none = descriptor.none || [];
+        this.tags = descriptor.tags || [];
+        this.watched = descriptor.changed || [];
+        this.key = Query.key(descriptor);
+
+        this.entities = new Set(); // Currently matching entities
+
+        // Per-frame change lists, cleared by the world at the end of each update
+        this.added = new Set();
+        this.removed = new Set();
+        this.changed = new Set();
+
+        this.resultsCache = [];
+        this.dirty = false;
+
+        // Maintained by the world: holders from world.query(), and frames since the last lookup
+        this.refs = 0;
+        this.idleFrames = 0;
+    }
+
+    /**
+     * Check if an entity matches this query's filter
+     * @param {Entity} entity - The entity to check
+     * @returns {boolean} True if the entity matches
+     */
+    matches(entity) {
+        if (!entity.active) return false;
+
+        for (const componentName of this.all) {
+            if (!entity.hasComponent(componentName)) return false;
+        }
+
+        if (this.any.length > 0 && !this.any.some(componentName => entity.hasComponent(componentName))) {
+            return false;
+        }
+
+        for (const componentName of this.none) {
+            if (entity.hasComponent(componentName)) return false;
+        }
+
+        for (const tag of this.tags) {
+            if (!entity.hasTag(tag)) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Check if a component or tag name affects this query
+     * @param {string} name - Component or tag name
+     * @returns {boolean} True if the query filters on the name
+     */
+    isInterestedIn(name) {
+        return this.all.includes(name) || this.any.includes(name) ||
+            this.none.includes(name) || this.tags.includes(name);
+    }
+
+    /**
+     * Check if data changes to a component are reported by this query
+     * @param {string} componentName - Component name
+     * @returns {boolean} True if the component is watched
+     */
+    watches(componentName) {
+        return this.watched.includes(componentName);
+    }
+
+    /**
+     * Re-evaluate an entity after a structural change
+     * @param {Entity} entity - The entity that changed
+     * @param {string} [name] - The component or tag that changed
+     */
+    check(entity, name) {
+        const wasMatched = this.entities.has(entity);
+        const nowMatches = this.matches(entity);
+
+        if (!wasMatched && nowMatches) {
+            this.add(entity);
+        } else if (wasMatched && !nowMatches) {
+            this.remove(entity);
+        } else if (wasMatched && name !== undefined && this.isInterestedIn(name)) {
+            this.markChanged(entity);
+        }
+    }
+
+    /**
+     * Add an entity to the result set
+     * @param {Entity} entity - The entity to add
+     * @private
+     */
+    add(entity) {
+        this.entities.add(entity);
+        this.removed.delete(entity);
+        this.added.add(entity);
+        this.dirty = true;
+    }
+
+    /**
+     * Remove an entity from the result set
+     * @param {Entity} entity - The entity to remove
+     */
+    remove(entity) {
+        if (!this.entities.has(entity)) return;
+
+        this.entities.delete(entity);
+        this.changed.delete(entity);
+
+        // Added and removed within the same frame cancels out
+        if (this.added.has(entity)) {
+            this.added.delete(entity);
+        } else {
+            this.removed.add(entity);
+        }
+
+        this.dirty = true;
+    }
+
+    /**
+     * Record that a matching entity changed this frame
+     * @param {Entity} entity - The entity that changed
+     */
+    markChanged(entity) {
+        if (this.entities.has(entity) && !this.added.has(entity)) {
+            this.changed.add(entity);
+        }
+    }
+
+    /**
+     * Matching entities as an array
+     * The array is cached between membership changes and must not be mutated
+     * @returns {Array<Entity>} Matching entities
+     */
+    get results() {
+        if (this.dirty) {
+            this.resultsCache = Array.from(this.entities);
+            this.dirty = false;
+        }
+        return this.resultsCache;
+    }
+
+    /**
+     * Number of matching entities
+     * @returns {number} Entity count
+     */
+    get size() {
+        return this.entities.size;
+    }
+
+    /**
+     * Clear the per-frame added, removed and changed lists
+     */
+    clearChanges() {
+        this.added.clear();
+        this.removed.clear();
+        this.changed.clear();
+    }
+
+    /**
+     * Iterate over matching entities
+     * @returns {Iterator<Entity>} Entity iterator
+     */
+    [Symbol.iterator]() {
+        return this.entities.values();
+    }
+}
+
+/**
+ * Build a stable cache key for a query descriptor
+ * @param {Object} descriptor - Query filter
+ * @returns {string} Cache key
+ */
+Query.key = function(descriptor = {}) {
+    const part = list => (list ? [...list].sort().join(',') : '');
+    return `all:${part(descriptor.all)}|any:${part(descriptor.any)}|none:${part(descriptor.none)}` +
+        `|tags:${part(descriptor.tags)}|changed:${part(descriptor.changed)}`;
+};
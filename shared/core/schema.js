@@ -0,0 +1,363 @@
+import * as THREE from '../modules/three.module.js';
+
+/**
+ * Component Schema DSL
+ * A schema maps field names to a type, or to a field definition:
+ *
+ *   MyComponent.schema = {
+ *       health: { type: Types.Number, default: 100, min: 0, max: 1000 },
+ *       name: Types.String,
+ *       stance: { type: Types.Enum, values: ['idle', 'combat'], default: 'idle' },
+ *       waypoints: { type: Types.Array, of: Types.Vec3, maxLength: 32 },
+ *       target: { type: Types.EntityRef, required: true },
+ *       properties: { type: Types.Json, default: {} }
+ *   };
+ *
+ * Each type provides create (default value), validate (returns a normalized
+ * copy or throws), clone and serialize.
+ */
+
+/**
+ * Check that a value is a finite number
+ * @param {*} value - Value to check
+ * @param {string} path - Field path for error messages
+ * @returns {number} The value
+ */
+function expectNumber(value, path) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`${path}: expected a finite number, got ${describe(value)}`);
+    }
+    return value;
+}
+
+/**
+ * Check a number against a field's min/max range
+ * @param {number} value - Value to check
+ * @param {Object} field - Field definition
+ * @param {string} path - Field path for error messages
+ * @returns {number} The value
+ */
+function checkRange(value, field, path) {
+    if (field.min !== undefined && value < field.min) {
+        throw new Error(`${path}: ${value} is below the minimum of ${field.min}`);
+    }
+    if (field.max !== undefined && value > field.max) {
+        throw new Error(`${path}: ${value} is above the maximum of ${field.max}`);
+    }
+    return value;
+}
+
+/**
+ * Read x/y/z from an object or [x, y, z] array
+ * @param {*} value - Source value
+ * @param {string} path - Field path for error messages
+ * @returns {Array<number>} The three components
+ */
+function readXYZ(value, path) {
+    if (Array.isArray(value)) {
+        return [0, 1, 2].map(i => expectNumber(value[i], `${path}[${i}]`));
+    }
+    if (!value || typeof value !== 'object') {
+        throw new Error(`${path}: expected {x, y, z}, got ${describe(value)}`);
+    }
+
+    // Accept the raw Euler fields produced by older, schema-less serialization
+    const x = value.x !== undefined ? value.x : value._x;
+    const y = value.y !== undefined ? value.y : value._y;
+    const z = value.z !== undefined ? value.z : value._z;
+
+    return [
+        expectNumber(x, `${path}.x`),
+        expectNumber(y, `${path}.y`),
+        expectNumber(z, `${path}.z`)
+    ];
+}
+
+/**
+ * Short description of a value for error messages
+ * @param {*} value - The value
+ * @returns {string} Description
+ */
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return String(value);
+    return typeof value;
+}
+
+/**
+ * Deep copy a JSON-safe value, rejecting anything JSON can't represent
+ * @param {*} value - Value to copy
+ * @param {string} path - Field path for error messages
+ * @returns {*} The copy
+ */
+function copyJson(value, path) {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+        return value;
+    }
+    if (typeof value === 'number') {
+        return expectNumber(value, path);
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, i) => copyJson(item, `${path}[${i}]`));
+    }
+    if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        const result = {};
+        for (const key of Object.keys(value)) {
+            if (key === '__proto__') {
+                throw new Error(`${path}: invalid key '${key}'`);
+            }
+            result[key] = copyJson(value[key], `${path}.${key}`);
+        }
+        return result;
+    }
+    throw new Error(`${path}: expected JSON data, got ${describe(value)}`);
+}
+
+/**
+ * Field types
+ */
+export const Types = {
+    Number: {
+        name: 'number',
+        create: field => Math.min(
+            Math.max(0, field.min !== undefined ? field.min : -Infinity),
+            field.max !== undefined ? field.max : Infinity
+        ),
+        validate(value, field, path) {
+            expectNumber(value, path);
+            if (field.integer && !Number.isInteger(value)) {
+                throw new Error(`${path}: expected an integer, got ${value}`);
+            }
+            return checkRange(value, field, path);
+        },
+        clone: value => value,
+        serialize: value => value
+    },
+
+    String: {
+        name: 'string',
+        create: () => '',
+        validate(value, field, path) {
+            if (typeof value !== 'string') {
+                throw new Error(`${path}: expected a string, got ${describe(value)}`);
+            }
+            if (field.maxLength !== undefined && value.length > field.maxLength) {
+                throw new Error(`${path}: longer than ${field.maxLength} characters`);
+            }
+            return value;
+        },
+        clone: value => value,
+        serialize: value => value
+    },
+
+    Bool: {
+        name: 'bool',
+        create: () => false,
+        validate(value, field, path) {
+            if (typeof value !== 'boolean') {
+                throw new Error(`${path}: expected a boolean, got ${describe(value)}`);
+            }
+            return value;
+        },
+        clone: value => value,
+        serialize: value => value
+    },
+
+    Vec3: {
+        name: 'vec3',
+        create: () => new THREE.Vector3(0, 0, 0),
+        validate(value, field, path) {
+            const [x, y, z] = readXYZ(value, path);
+            checkRange(x, field, `${path}.x`);
+            checkRange(y, field, `${path}.y`);
+            checkRange(z, field, `${path}.z`);
+            return new THREE.Vector3(x, y, z);
+        },
+        clone: value => value.clone(),
+        serialize: value => ({ x: value.x, y: value.y, z: value.z })
+    },
+
+    Euler: {
+        name: 'euler',
+        create: () => new THREE.Euler(0, 0, 0),
+        validate(value, field, path) {
+            const [x, y, z] = readXYZ(value, path);
+            const order = value.order || value._order || 'XYZ';
+            if (!EULER_ORDERS.includes(order)) {
+                throw new Error(`${path}.order: unknown rotation order '${order}'`);
+            }
+            return new THREE.Euler(x, y, z, order);
+        },
+        clone: value => value.clone(),
+        serialize: value => ({ x: value.x, y: value.y, z: value.z, order: value.order })
+    },
+
+    EntityRef: {
+        name: 'entity-ref',
+        create: () => null,
+        validate(value, field, path) {
+            if (value === null) return null;
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error(`${path}: expected an entity ID or null, got ${describe(value)}`);
+            }
+            return value;
+        },
+        clone: value => value,
+        serialize: value => value
+    },
+
+    Enum: {
+        name: 'enum',
+        create: field => field.values[0],
+        validate(value, field, path) {
+            if (!field.values.includes(value)) {
+                throw new Error(`${path}: expected one of ${field.values.join(', ')}, got '${value}'`);
+            }
+            return value;
+        },
+        clone: value => value,
+        serialize: value => value
+    },
+
+    Array: {
+        name: 'array',
+        create: () => [],
+        validate(value, field, path) {
+            if (!Array.isArray(value)) {
+                throw new Error(`${path}: expected an array, got ${describe(value)}`);
+            }
+            if (field.maxLength !== undefined && value.length > field.maxLength) {
+                throw new Error(`${path}: more than ${field.maxLength} items`);
+            }
+            return value.map((item, i) => validateValue(field.of, item, `${path}[${i}]`));
+        },
+        clone: (value, field) => value.map(item => field.of.type.clone(item, field.of)),
+        serialize: (value, field) => value.map(item => field.of.type.serialize(item, field.of))
+    },
+
+    Map: {
+        name: 'map',
+        create: () => ({}),
+        validate(value, field, path) {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`${path}: expected an object, got ${describe(value)}`);
+            }
+            const keys = Object.keys(value);
+            if (field.maxLength !== undefined && keys.length > field.maxLength) {
+                throw new Error(`${path}: more than ${field.maxLength} entries`);
+            }
+            const result = {};
+            for (const key of keys) {
+                if (key === '__proto__') {
+                    throw new Error(`${path}: invalid key '${key}'`);
+                }
+                result[key] = validateValue(field.of, value[key], `${path}.${key}`);
+            }
+            return result;
+        },
+        clone(value, field) {
+            const result = {};
+            for (const key in value) {
+                result[key] = field.of.type.clone(value[key], field.of);
+            }
+            return result;
+        },
+        serialize(value, field) {
+            const result = {};
+            for (const key in value) {
+                result[key] = field.of.type.serialize(value[key], field.of);
+            }
+            return result;
+        }
+    },
+
+    // Free-form JSON data (item properties, client state); copied on every write
+    Json: {
+        name: 'json',
+        create: () => null,
+        validate: (value, field, path) => copyJson(value, path),
+        clone: value => copyJson(value, 'json'),
+        serialize: value => copyJson(value, 'json')
+    }
+};
+
+const EULER_ORDERS = ['XYZ', 'YXZ', 'ZXY', 'ZYX', 'YZX', 'XZY'];
+
+// Compiled schemas, keyed by the raw schema object
+const compiledSchemas = new WeakMap();
+
+/**
+ * Normalize a field definition or bare type into a field object
+ * @param {Object} definition - A type from Types or a field definition
+ * @param {string} path - Field path for error messages
+ * @returns {Object} Field with type, default, required, min, max, ...
+ */
+export function normalizeField(definition, path) {
+    const field = Object.values(Types).includes(definition) ?
+        { type: definition } :
+        { ...definition };
+
+    if (!field.type || typeof field.type.validate !== 'function') {
+        throw new Error(`${path}: schema field has no valid type`);
+    }
+    if (field.type === Types.Enum && (!Array.isArray(field.values) || field.values.length === 0)) {
+        throw new Error(`${path}: enum fields need a non-empty 'values' list`);
+    }
+    if (field.type === Types.Array || field.type === Types.Map) {
+        if (!field.of) {
+            throw new Error(`${path}: ${field.type.name} fields need an 'of' item type`);
+        }
+        field.of = normalizeField(field.of, `${path}[]`);
+    }
+
+    field.required = field.required === true;
+    return field;
+}
+
+/**
+ * Compile a component schema, caching the result
+ * @param {Object} schema - Raw schema object
+ * @param {string} [name='Component'] - Component name for error messages
+ * @returns {Map<string, Object>} Field name -> normalized field
+ */
+export function compileSchema(schema, name = 'Component') {
+    let compiled = compiledSchemas.get(schema);
+    if (!compiled) {
+        compiled = new Map();
+        for (const fieldName of Object.keys(schema)) {
+            compiled.set(fieldName, normalizeField(schema[fieldName], `${name}.${fieldName}`));
+        }
+        compiledSchemas.set(schema, compiled);
+    }
+    return compiled;
+}
+
+/**
+ * Build the default value of a field
+ * @param {Object} field - Normalized field
+ * @param {string} path - Field path for error messages
+ * @returns {*} Default value
+ */
+export function createDefault(field, path) {
+    if (field.default === undefined) {
+        return field.type.create(field);
+    }
+    const value = typeof field.default === 'function' ? field.default() : field.default;
+    return validateValue(field, value, path);
+}
+
+/**
+ * Validate a value against a field, returning a normalized copy
+ * @param {Object} field - Normalized field
+ * @param {*} value - Value to validate
+ * @param {string} path - Field path for error messages
+ * @returns {*} Normalized value
+ * @throws {Error} If the value does not match the field
+ */
+export function validateValue(field, value, path) {
+    if (value === undefined) {
+        throw new Error(`${path}: value is missing`);
+    }
+    return field.type.validate(value, field, path);
+}
@@ -0,0 +1,170 @@
+/**
+ * SpatialGrid Class
+ * Uniform grid that buckets entities by their TransformComponent position
+ */
+export class SpatialGrid {
+    /**
+     * Create a new spatial grid
+     * @param {number} [cellSize=50] - Size of a grid cell in world units
+     */
+    constructor(cellSize = 50) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // Cell key -> Set of entities
+        this.entityCells = new Map(); // Entity -> cell key
+    }
+
+    /**
+     * Get the cell coordinate for a world coordinate
+     * @param {number} value - World coordinate
+     * @returns {number} Cell coordinate
+     */
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * Get the cell key for a position
+     * @param {Object} position - Position with x, y and z
+     * @returns {string} Cell key
+     */
+    getCellKey(position) {
+        return SpatialGrid.key(
+            this.toCell(position.x || 0),
+            this.toCell(position.y || 0),
+            this.toCell(position.z || 0)
+        );
+    }
+
+    /**
+     * Insert an entity, or move it to a new cell if its position changed
+     * @param {Entity} entity - The entity to insert
+     * @param {Object} position - Current position of the entity
+     * @returns {boolean} True if the entity changed cells
+     */
+    insert(entity, position) {
+        const key = this.getCellKey(position);
+        const currentKey = this.entityCells.get(entity);
+
+        if (currentKey === key) return false;
+
+        if (currentKey !== undefined) {
+            this.removeFromCell(entity, currentKey);
+        }
+
+        if (!this.cells.has(key)) {
+            this.cells.set(key, new Set());
+        }
+        this.cells.get(key).add(entity);
+        this.entityCells.set(entity, key);
+
+        return true;
+    }
+
+    /**
+     * Remove an entity from the grid
+     * @param {Entity} entity - The entity to remove
+     */
+    remove(entity) {
+        const key = this.entityCells.get(entity);
+        if (key === undefined) return;
+
+        this.removeFromCell(entity, key);
+        this.entityCells.delete(entity);
+    }
+
+    /**
+     * Remove an entity from a single cell, dropping the cell once empty
+     * @param {Entity} entity - The entity to remove
+     * @param {string} key - Cell key
+     * @private
+     */
+    removeFromCell(entity, key) {
+        const cell = this.cells.get(key);
+        if (!cell) return;
+
+        cell.delete(entity);
+        if (cell.size === 0) {
+            this.cells.delete(key);
+        }
+    }
+
+    /**
+     * Check if an entity is tracked by the grid
+     * @param {Entity} entity - The entity to check
+     * @returns {boolean} True if the entity is in a cell
+     */
+    has(entity) {
+        return this.entityCells.has(entity);
+    }
+
+    /**
+     * Collect all entities in cells overlapping an axis-aligned box
+     * @param {Object} min - Minimum corner with x, y and z
+     * @param {Object} max - Maximum corner with x, y and z
+     * @returns {Array<Entity>} Candidate entities (not distance checked)
+     */
+    getCandidatesInBox(min, max) {
+        const candidates = [];
+
+        const minX = this.toCell(min.x), maxX = this.toCell(max.x);
+        const minY = this.toCell(min.y), maxY = this.toCell(max.y);
+        const minZ = this.toCell(min.z), maxZ = this.toCell(max.z);
+
+        // Walk the occupied cells instead when the box covers more cells than exist
+        const boxCells = (maxX - minX + 1) * (maxY - minY + 1) * (maxZ - minZ + 1);
+        if (boxCells > this.cells.size) {
+            for (const [key, cell] of this.cells) {
+                const [x, y, z] = SpatialGrid.parseKey(key);
+                if (x >= minX && x <= maxX && y >= minY && y <= maxY && z >= minZ && z <= maxZ) {
+                    for (const entity of cell) {
+                        candidates.push(entity);
+                    }
+                }
+            }
+            return candidates;
+        }
+
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                for (let z = minZ; z <= maxZ; z++) {
+                    const cell = this.cells.get(SpatialGrid.key(x, y, z));
+                    if (cell) {
+                        for (const entity of cell) {
+                            candidates.push(entity);
+                        }
+                    }
+                }
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Remove all entities from the grid
+     */
+    clear() {
+        this.cells.clear();
+        this.entityCells.clear();
+    }
+}
+
+/**
+ * Build a cell key from cell coordinates
+ * @param {number} x - Cell x
+ * @param {number} y - Cell y
+ * @param {number} z - Cell z
+ * @returns {string} Cell key
+ */
+SpatialGrid.key = function(x, y, z) {
+    return `${x},${y},${z}`;
+};
+
+/**
+ * Parse a cell key back into cell coordinates
+ * @param {string} key - Cell key
+ * @returns {Array<number>} Cell coordinates [x, y, z]
+ */
+SpatialGrid.parseKey = function(key) {
+    return key.split(',').map(Number);
+};
@@ -10,8 +10,11 @@ export class System {
      * @param {Array<string>} [config.requiredTags=[]] - Tags required for entities
      * @param {Array<string>} [config.excludedComponents=[]] - Component types that exclude entities
      * @param {Array<string>} [config.excludedTags=[]] - Tags that exclude entities
-     * @param {number} [config.priority=0] - Execution priority (higher runs first)
+     * @param {number} [config.priority=0] - Execution priority within a phase (higher runs first)
      * @param {boolean} [config.enabled=true] - Whether the system is enabled
+     * @param {string} [config.phase='simulation'] - Phase the system runs in (see System.PHASES)
+     * @param {Array<Function|string>} [config.runBefore=[]] - System classes or names this system must run before
+     * @param {Array<Function|string>} [config.runAfter=[]] - System classes or names this system must run after
      */
     constructor(config = {}) {
         this.requiredComponents = config.requiredComponents || [];
@@ -20,15 +23,28 @@ export class System {
         this.excludedTags = config.excludedTags || [];
         this.priority = config.priority || 0;
         this.enabled = config.enabled !== undefined ? config.enabled : true;
+        this.phase = config.phase || 'simulation';
+        this.runBefore = config.runBefore || [];
+        this.runAfter = config.runAfter || [];
         this.world = null;
         this.entities = new Set(); // Cached matching entities
         this.initialized = false;
         this.lastUpdateTime = 0;
         this.fixedTimeStep = null; // For fixed time step updates
         this.accumulator = 0; // For fixed time step updates
+        this.alpha = 1; // Interpolation alpha from the last update
         this.name = this.constructor.name;
     }
 
+    /**
+     * Check if this system is the system a runBefore/runAfter entry refers to
+     * @param {Function|string} ref - System class or system name
+     * @returns {boolean} True if the reference points at this system
+     */
+    isReferencedBy(ref) {
+        return typeof ref === 'function' ? this instanceof ref : this.name === ref;
+    }
+
     /**
      * Check if an entity matches this system's requirements
      * @param {Entity} entity - The entity to check
@@ -72,11 +88,14 @@ export class System {
      * @param {World} world - The world this system belongs to
      * @param {number} deltaTime - Time since last update in seconds
      * @param {number} currentTime - Current time in seconds
+     * @param {number} [alpha=1] - Interpolation alpha between the last two simulation steps
+     *   (render-phase systems in a fixed-rate world); 1 means the latest state
      */
-    update(world, deltaTime, currentTime) {
+    update(world, deltaTime, currentTime, alpha = 1) {
         if (!this.enabled) return;
         
         this.world = world; // Cache reference to world
+        this.alpha = alpha;
         
         // Handle fixed time step if configured
         if (this.fixedTimeStep !== null) {
@@ -291,3 +310,15 @@ export class System {
         this.enabled = false;
     }
 }
+
+/**
+ * Execution phases, in the order the world runs them
+ */
+System.PHASES = [
+    'input',
+    'network-receive',
+    'simulation',
+    'post-simulation',
+    'network-send',
+    'render'
+];
@@ -1,3 +1,17 @@
+import { SpatialGrid } from './spatialGrid.js';
+import { Query } from './query.js';
+import { CommandBuffer } from './commandBuffer.js';
+import { System } from './system.js';
+import { Entity } from './entity.js';
+import { Component } from './component.js';
+import { PrefabRegistry } from './prefab.js';
+import { PluginManager } from './plugin.js';
+import { WorldProfiler } from './profiler.js';
+import { MigrationReport } from './migration.js';
+
+// Frames a cached query nobody holds survives without being looked up
+const QUERY_IDLE_FRAMES = 300;
+
 /**
  * World Class
  * The world manages entities and systems
@@ -6,11 +20,30 @@ export class World {
     /**
      * Create a new world
      * @param {Object} [config] - Optional configuration
+     * @param {PrefabRegistry} [config.prefabs] - Prefab registry to use instead of a new one for this world
+     * @param {number} [config.simulationRate] - Fixed simulation steps per second; omit to step once per update
+     * @param {number} [config.maxCatchUpSteps=5] - Most simulation steps run in one update before time is dropped
+     * @param {boolean} [config.profile=false] - Record per-system timings for getStats()
      */
     constructor(config = {}) {
         this.entities = [];
-        this.systems = [];
+        this.systems = []; // Kept in execution order
+        this.systemRegistrationOrder = new Map();
         this.lastUpdateTime = 0;
+        this.tick = 0; // Incremented after every simulation step; used for change detection
+
+        // Fixed-timestep simulation (see setSimulationRate)
+        this.fixedTimeStep = null;
+        this.maxCatchUpSteps = config.maxCatchUpSteps || 5;
+        this.accumulator = 0; // Unsimulated time carried over to the next update
+        this.simulationTime = 0; // Total simulated time in seconds
+        this.alpha = 1; // Fraction of a step between the last simulated state and now
+        this.droppedTime = 0; // Time discarded by the catch-up clamp
+        this.setSimulationRate(config.simulationRate || null);
+
+        // Per-system timings, only recorded while profiling is enabled
+        this.profiler = null;
+        this.setProfiling(config.profile === true);
         this.running = false;
         this.name = config.name || 'World';
 
@@ -18,11 +51,33 @@ export class World {
         this.entitiesById = new Map();
         this.entitiesByTag = new Map();
         this.entitiesByComponent = new Map();
+        this.entitiesByNetworkId = new Map();
+        this.entitiesByOwner = new Map(); // Owner ID -> Set of entities
+        this.entitiesByRelation = new Map(); // Relation type -> Set of entities with that relation
+        this.lastNetworkId = 0; // Last number handed out by createNetworkId
+
+        // Cached live queries, keyed by their descriptor
+        this.queries = new Map();
 
         // Event system
         this.eventListeners = new Map();
 
-        // Spatial partitioning (for MMORPG optimization)
+        // Deferred structural changes, flushed at sync points between systems
+        this.commands = new CommandBuffer(this);
+
+        // Entity templates for spawn(); plugins register into this world's own
+        // registry, which falls back to the shared default
+        this.prefabs = config.prefabs || new PrefabRegistry(PrefabRegistry.default);
+
+        // Installed feature plugins, see world.use()
+        this.plugins = new PluginManager(this);
+
+        // Component data migrations and failures from World.restore
+        this.migrationReport = null;
+
+        // Spatial partitioning (for MMORPG optimization). Entities change cells when
+        // their transform is marked changed, so code that writes positions in place
+        // must call markChanged() for spatial queries to see the move
         this.useSpatialPartitioning = config.useSpatialPartitioning !== false;
         this.spatialGrid = null;
         this.spatialGridCellSize = config.spatialGridCellSize || 50;
@@ -38,7 +93,172 @@ export class World {
      */
     initSpatialPartitioning() {
         // Simple grid-based spatial partitioning
-        this.spatialGrid = new Map();
+        this.spatialGrid = new SpatialGrid(this.spatialGridCellSize);
+
+        // Pick up entities added before partitioning was enabled
+        for (const entity of this.entities) {
+            if (entity.active && entity.hasComponent('TransformComponent')) {
+                this.updateEntityInSpatialGrid(entity);
+            }
+        }
+    }
+
+    /**
+     * Insert or move an entity in the spatial grid based on its transform
+     * @param {Entity} entity - The entity to update
+     * @private
+     */
+    updateEntityInSpatialGrid(entity) {
+        if (!this.spatialGrid) return;
+
+        const transform = entity.getComponent('TransformComponent');
+        if (!transform || !transform.position) return;
+
+        this.spatialGrid.insert(entity, entityPosition(entity));
+    }
+
+    /**
+     * Move a tracked entity, and its children that move with it, to their current cells
+     * Called when its transform is marked changed
+     * @param {Entity} entity - The entity that moved
+     */
+    refreshSpatialCell(entity) {
+        if (!this.spatialGrid) return;
+
+        if (this.spatialGrid.has(entity)) {
+            this.updateEntityInSpatialGrid(entity);
+        }
+        for (const child of entity.children) {
+            this.refreshSpatialCell(child);
+        }
+    }
+
+    /**
+     * Remove an entity from the spatial grid
+     * @param {Entity} entity - The entity to remove
+     * @private
+     */
+    removeEntityFromSpatialGrid(entity) {
+        if (!this.spatialGrid) return;
+
+        this.spatialGrid.remove(entity);
+    }
+
+    /**
+     * Re-bucket every tracked entity from its current position
+     * Transforms are re-bucketed when they are marked changed, so this is only
+     * needed after writing positions in place without calling markChanged()
+     */
+    updateSpatialGrid() {
+        if (!this.spatialGrid) return;
+
+        for (const entity of this.spatialGrid.entityCells.keys()) {
+            this.updateEntityInSpatialGrid(entity);
+        }
+    }
+
+    /**
+     * Find entities within a radius of a position
+     * @param {Object} position - Center with x, y and z
+     * @param {number} radius - Search radius
+     * @param {Array<string>} [componentNames] - Components the entities must have
+     * @returns {Array<Entity>} Matching entities
+     */
+    queryRadius(position, radius, componentNames = null) {
+        const min = { x: position.x - radius, y: position.y - radius, z: position.z - radius };
+        const max = { x: position.x + radius, y: position.y + radius, z: position.z + radius };
+        const radiusSq = radius * radius;
+
+        return this.getSpatialCandidates(min, max, componentNames)
+            .filter(entity => distanceSq(entityPosition(entity), position) <= radiusSq);
+    }
+
+    /**
+     * Find entities inside an axis-aligned box
+     * @param {Object} min - Minimum corner with x, y and z
+     * @param {Object} max - Maximum corner with x, y and z
+     * @param {Array<string>} [componentNames] - Components the entities must have
+     * @returns {Array<Entity>} Matching entities
+     */
+    queryBox(min, max, componentNames = null) {
+        return this.getSpatialCandidates(min, max, componentNames)
+            .filter(entity => {
+                const p = entityPosition(entity);
+                return p.x >= min.x && p.x <= max.x &&
+                    p.y >= min.y && p.y <= max.y &&
+                    p.z >= min.z && p.z <= max.z;
+            });
+    }
+
+    /**
+     * Find the k entities nearest to a position
+     * @param {Object} position - Center with x, y and z
+     * @param {number} [k=1] - Number of entities to return
+     * @param {Array<string>} [componentNames] - Components the entities must have
+     * @param {number} [maxRadius=Infinity] - Give up searching beyond this distance
+     * @returns {Array<Entity>} Up to k entities, closest first
+     */
+    nearest(position, k = 1, componentNames = null, maxRadius = Infinity) {
+        if (k <= 0) return [];
+
+        const byDistance = (a, b) => a.distanceSq - b.distanceSq;
+        const collect = entities => entities
+            .map(entity => ({ entity, distanceSq: distanceSq(entityPosition(entity), position) }))
+            .sort(byDistance);
+
+        if (!this.spatialGrid) {
+            const all = this.entities.filter(entity => this.matchesSpatialFilter(entity, componentNames));
+            return collect(all)
+                .filter(result => result.distanceSq <= maxRadius * maxRadius)
+                .slice(0, k)
+                .map(result => result.entity);
+        }
+
+        // Grow the search radius until k results are found; anything outside
+        // the searched radius is farther than everything inside it
+        const cellSize = this.spatialGrid.cellSize;
+        let radius = cellSize;
+
+        while (true) {
+            const searchRadius = Math.min(radius, maxRadius);
+            const results = collect(this.queryRadius(position, searchRadius, componentNames));
+
+            if (results.length >= k || searchRadius >= maxRadius) {
+                return results.slice(0, k).map(result => result.entity);
+            }
+
+            // Once the search box spans more cells than are occupied, finish with a full search
+            const span = 2 * Math.ceil(radius / cellSize) + 1;
+            radius = span * span * span > this.spatialGrid.cells.size ? maxRadius : radius * 2;
+        }
+    }
+
+    /**
+     * Gather active entities from the grid cells overlapping a box
+     * @param {Object} min - Minimum corner
+     * @param {Object} max - Maximum corner
+     * @param {Array<string>|null} componentNames - Required components
+     * @returns {Array<Entity>} Candidate entities
+     * @private
+     */
+    getSpatialCandidates(min, max, componentNames) {
+        const candidates = this.spatialGrid ?
+            this.spatialGrid.getCandidatesInBox(min, max) :
+            this.entities.filter(entity => entity.hasComponent('TransformComponent'));
+
+        return candidates.filter(entity => this.matchesSpatialFilter(entity, componentNames));
+    }
+
+    /**
+     * Check an entity against the optional component filter of a spatial query
+     * @param {Entity} entity - The entity to check
+     * @param {Array<string>|null} componentNames - Required components
+     * @returns {boolean} True if the entity should be included
+     * @private
+     */
+    matchesSpatialFilter(entity, componentNames) {
+        if (!entity.active || !entity.hasComponent('TransformComponent')) return false;
+        return !componentNames || entity.hasAllComponents(componentNames);
     }
 
     /**
@@ -50,6 +270,9 @@ export class World {
         // Skip if already in this world
         if (entity.world === this) return entity;
 
+        // Claim the network ID first so a clash leaves everything untouched
+        this.indexNetworkId(entity);
+
         // Remove from previous world if any
         if (entity.world) {
             entity.world.removeEntity(entity);
@@ -63,6 +286,15 @@ export class World {
 
         // Add to lookup maps
         this.entitiesById.set(entity.id, entity);
+        this.indexOwner(entity);
+        for (const type of entity.relations.keys()) {
+            this.indexRelation(entity, type);
+        }
+
+        // Joining a world counts as a change for every component
+        for (const component of entity.components.values()) {
+            component.changedTick = this.tick;
+        }
 
         // Add to component map
         for (const [componentName, _] of entity.components) {
@@ -85,6 +317,11 @@ export class World {
             this.updateEntityInSpatialGrid(entity);
         }
 
+        // Add to matching queries
+        for (const query of this.queries.values()) {
+            query.check(entity);
+        }
+
         // Notify systems
         for (const system of this.systems) {
             if (system.onEntityAdded) {
@@ -98,6 +335,16 @@ export class World {
         return entity;
     }
 
+    /**
+     * Create an entity from a prefab and add it to this world
+     * @param {string} prefabId - Registered prefab ID
+     * @param {Object} [overrides] - Template-shaped overrides (name, tags, components, networkId)
+     * @returns {Entity} The spawned entity
+     */
+    spawn(prefabId, overrides = {}) {
+        return this.addEntity(this.prefabs.instantiate(prefabId, overrides));
+    }
+
     /**
      * Remove an entity from this world
      * @param {Entity} entity - The entity to remove
@@ -118,6 +365,11 @@ export class World {
 
         // Remove from lookup maps
         this.entitiesById.delete(entity.id);
+        this.unindexNetworkId(entity, entity.networkId);
+        this.unindexOwner(entity, entity.owner);
+        for (const type of entity.relations.keys()) {
+            this.unindexRelation(entity, type);
+        }
 
         // Remove from component map
         for (const [componentName, _] of entity.components) {
@@ -134,10 +386,15 @@ export class World {
         }
 
         // Remove from spatial grid
-        if (this.useSpatialPartitioning && entity.hasComponent('TransformComponent')) {
+        if (this.useSpatialPartitioning) {
             this.removeEntityFromSpatialGrid(entity);
         }
 
+        // Remove from queries
+        for (const query of this.queries.values()) {
+            query.remove(entity);
+        }
+
         // Remove from entities array
         const index = this.entities.indexOf(entity);
         if (index !== -1) {
@@ -146,21 +403,38 @@ export class World {
 
         // Clear world reference
         entity.world = null;
+
+        // Dead entities give their ID slot back; stored handles to them go stale
+        if (!entity.active) {
+            Entity.ids.release(entity.id);
+        }
     }
 
     /**
      * Register a system with this world
      * @param {System} system - The system to register
      * @returns {System} The registered system for chaining
+     * @throws {Error} If its phase is unknown or its ordering constraints conflict; it is not registered
      */
     registerSystem(system) {
         // Skip if already registered
         if (this.systems.includes(system)) return system;
 
-        this.systems.push(system);
+        if (!System.PHASES.includes(system.phase)) {
+            throw new Error(`System '${system.name}' has unknown phase '${system.phase}'`);
+        }
 
-        // Sort systems by priority (higher priority runs first)
-        this.systems.sort((a, b) => b.priority - a.priority);
+        this.systems.push(system);
+        this.systemRegistrationOrder.set(system, this.systemRegistrationOrder.size);
+
+        // Order immediately so constraint errors surface here, leaving the world as it was
+        try {
+            this.buildSchedule();
+        } catch (error) {
+            this.systems.splice(this.systems.indexOf(system), 1);
+            this.systemRegistrationOrder.delete(system);
+            throw error;
+        }
 
         // Initialize the system if world is already initialized
         if (this.running && system.init) {
@@ -173,6 +447,35 @@ export class World {
         return system;
     }
 
+    /**
+     * Install a plugin (components, systems, prefabs, event listeners and hooks)
+     * @param {Object} plugin - Plugin definition, see plugin.js
+     * @param {Object} [options] - Options passed to the plugin's system factories and init hook
+     * @returns {World} This world for chaining
+     */
+    use(plugin, options = {}) {
+        this.plugins.install(plugin, options);
+        return this;
+    }
+
+    /**
+     * Remove an installed plugin and everything it registered
+     * @param {Object|string} pluginOrName - Plugin object or name
+     * @returns {boolean} True if the plugin was installed
+     */
+    removePlugin(pluginOrName) {
+        return this.plugins.uninstall(pluginOrName);
+    }
+
+    /**
+     * Check if a plugin is installed
+     * @param {Object|string} pluginOrName - Plugin object or name
+     * @returns {boolean} True if installed
+     */
+    hasPlugin(pluginOrName) {
+        return this.plugins.has(pluginOrName);
+    }
+
     /**
      * Unregister a system from this world
      * @param {System} system - The system to unregister
@@ -181,10 +484,86 @@ export class World {
         const index = this.systems.indexOf(system);
         if (index !== -1) {
             this.systems.splice(index, 1);
+            this.systemRegistrationOrder.delete(system);
             this.emit('systemUnregistered', system);
         }
     }
 
+    /**
+     * Order systems by phase, then by runBefore/runAfter constraints, then by priority
+     * @throws {Error} If constraints contradict the phase order or form a cycle
+     */
+    buildSchedule() {
+        const phaseIndex = system => System.PHASES.indexOf(system.phase);
+        const registered = system => this.systemRegistrationOrder.get(system);
+
+        // Build "a runs before b" edges from both sides of each constraint
+        const edges = new Map(this.systems.map(system => [system, new Set()]));
+        const addEdge = (before, after) => {
+            if (before === after) return;
+
+            if (phaseIndex(before) > phaseIndex(after)) {
+                throw new Error(
+                    `System '${before.name}' (${before.phase}) cannot run before ` +
+                    `'${after.name}' (${after.phase}): phases run in order ${System.PHASES.join(' -> ')}`
+                );
+            }
+
+            edges.get(before).add(after);
+        };
+
+        for (const system of this.systems) {
+            for (const ref of system.runBefore) {
+                for (const other of this.systems) {
+                    if (other.isReferencedBy(ref)) addEdge(system, other);
+                }
+            }
+            for (const ref of system.runAfter) {
+                for (const other of this.systems) {
+                    if (other.isReferencedBy(ref)) addEdge(other, system);
+                }
+            }
+        }
+
+        // Kahn's algorithm; among ready systems pick earliest phase, highest priority, first registered
+        const inDegree = new Map(this.systems.map(system => [system, 0]));
+        for (const targets of edges.values()) {
+            for (const target of targets) {
+                inDegree.set(target, inDegree.get(target) + 1);
+            }
+        }
+
+        const compare = (a, b) =>
+            (phaseIndex(a) - phaseIndex(b)) ||
+            (b.priority - a.priority) ||
+            (registered(a) - registered(b));
+
+        const ready = this.systems.filter(system => inDegree.get(system) === 0);
+        const ordered = [];
+
+        while (ready.length > 0) {
+            ready.sort(compare);
+            const system = ready.shift();
+            ordered.push(system);
+
+            for (const target of edges.get(system)) {
+                inDegree.set(target, inDegree.get(target) - 1);
+                if (inDegree.get(target) === 0) {
+                    ready.push(target);
+                }
+            }
+        }
+
+        if (ordered.length !== this.systems.length) {
+            const cycle = this.systems
+                .filter(system => inDegree.get(system) > 0)
+                .map(system => system.name);
+            throw new Error(`System ordering cycle detected between: ${cycle.join(', ')}`);
+        }
+
+        this.systems = ordered;
+    }
+
     /**
      * Initialize all systems and start the world
      */
@@ -196,6 +575,9 @@ export class World {
             this.initSpatialPartitioning();
         }
 
+        // Order systems before anything runs; throws on ordering cycles
+        this.buildSchedule();
+
         // Initialize all systems
         for (const system of this.systems) {
             if (system.init) {
@@ -207,6 +589,61 @@ export class World {
         this.emit('worldStarted', this);
     }
 
+    /**
+     * Set the fixed simulation rate
+     * With a rate, update() runs every non-render system in whole steps of 1 / rate
+     * seconds and render-phase systems once per update with an interpolation alpha.
+     * Without one, every system runs once per update with the wall-clock delta.
+     * @param {number|null} rate - Steps per second, or null for variable steps
+     */
+    setSimulationRate(rate) {
+        if (rate !== null && !(rate > 0)) {
+            throw new Error(`Simulation rate must be a positive number of steps per second, got ${rate}`);
+        }
+
+        this.simulationRate = rate;
+        this.fixedTimeStep = rate === null ? null : 1 / rate;
+        this.accumulator = 0;
+        this.alpha = 1;
+    }
+
+    /**
+     * Turn per-system profiling on or off
+     * Turning it off discards recorded timings
+     * @param {boolean} enabled - Whether to record timings
+     */
+    setProfiling(enabled) {
+        if (enabled && !this.profiler) {
+            this.profiler = new WorldProfiler();
+        } else if (!enabled) {
+            this.profiler = null;
+        }
+    }
+
+    /**
+     * Get world performance statistics
+     * Timings (in milliseconds) are only included while profiling is enabled
+     * @returns {Object} World stats
+     */
+    getStats() {
+        const stats = {
+            name: this.name,
+            tick: this.tick,
+            running: this.running,
+            entities: this.entities.length,
+            queries: this.queries.size,
+            simulationRate: this.simulationRate,
+            droppedTime: this.droppedTime,
+            profiling: this.profiler !== null
+        };
+
+        if (this.profiler) {
+            Object.assign(stats, this.profiler.getStats(this.systems));
+        }
+
+        return stats;
+    }
+
     /**
      * Update all systems in this world
      * @param {number} currentTime - Current time in seconds
@@ -214,16 +651,90 @@ export class World {
     update(currentTime) {
         if (!this.running) return;
 
+        const updateStart = this.profiler ? performance.now() : 0;
+
         const deltaTime = this.lastUpdateTime === 0 ?
             0 : currentTime - this.lastUpdateTime;
 
+        if (this.fixedTimeStep === null) {
+            this.step(deltaTime, currentTime, this.systems);
+        } else {
+            const step = this.fixedTimeStep;
+            this.accumulator += deltaTime;
+
+            // Don't try to catch up after a long stall; drop the backlog instead
+            const maxBacklog = step * this.maxCatchUpSteps;
+            if (this.accumulator > maxBacklog) {
+                this.droppedTime += this.accumulator - maxBacklog;
+                this.accumulator = maxBacklog;
+            }
+
+            const simulationSystems = this.systems.filter(system => system.phase !== 'render');
+            // The epsilon keeps float error from leaving a whole step unsimulated
+            while (this.accumulator >= step - 1e-9) {
+                this.accumulator = Math.max(0, this.accumulator - step);
+                this.simulationTime += step;
+                this.step(step, this.simulationTime, simulationSystems);
+            }
+
+            this.alpha = this.accumulator / step;
+
+            // Render once per update, between the last two simulated states
+            for (const system of this.systems) {
+                if (system.enabled && system.phase === 'render') {
+                    this.runSystem(system, deltaTime, currentTime);
+                }
+            }
+        }
+
+        if (this.profiler) {
+            this.profiler.recordUpdate(performance.now() - updateStart);
+        }
+
+        // Update time
+        this.lastUpdateTime = currentTime;
+    }
+
+    /**
+     * Run a single system, then apply the commands it recorded
+     * @param {System} system - The system to run
+     * @param {number} deltaTime - Time step in seconds
+     * @param {number} currentTime - Time passed to the system, in seconds
+     * @private
+     */
+    runSystem(system, deltaTime, currentTime) {
+        if (!this.profiler) {
+            system.update(this, deltaTime, currentTime, this.alpha);
+            this.commands.flush();
+            return;
+        }
+
+        const start = performance.now();
+        system.update(this, deltaTime, currentTime, this.alpha);
+        this.commands.flush();
+        this.profiler.recordSystem(system, performance.now() - start, system.entities.size);
+    }
+
+    /**
+     * Run one simulation step: systems, entity cleanup, query bookkeeping and tick advance
+     * @param {number} deltaTime - Step length in seconds
+     * @param {number} currentTime - Time passed to systems, in seconds
+     * @param {Array<System>} systems - Systems to run, in schedule order
+     * @private
+     */
+    step(deltaTime, currentTime, systems) {
+        const stepStart = this.profiler ? performance.now() : 0;
+
         // Pre-update hook
         this.emit('preUpdate', deltaTime);
 
-        // Update all systems
-        for (const system of this.systems) {
+        // Apply commands recorded since the last update (e.g. from network handlers)
+        this.commands.flush();
+
+        // Update all systems, with a sync point after each one
+        for (const system of systems) {
             if (system.enabled) {
-                system.update(this, deltaTime, currentTime);
+                this.runSystem(system, deltaTime, currentTime);
             }
         }
 
@@ -236,8 +747,21 @@ export class World {
         // Post-update hook
         this.emit('postUpdate', deltaTime);
 
-        // Update time
-        this.lastUpdateTime = currentTime;
+        // Start the next frame with empty added/removed/changed lists, and drop
+        // lookup queries that have gone unused
+        for (const [key, query] of this.queries) {
+            query.clearChanges();
+            if (query.refs === 0 && ++query.idleFrames > QUERY_IDLE_FRAMES) {
+                this.queries.delete(key);
+            }
+        }
+
+        // Changes made between updates belong to the next tick
+        this.tick++;
+
+        if (this.profiler) {
+            this.profiler.recordStep(performance.now() - stepStart);
+        }
     }
 
     /**
@@ -251,19 +775,83 @@ export class World {
     }
 
 
+    /**
+     * Get a cached live query, creating it on first use
+     * The query is kept up to date until each call is matched by removeQuery()
+     * @param {Object} descriptor - Query filter
+     * @param {Array<string>} [descriptor.all] - Components an entity must all have
+     * @param {Array<string>} [descriptor.any] - Components an entity must have at least one of
+     * @param {Array<string>} [descriptor.none] - Components an entity must not have
+     * @param {Array<string>} [descriptor.tags] - Tags an entity must all have
+     * @param {Array<string>} [descriptor.changed] - Components whose data changes are reported in `changed`
+     * @returns {Query} The live query
+     */
+    query(descriptor) {
+        const query = this.getCachedQuery(descriptor);
+        query.refs++;
+        return query;
+    }
+
+    /**
+     * Get a cached query for a one-off lookup without holding it
+     * Queries nobody holds are dropped after QUERY_IDLE_FRAMES frames without a lookup
+     * @param {Object} descriptor - Query filter (see query())
+     * @returns {Query} The live query
+     * @private
+     */
+    getCachedQuery(descriptor) {
+        const key = Query.key(descriptor);
+        let query = this.queries.get(key);
+
+        if (!query) {
+            query = new Query(descriptor);
+            for (const entity of this.entities) {
+                query.check(entity);
+            }
+            // Entities that already existed are not "added" this frame
+            query.clearChanges();
+            this.queries.set(key, query);
+        }
+
+        query.idleFrames = 0;
+        return query;
+    }
+
+    /**
+     * Find entities whose component changed after a given tick
+     * @param {string} componentName - Component class name to check
+     * @param {number} sinceTick - Only entities changed after this tick are returned
+     * @returns {Array<Entity>} - Array of changed entities
+     */
+    queryChanged(componentName, sinceTick) {
+        const changed = [];
+        for (const entity of this.getCachedQuery({ all: [componentName] }).entities) {
+            if (entity.getComponent(componentName).changedSince(sinceTick)) {
+                changed.push(entity);
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Release a query obtained from query()
+     * It stops being maintained once every holder has released it
+     * @param {Query} query - The query to release
+     */
+    removeQuery(query) {
+        query.refs = Math.max(0, query.refs - 1);
+        if (query.refs === 0 && this.queries.get(query.key) === query) {
+            this.queries.delete(query.key);
+        }
+    }
+
     /**
      * Find entities with a specific component type
      * @param {string} componentName - Component class name to find
      * @returns {Array<Entity>} - Array of entities having that component
      */
     findEntitiesWith(componentName) {
-        // Use the component map for O(1) lookup instead of filtering all entities
-        if (this.entitiesByComponent.has(componentName)) {
-            // Convert Set to Array and filter for active entities
-            return Array.from(this.entitiesByComponent.get(componentName))
-                .filter(entity => entity.active);
-        }
-        return [];
+        return this.getCachedQuery({ all: [componentName] }).results.slice();
     }
 
     /**
@@ -272,12 +860,7 @@ export class World {
      * @returns {Array<Entity>} - Array of entities having that tag
      */
     findEntitiesWithTag(tag) {
-        // Use the tag map for O(1) lookup
-        if (this.entitiesByTag.has(tag)) {
-            return Array.from(this.entitiesByTag.get(tag))
-                .filter(entity => entity.active);
-        }
-        return [];
+        return this.getCachedQuery({ tags: [tag] }).results.slice();
     }
 
     /**
@@ -291,15 +874,203 @@ export class World {
         return (entity && entity.active) ? entity : null;
     }
 
+    /**
+     * Check if a stored entity handle still refers to a live entity in this world
+     * Handles of removed entities stay dead even after their ID slot is reused
+     * @param {number} handle - Entity ID
+     * @returns {boolean} True if the entity is alive
+     */
+    isAlive(handle) {
+        return this.getEntityById(handle) !== null;
+    }
+
     /**
      * Get an entity by its network ID
      * @param {string} networkId - Network ID to find
      * @returns {Entity|null} - Matching entity or null
      */
     getEntityByNetworkId(networkId) {
-        return this.entities.find(entity =>
-            entity.active && entity.networkId === networkId
-        ) || null;
+        const entity = this.entitiesByNetworkId.get(networkId);
+        return (entity && entity.active) ? entity : null;
+    }
+
+    /**
+     * Make a network ID that no entity in this world is using
+     * @param {string} [prefix='entity'] - Start of the ID
+     * @returns {string} New network ID, e.g. 'entity_12'
+     */
+    createNetworkId(prefix = 'entity') {
+        let networkId;
+        do {
+            networkId = `${prefix}_${++this.lastNetworkId}`;
+        } while (this.entitiesByNetworkId.has(networkId));
+        return networkId;
+    }
+
+    /**
+     * Get all live entities owned by a player/socket
+     * @param {string} ownerId - Owner ID
+     * @returns {Array<Entity>} Owned entities
+     */
+    getEntitiesByOwner(ownerId) {
+        const owned = this.entitiesByOwner.get(ownerId);
+        return owned ? [...owned].filter(entity => entity.active) : [];
+    }
+
+    /**
+     * Add an entity to the network ID index
+     * @param {Entity} entity - The entity
+     * @throws {Error} If another live entity already uses the network ID
+     * @private
+     */
+    indexNetworkId(entity) {
+        if (entity.networkId === null || entity.networkId === undefined) return;
+
+        const existing = this.entitiesByNetworkId.get(entity.networkId);
+        if (existing && existing !== entity && existing.active) {
+            throw new Error(`Network ID '${entity.networkId}' is already used by entity ${existing.name} (${existing.id})`);
+        }
+        this.entitiesByNetworkId.set(entity.networkId, entity);
+    }
+
+    /**
+     * Remove an entity from the network ID index
+     * @param {Entity} entity - The entity
+     * @param {string|number|null} networkId - The network ID it was indexed under
+     * @private
+     */
+    unindexNetworkId(entity, networkId) {
+        // A replacement entity may already have taken over the ID
+        if (this.entitiesByNetworkId.get(networkId) === entity) {
+            this.entitiesByNetworkId.delete(networkId);
+        }
+    }
+
+    /**
+     * Add an entity to the owner index
+     * @param {Entity} entity - The entity
+     * @private
+     */
+    indexOwner(entity) {
+        if (entity.owner === null) return;
+
+        if (!this.entitiesByOwner.has(entity.owner)) {
+            this.entitiesByOwner.set(entity.owner, new Set());
+        }
+        this.entitiesByOwner.get(entity.owner).add(entity);
+    }
+
+    /**
+     * Remove an entity from the owner index
+     * @param {Entity} entity - The entity
+     * @param {string|null} owner - The owner it was indexed under
+     * @private
+     */
+    unindexOwner(entity, owner) {
+        const owned = this.entitiesByOwner.get(owner);
+        if (!owned) return;
+
+        owned.delete(entity);
+        if (owned.size === 0) {
+            this.entitiesByOwner.delete(owner);
+        }
+    }
+
+    /**
+     * Handle an entity's network ID changing
+     * @param {Entity} entity - The entity
+     * @param {string|number|null} previous - Previous network ID
+     */
+    onNetworkIdChanged(entity, previous) {
+        try {
+            this.indexNetworkId(entity);
+        } catch (error) {
+            entity.networkId = previous;
+            throw error;
+        }
+        this.unindexNetworkId(entity, previous);
+    }
+
+    /**
+     * Handle an entity's owner changing
+     * @param {Entity} entity - The entity
+     * @param {string|null} previous - Previous owner ID
+     */
+    onOwnerChanged(entity, previous) {
+        this.unindexOwner(entity, previous);
+        this.indexOwner(entity);
+        this.emit('ownerChanged', entity, previous);
+    }
+
+    /**
+     * Find entities by relation, e.g. queryRelated('ownedBy', player) for a player's items
+     * @param {string} type - Relation type
+     * @param {Entity|number} [target] - Related entity or its ID; omit for every entity with the relation
+     * @returns {Array<Entity>} Live entities in this world with a matching relation
+     */
+    queryRelated(type, target) {
+        if (target === undefined) {
+            const sources = this.entitiesByRelation.get(type);
+            return sources ? [...sources].filter(entity => entity.active) : [];
+        }
+
+        const entity = typeof target === 'number' ? this.getEntityById(target) : target;
+        if (!entity) return [];
+
+        return entity.getRelatedBy(type).filter(source => source.active && source.world === this);
+    }
+
+    /**
+     * Add an entity to the relation index for one relation type
+     * @param {Entity} entity - The entity holding the relation
+     * @param {string} type - Relation type
+     * @private
+     */
+    indexRelation(entity, type) {
+        if (!this.entitiesByRelation.has(type)) {
+            this.entitiesByRelation.set(type, new Set());
+        }
+        this.entitiesByRelation.get(type).add(entity);
+    }
+
+    /**
+     * Remove an entity from the relation index for one relation type
+     * @param {Entity} entity - The entity that held the relation
+     * @param {string} type - Relation type
+     * @private
+     */
+    unindexRelation(entity, type) {
+        const sources = this.entitiesByRelation.get(type);
+        if (!sources) return;
+
+        sources.delete(entity);
+        if (sources.size === 0) {
+            this.entitiesByRelation.delete(type);
+        }
+    }
+
+    /**
+     * Handle a relation being added to an entity
+     * @param {Entity} entity - The entity holding the relation
+     * @param {string} type - Relation type
+     * @param {Entity} target - Related entity
+     */
+    onRelationAdded(entity, type, target) {
+        this.indexRelation(entity, type);
+        this.emit('relationAdded', entity, type, target);
+    }
+
+    /**
+     * Handle a relation being removed from an entity
+     * @param {Entity} entity - The entity that held the relation
+     * @param {string} type - Relation type
+     * @param {Entity} target - Previously related entity
+     */
+    onRelationRemoved(entity, type, target) {
+        if (!entity.hasRelation(type)) {
+            this.unindexRelation(entity, type);
+        }
+        this.emit('relationRemoved', entity, type, target);
     }
 
     /**
@@ -327,31 +1098,7 @@ export class World {
             return [];
         }
 
-        // Start with the smallest component set for better performance
-        let smallestSet = null;
-        let smallestSize = Infinity;
-
-        for (const componentName of componentNames) {
-            if (this.entitiesByComponent.has(componentName)) {
-                const set = this.entitiesByComponent.get(componentName);
-                if (set.size < smallestSize) {
-                    smallestSet = set;
-                    smallestSize = set.size;
-                }
-            } else {
-                // If any component type has no entities, return empty array
-                return [];
-            }
-        }
-
-        if (!smallestSet) return [];
-
-        // Filter the smallest set by checking other components
-        return Array.from(smallestSet)
-            .filter(entity =>
-                entity.active &&
-                componentNames.every(name => entity.hasComponent(name))
-            );
+        return this.getCachedQuery({ all: componentNames }).results.slice();
     }
 
     /**
@@ -365,6 +1112,14 @@ export class World {
         }
         this.entitiesByComponent.get(componentName).add(entity);
 
+        if (componentName === 'TransformComponent' && this.useSpatialPartitioning && entity.active) {
+            this.updateEntityInSpatialGrid(entity);
+        }
+
+        for (const query of this.queries.values()) {
+            query.check(entity, componentName);
+        }
+
         for (const system of this.systems) {
             if (system.onComponentAdded) {
                 system.onComponentAdded(entity, componentName);
@@ -382,6 +1137,14 @@ export class World {
             this.entitiesByComponent.get(componentName).delete(entity);
         }
 
+        if (componentName === 'TransformComponent' && this.useSpatialPartitioning) {
+            this.removeEntityFromSpatialGrid(entity);
+        }
+
+        for (const query of this.queries.values()) {
+            query.check(entity, componentName);
+        }
+
         for (const system of this.systems) {
             if (system.onComponentRemoved) {
                 system.onComponentRemoved(entity, componentName);
@@ -389,6 +1152,27 @@ export class World {
         }
     }
 
+    /**
+     * Handle a component's data being marked as changed
+     * @param {Entity} entity The entity
+     * @param {string} componentName The name of the component
+     * @param {Component} component The component that changed
+     */
+    onComponentChanged(entity, componentName, component) {
+        for (const query of this.queries.values()) {
+            if (query.watches(componentName)) {
+                query.markChanged(entity);
+            }
+        }
+
+        // Keep spatial queries right between updates, e.g. in network handlers
+        if (componentName === 'TransformComponent') {
+            this.refreshSpatialCell(entity);
+        }
+
+        this.emit('componentChanged', entity, componentName, component);
+    }
+
     /**
      * Handle a tag being added to an entity
      * @param {Entity} entity The entity
@@ -400,6 +1184,10 @@ export class World {
         }
         this.entitiesByTag.get(tag).add(entity);
 
+        for (const query of this.queries.values()) {
+            query.check(entity, tag);
+        }
+
         for (const system of this.systems) {
             if (system.onTagAdded) {
                 system.onTagAdded(entity, tag);
@@ -417,6 +1205,10 @@ export class World {
             this.entitiesByTag.get(tag).delete(entity);
         }
 
+        for (const query of this.queries.values()) {
+            query.check(entity, tag);
+        }
+
         for (const system of this.systems) {
             if (system.onTagRemoved) {
                 system.onTagRemoved(entity, tag);
@@ -432,6 +1224,14 @@ export class World {
         // The main update loop handles removal of deactivated entities.
         // Systems are notified of removal when the entity is fully removed.
         // This hook is here in case any system needs to react immediately to deactivation.
+        if (this.useSpatialPartitioning) {
+            this.removeEntityFromSpatialGrid(entity);
+        }
+
+        for (const query of this.queries.values()) {
+            query.remove(entity);
+        }
+
         for (const system of this.systems) {
             if (system.onEntityDeactivated) {
                 system.onEntityDeactivated(entity);
@@ -441,7 +1241,8 @@ export class World {
 
     /**
      * Register an event listener
-     * @param {string} eventName - The name of the event
+     * Listeners for '*' receive every event as (eventName, ...args)
+     * @param {string} eventName - The name of the event, or '*' for all events
      * @param {Function} listener - The callback function
      */
     on(eventName, listener) {
@@ -478,5 +1279,168 @@ export class World {
                 listener(...args);
             }
         }
+
+        const wildcardListeners = this.eventListeners.get('*');
+        if (wildcardListeners) {
+            for (const listener of wildcardListeners) {
+                listener(eventName, ...args);
+            }
+        }
+    }
+
+    /**
+     * Capture the whole world as a JSON-safe snapshot
+     * Includes entities, hierarchy, relations, tags, network IDs, components and the entity ID allocator
+     * @returns {Object} World snapshot
+     */
+    snapshot() {
+        const entities = [...this.entities]
+            .sort((a, b) => a.id - b.id)
+            .map(entity => entity.serialize());
+
+        return {
+            version: World.SNAPSHOT_VERSION,
+            name: this.name,
+            tick: this.tick,
+            entityIds: Entity.ids.serialize(),
+            componentTypes: Array.from(Component.types.keys()).sort(),
+            componentVersions: Component.getVersions(),
+            entities
+        };
+    }
+
+    /**
+     * Allow JSON.stringify(world) to produce a snapshot
+     * @returns {Object} World snapshot
+     */
+    toJSON() {
+        return this.snapshot();
+    }
+}
+
+/**
+ * Get the world position of an entity's transform
+ * @param {Entity} entity - The entity
+ * @returns {Object} Position with x, y and z
+ */
+function entityPosition(entity) {
+    // Child transforms are local to their parent
+    if (entity.parent) {
+        return entity.getWorldPosition();
+    }
+    return entity.getComponent('TransformComponent').position;
+}
+
+/**
+ * Squared distance between two positions
+ * @param {Object} a - First position
+ * @param {Object} b - Second position
+ * @returns {number} Squared distance
+ */
+function distanceSq(a, b) {
+    const dx = (a.x || 0) - (b.x || 0);
+    const dy = (a.y || 0) - (b.y || 0);
+    const dz = (a.z || 0) - (b.z || 0);
+    return dx * dx + dy * dy + dz * dz;
+}
+
+// Snapshot format version, bumped when the snapshot layout changes
+World.SNAPSHOT_VERSION = 4;
+
+/**
+ * Rebuild a world from a snapshot
+ * Systems are not part of a snapshot and must be registered on the returned world
+ * Component data saved in older versions is migrated; components that fail to
+ * migrate are left off their entity and listed in world.migrationReport
+ * @param {Object|string} snapshot - Snapshot object or its JSON string
+ * @param {Object} [config] - World configuration (name defaults to the snapshot's)
+ * @returns {World} The restored world
+ * @throws {Error} If the snapshot uses component types that are not registered, or
+ * its entity IDs are still held by live entities (remove them from their world first)
+ */
+World.restore = function(snapshot, config = {}) {
+    const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+
+    if (!data || !Array.isArray(data.entities)) {
+        throw new Error('Invalid world snapshot: missing entities');
+    }
+    if (data.version > World.SNAPSHOT_VERSION) {
+        throw new Error(`World snapshot version ${data.version} is newer than supported version ${World.SNAPSHOT_VERSION}`);
     }
-}
\ No newline at end of file
+
+    const missingTypes = (data.componentTypes || []).filter(typeName => !Component.types.has(typeName));
+    if (missingTypes.length > 0) {
+        throw new Error(`Cannot restore world: component types not registered: ${missingTypes.join(', ')}`);
+    }
+
+    // Entity IDs are process-wide, so restoring alongside entities that still hold
+    // the saved IDs would give two entities the same handle
+    const takenIds = data.entities
+        .map(entityData => entityData.id)
+        .filter(id => Entity.ids.isSlotTaken(id));
+    if (takenIds.length > 0) {
+        throw new Error(`Cannot restore world: entity IDs still in use by live entities: ${takenIds.join(', ')}`);
+    }
+
+    const world = new World({ ...config, name: config.name || data.name });
+    world.tick = data.tick || 0;
+
+    // Restore ID generations first so handles that were stale when saved stay stale
+    if (data.entityIds) {
+        Entity.ids.merge(data.entityIds);
+    } else if (data.nextEntityId) {
+        // Version 1 snapshots only stored a counter
+        Entity.ids.merge({ size: data.nextEntityId });
+    }
+
+    // Claim the saved IDs before creating entities so none of them is handed out twice
+    for (const entityData of data.entities) {
+        Entity.ids.reserve(entityData.id);
+    }
+
+    // Snapshots before version 4 only hold version 1 component data
+    const componentVersions = data.componentVersions || {};
+    const report = new MigrationReport();
+    world.migrationReport = report;
+
+    // Recreate entities with their original IDs
+    const entitiesById = new Map();
+    for (const entityData of data.entities) {
+        const entity = Entity.fromJSON(
+            entityData.componentVersions ? entityData : { ...entityData, componentVersions },
+            report
+        );
+        Entity.ids.release(entity.id);
+        entity.id = entityData.id;
+        entitiesById.set(entity.id, entity);
+    }
+
+    // Relink the hierarchy once every entity exists
+    for (const entityData of data.entities) {
+        if (entityData.parentId !== null && entityData.parentId !== undefined) {
+            const parent = entitiesById.get(entityData.parentId);
+            if (parent) {
+                parent.addChild(entitiesById.get(entityData.id));
+            }
+        }
+    }
+
+    // Relations also refer to entities by ID (added in version 3)
+    for (const entityData of data.entities) {
+        const entity = entitiesById.get(entityData.id);
+        for (const [type, targetIds] of Object.entries(entityData.relations || {})) {
+            for (const targetId of targetIds) {
+                const target = entitiesById.get(targetId);
+                if (target && entity.active && target.active) {
+                    entity.relate(type, target);
+                }
+            }
+        }
+    }
+
+    for (const entity of entitiesById.values()) {
+        world.addEntity(entity);
+    }
+
+    return world;
+};
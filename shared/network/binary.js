@@ -0,0 +1,870 @@
+import { Component, Entity, Types } from '../core/index.js';
+import { compileSchema } from '../core/schema.js';
+
+/**
+ * Binary Codec
+ * Compact encoding for component data, entity deltas and world snapshots,
+ * driven by component schemas. Positions are quantized to a fixed step,
+ * rotations to 16-bit angles, IDs and counts are varints and present fields
+ * are marked with a bitmask. Both sides must register the same component types.
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Default quantization step for Vec3 fields (1cm)
+const DEFAULT_VEC3_STEP = 0.01;
+const EULER_ORDERS = ['XYZ', 'YXZ', 'ZXY', 'ZYX', 'YZX', 'XZY'];
+const TWO_PI = Math.PI * 2;
+
+// Tags for values that may be a number, a string or null
+const ID_NULL = 0;
+const ID_NUMBER = 1;
+const ID_STRING = 2;
+
+// Marker for component types encoded without a schema
+const SCHEMALESS_MASK = 0;
+
+/**
+ * BinaryWriter Class
+ * Appends primitive values to a growable byte buffer
+ */
+export class BinaryWriter {
+    /**
+     * Create a new writer
+     * @param {number} [initialSize=256] - Initial buffer size in bytes
+     */
+    constructor(initialSize = 256) {
+        this.bytes = new Uint8Array(initialSize);
+        this.view = new DataView(this.bytes.buffer);
+        this.offset = 0;
+    }
+
+    /**
+     * Make room for more bytes
+     * @param {number} size - Number of bytes about to be written
+     * @private
+     */
+    ensure(size) {
+        if (this.offset + size <= this.bytes.length) return;
+
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.offset + size) capacity *= 2;
+
+        const bytes = new Uint8Array(capacity);
+        bytes.set(this.bytes);
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    writeUint8(value) {
+        this.ensure(1);
+        this.bytes[this.offset++] = value;
+    }
+
+    writeBool(value) {
+        this.writeUint8(value ? 1 : 0);
+    }
+
+    /**
+     * Write an unsigned integer as a LEB128 varint (safe up to 2^53)
+     * @param {number} value - Non-negative integer
+     */
+    writeVarUint(value) {
+        if (!Number.isSafeInteger(value) || value < 0) {
+            throw new Error(`BinaryWriter: ${value} is not a non-negative safe integer`);
+        }
+        while (value >= 0x80) {
+            this.writeUint8((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        this.writeUint8(value);
+    }
+
+    /**
+     * Write a signed integer as a zigzag varint
+     * @param {number} value - Integer
+     */
+    writeVarInt(value) {
+        this.writeVarUint(value < 0 ? -value * 2 - 1 : value * 2);
+    }
+
+    writeInt16(value) {
+        this.ensure(2);
+        this.view.setInt16(this.offset, value, true);
+        this.offset += 2;
+    }
+
+    writeFloat32(value) {
+        this.ensure(4);
+        this.view.setFloat32(this.offset, value, true);
+        this.offset += 4;
+    }
+
+    writeFloat64(value) {
+        this.ensure(8);
+        this.view.setFloat64(this.offset, value, true);
+        this.offset += 8;
+    }
+
+    /**
+     * Write a UTF-8 string prefixed with its byte length
+     * @param {string} value - String to write
+     */
+    writeString(value) {
+        const encoded = textEncoder.encode(value);
+        this.writeVarUint(encoded.length);
+        this.ensure(encoded.length);
+        this.bytes.set(encoded, this.offset);
+        this.offset += encoded.length;
+    }
+
+    /**
+     * Write an ID that may be a number, a string or null
+     * @param {number|string|null} value - ID to write
+     */
+    writeId(value) {
+        if (value === null || value === undefined) {
+            this.writeUint8(ID_NULL);
+        } else if (typeof value === 'number') {
+            this.writeUint8(ID_NUMBER);
+            this.writeVarUint(value);
+        } else {
+            this.writeUint8(ID_STRING);
+            this.writeString(String(value));
+        }
+    }
+
+    /**
+     * Get the written bytes
+     * @returns {Uint8Array} A copy of the written bytes
+     */
+    finish() {
+        return this.bytes.slice(0, this.offset);
+    }
+}
+
+/**
+ * BinaryReader Class
+ * Reads primitive values written by BinaryWriter
+ */
+export class BinaryReader {
+    /**
+     * Create a new reader
+     * @param {ArrayBuffer|Uint8Array} buffer - Bytes to read (Node Buffers are Uint8Arrays)
+     */
+    constructor(buffer) {
+        this.bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.offset = 0;
+    }
+
+    /**
+     * Fail if fewer than size bytes remain
+     * @param {number} size - Bytes about to be read
+     * @private
+     */
+    check(size) {
+        if (this.offset + size > this.bytes.length) {
+            throw new Error('BinaryReader: unexpected end of data');
+        }
+    }
+
+    readUint8() {
+        this.check(1);
+        return this.bytes[this.offset++];
+    }
+
+    readBool() {
+        return this.readUint8() !== 0;
+    }
+
+    readVarUint() {
+        let result = 0;
+        let multiplier = 1;
+        while (true) {
+            const byte = this.readUint8();
+            result += (byte & 0x7f) * multiplier;
+            if ((byte & 0x80) === 0) return result;
+            multiplier *= 0x80;
+            if (multiplier > Number.MAX_SAFE_INTEGER) {
+                throw new Error('BinaryReader: varint too long');
+            }
+        }
+    }
+
+    readVarInt() {
+        const value = this.readVarUint();
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    }
+
+    readInt16() {
+        this.check(2);
+        const value = this.view.getInt16(this.offset, true);
+        this.offset += 2;
+        return value;
+    }
+
+    readFloat32() {
+        this.check(4);
+        const value = this.view.getFloat32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    readFloat64() {
+        this.check(8);
+        const value = this.view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return value;
+    }
+
+    readString() {
+        const length = this.readVarUint();
+        this.check(length);
+        const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+
+    readId() {
+        const tag = this.readUint8();
+        if (tag === ID_NULL) return null;
+        if (tag === ID_NUMBER) return this.readVarUint();
+        if (tag === ID_STRING) return this.readString();
+        throw new Error(`BinaryReader: unknown ID tag ${tag}`);
+    }
+}
+
+/**
+ * Quantize an angle into a signed 16-bit value
+ * @param {number} angle - Angle in radians
+ * @returns {number} Quantized angle
+ */
+function quantizeAngle(angle) {
+    // Wrap into [-PI, PI) so any equivalent rotation fits
+    const wrapped = angle - TWO_PI * Math.floor((angle + Math.PI) / TWO_PI);
+    return Math.max(-32768, Math.min(32767, Math.round(wrapped / Math.PI * 32768)));
+}
+
+/**
+ * Write a single value according to its schema field
+ * @param {BinaryWriter} writer - Destination
+ * @param {Object} field - Normalized schema field
+ * @param {*} value - Serialized value
+ */
+function writeValue(writer, field, value) {
+    switch (field.type) {
+        case Types.Number:
+            if (field.integer) {
+                writer.writeVarInt(value);
+            } else if (field.quantize) {
+                writer.writeVarInt(Math.round(value / field.quantize));
+            } else {
+                writer.writeFloat64(value);
+            }
+            break;
+
+        case Types.String:
+            writer.writeString(value);
+            break;
+
+        case Types.Bool:
+            writer.writeBool(value);
+            break;
+
+        case Types.Vec3: {
+            const step = field.quantize || DEFAULT_VEC3_STEP;
+            writer.writeVarInt(Math.round(value.x / step));
+            writer.writeVarInt(Math.round(value.y / step));
+            writer.writeVarInt(Math.round(value.z / step));
+            break;
+        }
+
+        case Types.Euler:
+            writer.writeInt16(quantizeAngle(value.x));
+            writer.writeInt16(quantizeAngle(value.y));
+            writer.writeInt16(quantizeAngle(value.z));
+            writer.writeUint8(Math.max(0, EULER_ORDERS.indexOf(value.order)));
+            break;
+
+        case Types.EntityRef:
+            writer.writeVarUint(value === null ? 0 : value + 1);
+            break;
+
+        case Types.Enum:
+            writer.writeVarUint(field.values.indexOf(value));
+            break;
+
+        case Types.Array:
+            writer.writeVarUint(value.length);
+            for (const item of value) {
+                writeValue(writer, field.of, item);
+            }
+            break;
+
+        case Types.Map: {
+            const keys = Object.keys(value);
+            writer.writeVarUint(keys.length);
+            for (const key of keys) {
+                writer.writeString(key);
+                writeValue(writer, field.of, value[key]);
+            }
+            break;
+        }
+
+        case Types.Json:
+            writer.writeString(JSON.stringify(value));
+            break;
+
+        default:
+            throw new Error(`Binary codec: unsupported field type '${field.type.name}'`);
+    }
+}
+
+/**
+ * Read a single value according to its schema field
+ * @param {BinaryReader} reader - Source
+ * @param {Object} field - Normalized schema field
+ * @returns {*} Serialized value
+ */
+function readValue(reader, field) {
+    switch (field.type) {
+        case Types.Number:
+            if (field.integer) return reader.readVarInt();
+            if (field.quantize) return reader.readVarInt() * field.quantize;
+            return reader.readFloat64();
+
+        case Types.String:
+            return reader.readString();
+
+        case Types.Bool:
+            return reader.readBool();
+
+        case Types.Vec3: {
+            const step = field.quantize || DEFAULT_VEC3_STEP;
+            return {
+                x: reader.readVarInt() * step,
+                y: reader.readVarInt() * step,
+                z: reader.readVarInt() * step
+            };
+        }
+
+        case Types.Euler: {
+            const x = reader.readInt16() / 32768 * Math.PI;
+            const y = reader.readInt16() / 32768 * Math.PI;
+            const z = reader.readInt16() / 32768 * Math.PI;
+            const order = EULER_ORDERS[reader.readUint8()] || 'XYZ';
+            return { x, y, z, order };
+        }
+
+        case Types.EntityRef: {
+            const value = reader.readVarUint();
+            return value === 0 ? null : value - 1;
+        }
+
+        case Types.Enum:
+            return field.values[reader.readVarUint()];
+
+        case Types.Array: {
+            const length = reader.readVarUint();
+            const items = [];
+            for (let i = 0; i < length; i++) {
+                items.push(readValue(reader, field.of));
+            }
+            return items;
+        }
+
+        case Types.Map: {
+            const count = reader.readVarUint();
+            const result = {};
+            for (let i = 0; i < count; i++) {
+                const key = reader.readString();
+                result[key] = readValue(reader, field.of);
+            }
+            return result;
+        }
+
+        case Types.Json:
+            return JSON.parse(reader.readString());
+
+        default:
+            throw new Error(`Binary codec: unsupported field type '${field.type.name}'`);
+    }
+}
+
+/**
+ * Get the sorted table of registered component type names
+ * Both peers derive the same indices as long as they register the same types
+ * @returns {Array<string>} Component type names
+ */
+function getTypeTable() {
+    return Array.from(Component.types.keys()).sort();
+}
+
+/**
+ * Get the compiled schema of a registered component type
+ * @param {string} typeName - Component type name
+ * @returns {Map<string, Object>|null} Compiled schema, or null if the type has none
+ */
+function getTypeSchema(typeName) {
+    const ComponentClass = Component.types.get(typeName);
+    return ComponentClass && ComponentClass.schema ?
+        compileSchema(ComponentClass.schema, typeName) :
+        null;
+}
+
+/**
+ * Write the serialized data of one component
+ * Only fields present in data are written, so partial (delta) updates are supported
+ * @param {BinaryWriter} writer - Destination
+ * @param {string} typeName - Registered component type name
+ * @param {Object} data - Serialized component data (full or partial)
+ * @param {Array<string>} [typeTable] - Component type table
+ */
+export function writeComponent(writer, typeName, data, typeTable = getTypeTable()) {
+    const typeIndex = typeTable.indexOf(typeName);
+    if (typeIndex === -1) {
+        throw new Error(`Binary codec: component type '${typeName}' not registered`);
+    }
+    writer.writeVarUint(typeIndex);
+
+    const schema = getTypeSchema(typeName);
+    if (!schema) {
+        writer.writeVarUint(SCHEMALESS_MASK);
+        writer.writeString(JSON.stringify(data));
+        return;
+    }
+
+    // Bit i marks schema field i as present; the lowest bit is reserved for schemaless data
+    const fields = Array.from(schema);
+    let mask = 0;
+    let bit = 2;
+    for (const [fieldName] of fields) {
+        if (data[fieldName] !== undefined) mask += bit;
+        bit *= 2;
+    }
+    writer.writeVarUint(mask + 1);
+
+    for (const [fieldName, field] of fields) {
+        if (data[fieldName] !== undefined) {
+            writeValue(writer, field, data[fieldName]);
+        }
+    }
+}
+
+/**
+ * Read one component written by writeComponent
+ * @param {BinaryReader} reader - Source
+ * @param {Array<string>} [typeTable] - Component type table
+ * @returns {Array} [typeName, data]
+ */
+export function readComponent(reader, typeTable = getTypeTable()) {
+    const typeName = typeTable[reader.readVarUint()];
+    if (typeName === undefined) {
+        throw new Error('Binary codec: unknown component type index');
+    }
+
+    const mask = reader.readVarUint();
+    if (mask === SCHEMALESS_MASK) {
+        return [typeName, JSON.parse(reader.readString())];
+    }
+
+    const schema = getTypeSchema(typeName);
+    if (!schema) {
+        throw new Error(`Binary codec: component type '${typeName}' has no schema`);
+    }
+
+    const data = {};
+    let remaining = Math.floor((mask - 1) / 2);
+    for (const [fieldName, field] of schema) {
+        if (remaining % 2 === 1) {
+            data[fieldName] = readValue(reader, field);
+        }
+        remaining = Math.floor(remaining / 2);
+    }
+    return [typeName, data];
+}
+
+/**
+ * Write a map of component name -> component data
+ * @param {BinaryWriter} writer - Destination
+ * @param {Object} components - Serialized components
+ * @param {Array<string>} typeTable - Component type table
+ */
+function writeComponents(writer, components, typeTable) {
+    const names = Object.keys(components);
+    writer.writeVarUint(names.length);
+    for (const name of names) {
+        writeComponent(writer, name, components[name], typeTable);
+    }
+}
+
+/**
+ * Read a map of component name -> component data
+ * @param {BinaryReader} reader - Source
+ * @param {Array<string>} typeTable - Component type table
+ * @returns {Object} Serialized components
+ */
+function readComponents(reader, typeTable) {
+    const components = {};
+    const count = reader.readVarUint();
+    for (let i = 0; i < count; i++) {
+        const [name, data] = readComponent(reader, typeTable);
+        components[name] = data;
+    }
+    return components;
+}
+
+/**
+ * Write a list of strings
+ * @param {BinaryWriter} writer - Destination
+ * @param {Array<string>} list - Strings
+ */
+function writeStringList(writer, list) {
+    writer.writeVarUint(list.length);
+    for (const item of list) {
+        writer.writeString(item);
+    }
+}
+
+/**
+ * Write entity ID allocator state from a snapshot
+ * @param {BinaryWriter} writer - Destination
+ * @param {Object} entityIds - Serialized allocator state
+ */
+function writeEntityIds(writer, entityIds) {
+    writer.writeVarUint(entityIds.size);
+    writer.writeVarUint(entityIds.generations.length);
+    for (const [index, generation] of entityIds.generations) {
+        writer.writeVarUint(index);
+        writer.writeVarUint(generation);
+    }
+}
+
+/**
+ * Read entity ID allocator state written by writeEntityIds
+ * @param {BinaryReader} reader - Source
+ * @returns {Object} Serialized allocator state
+ */
+function readEntityIds(reader) {
+    const size = reader.readVarUint();
+    const count = reader.readVarUint();
+    const generations = [];
+    for (let i = 0; i < count; i++) {
+        generations.push([reader.readVarUint(), reader.readVarUint()]);
+    }
+    return { size, generations };
+}
+
+/**
+ * Write the data version of each component type
+ * @param {BinaryWriter} writer - Destination
+ * @param {Object} versions - Type name -> version
+ */
+function writeComponentVersions(writer, versions) {
+    const typeNames = Object.keys(versions);
+    writer.writeVarUint(typeNames.length);
+    for (const typeName of typeNames) {
+        writer.writeString(typeName);
+        writer.writeVarUint(versions[typeName]);
+    }
+}
+
+/**
+ * Read component type versions written by writeComponentVersions
+ * @param {BinaryReader} reader - Source
+ * @returns {Object} Type name -> version
+ */
+function readComponentVersions(reader) {
+    const versions = {};
+    const count = reader.readVarUint();
+    for (let i = 0; i < count; i++) {
+        versions[reader.readString()] = reader.readVarUint();
+    }
+    return versions;
+}
+
+/**
+ * Get the versions of the component types an entity has
+ * @param {Object} components - Component type name -> data
+ * @param {Object} versions - Type name -> version for every type
+ * @returns {Object} Type name -> version for the entity's components
+ */
+function pickComponentVersions(components, versions) {
+    const picked = {};
+    for (const typeName of Object.keys(components)) {
+        picked[typeName] = versions[typeName] || 1;
+    }
+    return picked;
+}
+
+/**
+ * Write an entity's relations as target entity IDs
+ * @param {BinaryWriter} writer - Destination
+ * @param {Object} relations - Relation type -> array of target IDs
+ */
+function writeRelations(writer, relations) {
+    const types = Object.keys(relations);
+    writer.writeVarUint(types.length);
+    for (const type of types) {
+        writer.writeString(type);
+        writer.writeVarUint(relations[type].length);
+        for (const targetId of relations[type]) {
+            writer.writeVarUint(targetId);
+        }
+    }
+}
+
+/**
+ * Read entity relations written by writeRelations
+ * @param {BinaryReader} reader - Source
+ * @returns {Object} Relation type -> array of target IDs
+ */
+function readRelations(reader) {
+    const relations = {};
+    const typeCount = reader.readVarUint();
+    for (let i = 0; i < typeCount; i++) {
+        const type = reader.readString();
+        const targetIds = [];
+        const count = reader.readVarUint();
+        for (let j = 0; j < count; j++) {
+            targetIds.push(reader.readVarUint());
+        }
+        relations[type] = targetIds;
+    }
+    return relations;
+}
+
+/**
+ * Write an entity's authority and owner
+ * @param {BinaryWriter} writer - Destination
+ * @param {string} [authority] - One of Entity.AUTHORITY
+ * @param {string|null} [owner] - Owner ID
+ */
+function writeOwnership(writer, authority, owner) {
+    const index = AUTHORITIES.indexOf(authority || Entity.AUTHORITY.SERVER);
+    if (index === -1) {
+        throw new Error(`Cannot encode unknown authority '${authority}'`);
+    }
+    writer.writeUint8(index);
+    writer.writeId(owner === undefined ? null : owner);
+}
+
+/**
+ * Read an entity's authority and owner written by writeOwnership
+ * @param {BinaryReader} reader - Source
+ * @returns {Object} { authority, owner }
+ */
+function readOwnership(reader) {
+    const authority = AUTHORITIES[reader.readUint8()];
+    if (authority === undefined) {
+        throw new Error('Invalid authority in binary data');
+    }
+    return { authority, owner: reader.readId() };
+}
+
+/**
+ * Read a list of strings
+ * @param {BinaryReader} reader - Source
+ * @returns {Array<string>} Strings
+ */
+function readStringList(reader) {
+    const list = [];
+    const count = reader.readVarUint();
+    for (let i = 0; i < count; i++) {
+        list.push(reader.readString());
+    }
+    return list;
+}
+
+// Presence bits for optional parts of a delta change record
+const CHANGE_NAME = 1;
+const CHANGE_TAGS = 2;
+const CHANGE_PARENT = 4;
+const CHANGE_COMPONENTS = 8;
+const CHANGE_REMOVED = 16;
+const CHANGE_OWNER = 32;
+
+// Wire order of authority values
+const AUTHORITIES = Object.values(Entity.AUTHORITY);
+
+/**
+ * Encode a delta produced by DeltaEncoder
+ * @param {Object} delta - Delta object
+ * @returns {Uint8Array} Encoded bytes
+ */
+export function encodeDelta(delta) {
+    const writer = new BinaryWriter();
+    const typeTable = getTypeTable();
+
+    writer.writeVarUint(delta.tick);
+    writer.writeVarUint(delta.baseline === null ? 0 : delta.baseline + 1);
+
+    writer.writeVarUint(delta.created.length);
+    for (const state of delta.created) {
+        writer.writeId(state.networkId);
+        writer.writeString(state.name);
+        writeStringList(writer, state.tags);
+        writeOwnership(writer, state.authority, state.owner);
+        writer.writeId(state.parent);
+        writeComponents(writer, state.components, typeTable);
+    }
+
+    writer.writeVarUint(delta.destroyed.length);
+    for (const networkId of delta.destroyed) {
+        writer.writeId(networkId);
+    }
+
+    writer.writeVarUint(delta.changed.length);
+    for (const change of delta.changed) {
+        let mask = 0;
+        if (change.name !== undefined) mask |= CHANGE_NAME;
+        if (change.tags !== undefined) mask |= CHANGE_TAGS;
+        if (change.parent !== undefined) mask |= CHANGE_PARENT;
+        if (change.components !== undefined) mask |= CHANGE_COMPONENTS;
+        if (change.removedComponents !== undefined) mask |= CHANGE_REMOVED;
+        if (change.owner !== undefined) mask |= CHANGE_OWNER;
+
+        writer.writeId(change.networkId);
+        writer.writeUint8(mask);
+        if (mask & CHANGE_NAME) writer.writeString(change.name);
+        if (mask & CHANGE_TAGS) writeStringList(writer, change.tags);
+        if (mask & CHANGE_PARENT) writer.writeId(change.parent);
+        if (mask & CHANGE_COMPONENTS) writeComponents(writer, change.components, typeTable);
+        if (mask & CHANGE_REMOVED) writeStringList(writer, change.removedComponents);
+        if (mask & CHANGE_OWNER) writeOwnership(writer, change.authority, change.owner);
+    }
+
+    return writer.finish();
+}
+
+/**
+ * Decode a delta written by encodeDelta
+ * @param {ArrayBuffer|Uint8Array} buffer - Encoded bytes
+ * @returns {Object} Delta object
+ */
+export function decodeDelta(buffer) {
+    const reader = new BinaryReader(buffer);
+    const typeTable = getTypeTable();
+
+    const tick = reader.readVarUint();
+    const baselineValue = reader.readVarUint();
+    const delta = {
+        tick,
+        baseline: baselineValue === 0 ? null : baselineValue - 1,
+        created: [],
+        destroyed: [],
+        changed: []
+    };
+
+    const createdCount = reader.readVarUint();
+    for (let i = 0; i < createdCount; i++) {
+        delta.created.push({
+            networkId: reader.readId(),
+            name: reader.readString(),
+            tags: readStringList(reader),
+            ...readOwnership(reader),
+            parent: reader.readId(),
+            components: readComponents(reader, typeTable)
+        });
+    }
+
+    const destroyedCount = reader.readVarUint();
+    for (let i = 0; i < destroyedCount; i++) {
+        delta.destroyed.push(reader.readId());
+    }
+
+    const changedCount = reader.readVarUint();
+    for (let i = 0; i < changedCount; i++) {
+        const change = { networkId: reader.readId() };
+        const mask = reader.readUint8();
+        if (mask & CHANGE_NAME) change.name = reader.readString();
+        if (mask & CHANGE_TAGS) change.tags = readStringList(reader);
+        if (mask & CHANGE_PARENT) change.parent = reader.readId();
+        if (mask & CHANGE_COMPONENTS) change.components = readComponents(reader, typeTable);
+        if (mask & CHANGE_REMOVED) change.removedComponents = readStringList(reader);
+        if (mask & CHANGE_OWNER) Object.assign(change, readOwnership(reader));
+        delta.changed.push(change);
+    }
+
+    return delta;
+}
+
+/**
+ * Encode a world snapshot produced by world.snapshot()
+ * Component data is laid out by the current schemas, so binary snapshots can't
+ * be migrated across component versions; persist JSON snapshots for that
+ * @param {Object} snapshot - World snapshot
+ * @returns {Uint8Array} Encoded bytes
+ */
+export function encodeSnapshot(snapshot) {
+    const writer = new BinaryWriter(1024);
+    const typeTable = getTypeTable();
+
+    writer.writeVarUint(snapshot.version);
+    writer.writeString(snapshot.name);
+    writer.writeVarUint(snapshot.tick);
+    writeEntityIds(writer, snapshot.entityIds || { size: snapshot.nextEntityId || 0, generations: [] });
+    writeStringList(writer, snapshot.componentTypes);
+    writeComponentVersions(writer, snapshot.componentVersions || {});
+
+    writer.writeVarUint(snapshot.entities.length);
+    for (const entity of snapshot.entities) {
+        writer.writeVarUint(entity.id);
+        writer.writeString(entity.name);
+        writer.writeBool(entity.active);
+        writeStringList(writer, entity.tags);
+        writer.writeId(entity.networkId);
+        writeOwnership(writer, entity.authority, entity.owner);
+        writer.writeId(entity.prefab);
+        writer.writeId(entity.parentId);
+        writeRelations(writer, entity.relations || {});
+        writeComponents(writer, entity.components || {}, typeTable);
+    }
+
+    return writer.finish();
+}
+
+/**
+ * Decode a world snapshot written by encodeSnapshot
+ * The result can be passed to World.restore
+ * @param {ArrayBuffer|Uint8Array} buffer - Encoded bytes
+ * @returns {Object} World snapshot
+ */
+export function decodeSnapshot(buffer) {
+    const reader = new BinaryReader(buffer);
+    const typeTable = getTypeTable();
+
+    const snapshot = {
+        version: reader.readVarUint(),
+        name: reader.readString(),
+        tick: reader.readVarUint(),
+        entityIds: readEntityIds(reader),
+        componentTypes: readStringList(reader),
+        componentVersions: readComponentVersions(reader),
+        entities: []
+    };
+
+    const count = reader.readVarUint();
+    for (let i = 0; i < count; i++) {
+        const entity = {
+            id: reader.readVarUint(),
+            name: reader.readString(),
+            active: reader.readBool(),
+            tags: readStringList(reader),
+            networkId: reader.readId(),
+            ...readOwnership(reader),
+            prefab: reader.readId(),
+            parentId: reader.readId(),
+            relations: readRelations(reader),
+            components: readComponents(reader, typeTable)
+        };
+
+        // Component data was written with the current schemas, so it is at the snapshot's versions
+        entity.componentVersions = pickComponentVersions(entity.components, snapshot.componentVersions);
+        snapshot.entities.push(entity);
+    }
+
+    return snapshot;
+}
@@ -0,0 +1,427 @@
+import { Entity } from '../core/index.js';
+
+/**
+ * Delta Encoding
+ * The server captures the networked entity state of each tick, then encodes
+ * per client only what changed since the state it was last sent. Deltas are
+ * applied in order on top of each other; the tick a client acknowledged bounds
+ * how far back the encoder has to look, and without one it sends a full update.
+ * Entities are identified by their networkId; entities without one are not replicated.
+ *
+ * Delta format:
+ *   {
+ *     tick, baseline,           // baseline is null for a full update
+ *     created: [entityState],   // full state of entities the client doesn't have
+ *     destroyed: [networkId],
+ *     changed: [{ networkId, name?, tags?, authority?, owner?, parent?, components?, removedComponents? }]
+ *   }
+ */
+
+/**
+ * Capture the replicated state of a single entity
+ * @param {Entity} entity - The entity
+ * @returns {Object} Entity state keyed by networkId-based references
+ */
+export function captureEntityState(entity) {
+    const data = entity.serialize();
+    return {
+        networkId: entity.networkId,
+        name: data.name,
+        tags: data.tags,
+        authority: entity.authority,
+        owner: entity.owner,
+        parent: entity.parent ? entity.parent.networkId : null,
+        components: data.components
+    };
+}
+
+/**
+ * Deep equality for plain serialized data
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values are equal
+ */
+export function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+
+    for (const key of keysA) {
+        if (!Object.prototype.hasOwnProperty.call(b, key) || !deepEqual(a[key], b[key])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Diff two captured entity states
+ * @param {Object} before - Baseline state
+ * @param {Object} after - Current state
+ * @returns {Object|null} Change record, or null if nothing changed
+ */
+export function diffEntityState(before, after) {
+    const change = { networkId: after.networkId };
+    let hasChanges = false;
+
+    if (before.name !== after.name) {
+        change.name = after.name;
+        hasChanges = true;
+    }
+    if (!deepEqual(before.tags, after.tags)) {
+        change.tags = after.tags;
+        hasChanges = true;
+    }
+    // Ownership is sent as a pair so the receiver can apply it in one setOwner call
+    if (before.authority !== after.authority || before.owner !== after.owner) {
+        change.authority = after.authority;
+        change.owner = after.owner;
+        hasChanges = true;
+    }
+    if (before.parent !== after.parent) {
+        change.parent = after.parent;
+        hasChanges = true;
+    }
+
+    const components = {};
+    for (const componentName in after.components) {
+        const previous = before.components[componentName];
+        const current = after.components[componentName];
+
+        // New components are sent whole
+        if (!previous) {
+            components[componentName] = current;
+            continue;
+        }
+
+        const fields = {};
+        let fieldChanged = false;
+        for (const field in current) {
+            if (!deepEqual(previous[field], current[field])) {
+                fields[field] = current[field];
+                fieldChanged = true;
+            }
+        }
+        if (fieldChanged) {
+            components[componentName] = fields;
+        }
+    }
+    if (Object.keys(components).length > 0) {
+        change.components = components;
+        hasChanges = true;
+    }
+
+    const removedComponents = Object.keys(before.components)
+        .filter(componentName => !(componentName in after.components));
+    if (removedComponents.length > 0) {
+        change.removedComponents = removedComponents;
+        hasChanges = true;
+    }
+
+    return hasChanges ? change : null;
+}
+
+/**
+ * DeltaEncoder Class
+ * Keeps a short history of captured ticks and encodes deltas against them
+ */
+export class DeltaEncoder {
+    /**
+     * Create a new delta encoder
+     * @param {Object} [config] - Optional configuration
+     * @param {number} [config.historySize=64] - Number of ticks kept as possible baselines
+     */
+    constructor(config = {}) {
+        this.historySize = config.historySize || 64;
+        this.history = new Map(); // Tick -> Map<networkId, entity state>
+    }
+
+    /**
+     * Capture the state of networked entities for a tick
+     * @param {Iterable<Entity>} entities - Entities to consider (usually world.entities)
+     * @param {number} tick - Tick number being captured
+     * @returns {Map<string, Object>} Captured state
+     */
+    capture(entities, tick) {
+        const state = new Map();
+        for (const entity of entities) {
+            if (entity.active && entity.networkId !== null && entity.networkId !== undefined) {
+                state.set(entity.networkId, captureEntityState(entity));
+            }
+        }
+
+        this.history.set(tick, state);
+
+        // Drop the oldest ticks; Map iteration follows insertion order
+        while (this.history.size > this.historySize) {
+            this.history.delete(this.history.keys().next().value);
+        }
+
+        return state;
+    }
+
+    /**
+     * Check if a tick can still be used as a baseline
+     * @param {number} tick - Tick to check
+     * @returns {boolean} True if the tick is in the history
+     */
+    hasBaseline(tick) {
+        return this.history.has(tick);
+    }
+
+    /**
+     * Encode the changes a client needs to reach a captured tick
+     * The client applies each delta on top of the ones before it, including deltas
+     * it hasn't acknowledged yet, so pass every tick sent since the baseline in
+     * options.sent. Fields are diffed against the last state sent, and anything
+     * sent since the baseline that is gone now is destroyed. Falls back to a full
+     * update when the baseline or a sent tick is unknown or too old.
+     * @param {number} tick - Captured tick to encode
+     * @param {number|null} baselineTick - Tick acknowledged by the client, or null
+     * @param {Object} [options] - Encoding options
+     * @param {Set<string>} [options.include] - Only replicate these networkIds (interest management)
+     * @param {Set<string>} [options.baselineInclude] - networkIds the client was sent at the baseline tick
+     * @param {Array<Object>} [options.sent] - { tick, include } of each delta sent after the baseline,
+     *   oldest first; include is the set passed when encoding it
+     * @returns {Object} Delta
+     */
+    encode(tick, baselineTick = null, options = {}) {
+        const current = this.history.get(tick);
+        if (!current) {
+            throw new Error(`DeltaEncoder: tick ${tick} has not been captured`);
+        }
+
+        const include = options.include || null;
+        const inCurrent = networkId => current.has(networkId) && (!include || include.has(networkId));
+
+        // Everything the client may have been sent since its acknowledged baseline
+        const sent = baselineTick === null ? [] : [
+            { tick: baselineTick, include: options.baselineInclude || null },
+            ...(options.sent || [])
+        ];
+        const known = sent.every(entry => this.history.has(entry.tick));
+        const baseline = sent.length > 0 && known ? baselineTick : null;
+
+        const delta = { tick, baseline, created: [], destroyed: [], changed: [] };
+
+        if (baseline === null) {
+            for (const [networkId, state] of current) {
+                if (inCurrent(networkId)) delta.created.push(state);
+            }
+            return delta;
+        }
+
+        const sentStates = sent.map(entry => ({ state: this.history.get(entry.tick), include: entry.include }));
+        const wasSent = ({ state, include: sentInclude }, networkId) =>
+            state.has(networkId) && (!sentInclude || sentInclude.has(networkId));
+
+        // The client's copy of each entity is the last state it was sent
+        const latest = sentStates[sentStates.length - 1];
+
+        for (const [networkId, state] of current) {
+            if (!inCurrent(networkId)) continue;
+
+            if (!wasSent(latest, networkId)) {
+                delta.created.push(state);
+                continue;
+            }
+
+            const change = diffEntityState(latest.state.get(networkId), state);
+            if (change) {
+                delta.changed.push(change);
+            }
+        }
+
+        const destroyed = new Set();
+        for (const sentState of sentStates) {
+            for (const networkId of sentState.state.keys()) {
+                if (wasSent(sentState, networkId) && !inCurrent(networkId)) {
+                    destroyed.add(networkId);
+                }
+            }
+        }
+        delta.destroyed = [...destroyed];
+
+        return delta;
+    }
+
+    /**
+     * Forget all captured ticks
+     */
+    clear() {
+        this.history.clear();
+    }
+}
+
+/**
+ * DeltaDecoder Class
+ * Applies deltas from the server to a client world
+ */
+export class DeltaDecoder {
+    /**
+     * Create a new delta decoder
+     * @param {World} world - The world to apply deltas to
+     */
+    constructor(world) {
+        this.world = world;
+        this.lastTick = null; // Last applied server tick, sent back as the ack
+    }
+
+    /**
+     * Apply a delta to the world
+     * Deltas older than the last applied tick are ignored
+     * @param {Object} delta - Delta produced by DeltaEncoder.encode
+     * @returns {boolean} True if the delta was applied
+     */
+    apply(delta) {
+        if (this.lastTick !== null && delta.tick <= this.lastTick) {
+            return false;
+        }
+
+        // A full update replaces everything the client knew about
+        if (delta.baseline === null) {
+            const present = new Set(delta.created.map(state => state.networkId));
+            for (const entity of [...this.world.entities]) {
+                if (entity.networkId !== null && !present.has(entity.networkId)) {
+                    entity.deactivate();
+                }
+            }
+        }
+
+        for (const state of delta.created) {
+            this.applyCreated(state);
+        }
+
+        for (const change of delta.changed) {
+            this.applyChanged(change);
+        }
+
+        // Parents may arrive in the same delta as their children
+        for (const state of delta.created) {
+            this.applyParent(state.networkId, state.parent);
+        }
+        for (const change of delta.changed) {
+            if (change.parent !== undefined) {
+                this.applyParent(change.networkId, change.parent);
+            }
+        }
+
+        for (const networkId of delta.destroyed) {
+            const entity = this.world.getEntityByNetworkId(networkId);
+            if (entity) {
+                entity.deactivate();
+            }
+        }
+
+        this.lastTick = delta.tick;
+        return true;
+    }
+
+    /**
+     * Create an entity, or refresh it if the client already has it
+     * @param {Object} state - Full entity state
+     * @private
+     */
+    applyCreated(state) {
+        const data = {
+            name: state.name,
+            tags: state.tags,
+            networkId: state.networkId,
+            authority: state.authority,
+            owner: state.owner,
+            components: state.components
+        };
+
+        const existing = this.world.getEntityByNetworkId(state.networkId);
+        if (existing) {
+            this.applyTags(existing, state.tags);
+            existing.deserialize({ ...data, tags: undefined });
+            return;
+        }
+
+        this.world.addEntity(Entity.fromJSON(data));
+    }
+
+    /**
+     * Apply field-level changes to an existing entity
+     * @param {Object} change - Change record
+     * @private
+     */
+    applyChanged(change) {
+        const entity = this.world.getEntityByNetworkId(change.networkId);
+        if (!entity) return;
+
+        if (change.name !== undefined) {
+            entity.name = change.name;
+        }
+        if (change.tags !== undefined) {
+            this.applyTags(entity, change.tags);
+        }
+        if (change.owner !== undefined) {
+            entity.setOwner(change.owner, change.authority);
+        }
+
+        if (change.components) {
+            for (const componentName in change.components) {
+                const fields = change.components[componentName];
+                const component = entity.getComponent(componentName);
+                if (component) {
+                    component.deserialize(fields, { partial: true });
+                } else {
+                    entity.deserialize({ components: { [componentName]: fields } });
+                }
+            }
+        }
+
+        if (change.removedComponents) {
+            for (const componentName of change.removedComponents) {
+                entity.removeComponent(componentName);
+            }
+        }
+    }
+
+    /**
+     * Sync an entity's tags through addTag/removeTag so world indexes stay current
+     * @param {Entity} entity - The entity
+     * @param {Array<string>} tags - Tags the entity should have
+     * @private
+     */
+    applyTags(entity, tags) {
+        const wanted = new Set(tags);
+        for (const tag of [...entity.tags]) {
+            if (!wanted.has(tag)) entity.removeTag(tag);
+        }
+        for (const tag of wanted) {
+            if (!entity.hasTag(tag)) entity.addTag(tag);
+        }
+    }
+
+    /**
+     * Attach an entity to its parent by network ID
+     * @param {string} networkId - Child network ID
+     * @param {string|null} parentNetworkId - Parent network ID, or null to detach
+     * @private
+     */
+    applyParent(networkId, parentNetworkId) {
+        const entity = this.world.getEntityByNetworkId(networkId);
+        if (!entity) return;
+
+        if (parentNetworkId === null || parentNetworkId === undefined) {
+            if (entity.parent) {
+                entity.parent.removeChild(entity);
+            }
+            return;
+        }
+
+        const parent = this.world.getEntityByNetworkId(parentNetworkId);
+        if (parent && entity.parent !== parent) {
+            parent.addChild(entity);
+        }
+    }
+}
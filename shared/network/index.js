@@ -0,0 +1,12 @@
+// Shared networking module exports
+export { DeltaEncoder, DeltaDecoder, captureEntityState, diffEntityState, deepEqual } from './delta.js';
+export {
+    BinaryWriter,
+    BinaryReader,
+    writeComponent,
+    readComponent,
+    encodeDelta,
+    decodeDelta,
+    encodeSnapshot,
+    decodeSnapshot
+} from './binary.js';
@@ -0,0 +1,32 @@
+import { MovementComponent, PlayerComponent, WorldObjectComponent } from '../components/index.js';
+import { MovementSystem } from '../systems/index.js';
+import { TransformPlugin } from './TransformPlugin.js';
+
+/**
+ * Game Plugin
+ * Players and world objects, shared by the authoritative server world and client worlds
+ * Options: { movement } is passed to the MovementSystem (see MovementSystem)
+ */
+export const GamePlugin = {
+    name: 'game',
+    dependencies: [TransformPlugin],
+    components: { PlayerComponent, WorldObjectComponent, MovementComponent },
+    systems: [(world, options) => new MovementSystem(options.movement)],
+    prefabs: {
+        player: {
+            tags: ['player'],
+            components: {
+                TransformComponent: {},
+                PlayerComponent: {},
+                MovementComponent: {}
+            }
+        },
+        worldObject: {
+            tags: ['worldObject'],
+            components: {
+                TransformComponent: {},
+                WorldObjectComponent: { type: 'object' }
+            }
+        }
+    }
+};
@@ -0,0 +1,12 @@
+import { TransformComponent } from '../components/index.js';
+import { TransformHierarchySystem } from '../systems/index.js';
+
+/**
+ * Transform Plugin
+ * Transforms and parent/child world matrix propagation, for server and client worlds
+ */
+export const TransformPlugin = {
+    name: 'transform',
+    components: { TransformComponent },
+    systems: [TransformHierarchySystem]
+};
@@ -0,0 +1,3 @@
+// Shared plugins, installed with world.use() on the server and client worlds
+export { TransformPlugin } from './TransformPlugin.js';
+export { GamePlugin } from './GamePlugin.js';
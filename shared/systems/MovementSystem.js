@@ -0,0 +1,68 @@
+import { System } from '../core/index.js';
+
+/**
+ * Movement System
+ * Applies queued movement inputs, one per simulation step, on both the server
+ * and the predicting client so the two compute identical positions. Inputs that
+ * arrive faster than the simulation rate wait in the queue for later steps, so
+ * sending more of them never moves an entity faster than its speed.
+ */
+export class MovementSystem extends System {
+    /**
+     * Create a movement system
+     * @param {Object} [config] - Movement options
+     * @param {Function} [config.constrain] - (from, to) => position; keeps moves inside
+     *   rules only the server knows (bounds, blocked terrain)
+     */
+    constructor(config = {}) {
+        super({ requiredComponents: ['TransformComponent', 'MovementComponent'], phase: 'simulation' });
+        this.constrain = config.constrain || null;
+    }
+
+    /**
+     * Apply an entity's oldest queued input
+     * @param {Entity} entity - The entity to move
+     * @param {number} deltaTime - Simulation step in seconds
+     */
+    processEntity(entity, deltaTime) {
+        const movement = entity.getComponent('MovementComponent');
+        if (movement.inputs.length === 0) return;
+
+        const transform = entity.getComponent('TransformComponent');
+        const input = movement.inputs.shift();
+        const { x, y, z } = transform.position;
+
+        applyMovementInput(transform, input, movement.speed, deltaTime);
+        if (this.constrain) {
+            transform.position.copy(this.constrain({ x, y, z }, transform.position));
+        }
+        movement.lastSequence = input.sequence;
+
+        transform.markChanged();
+        movement.markChanged();
+    }
+}
+
+/**
+ * Move a transform by one input for one step, facing the direction of travel
+ * This is the whole movement model; prediction replays call it directly
+ * @param {TransformComponent} transform - Transform to move
+ * @param {Object} input - { x, z } move axes in [-1, 1]
+ * @param {number} speed - Units per second
+ * @param {number} deltaTime - Step in seconds
+ */
+export function applyMovementInput(transform, input, speed, deltaTime) {
+    let { x, z } = input;
+
+    // Diagonals are no faster than straight moves
+    const length = Math.hypot(x, z);
+    if (length === 0) return;
+    if (length > 1) {
+        x /= length;
+        z /= length;
+    }
+
+    transform.position.x += x * speed * deltaTime;
+    transform.position.z += z * speed * deltaTime;
+    transform.rotation.y = Math.atan2(x, z);
+}
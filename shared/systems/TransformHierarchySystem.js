@@ -0,0 +1,46 @@
+import { System } from '../core/index.js';
+import { findParentTransform } from '../components/index.js';
+
+/**
+ * Transform Hierarchy System
+ * Computes world matrices for every TransformComponent, parents before children,
+ * so attached entities (weapons on hands, riders on mounts, nameplates) follow their parent
+ */
+export class TransformHierarchySystem extends System {
+    constructor() {
+        super({ requiredComponents: ['TransformComponent'], phase: 'post-simulation' });
+    }
+
+    /**
+     * Walk each hierarchy from its root transform down
+     * @param {number} deltaTime - Time step in seconds
+     */
+    updateEntities(deltaTime) {
+        this.preUpdate(deltaTime);
+
+        for (const entity of this.entities) {
+            if (entity.active && !findParentTransform(entity)) {
+                this.updateTree(entity, null);
+            }
+        }
+
+        this.postUpdate(deltaTime);
+    }
+
+    /**
+     * Update an entity's world matrix, then its children's
+     * Entities without a transform pass their parent's matrix through
+     * @param {Entity} entity - The entity to update
+     * @param {THREE.Matrix4|null} parentWorldMatrix - World matrix of the nearest transformed ancestor
+     */
+    updateTree(entity, parentWorldMatrix) {
+        const transform = entity.getComponent('TransformComponent');
+        const worldMatrix = transform ? transform.updateWorldMatrix(parentWorldMatrix) : parentWorldMatrix;
+
+        for (const child of entity.children) {
+            if (child.active) {
+                this.updateTree(child, worldMatrix);
+            }
+        }
+    }
+}
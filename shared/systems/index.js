@@ -0,0 +1,3 @@
+// Shared systems, run by both the server and client worlds
+export { TransformHierarchySystem } from './TransformHierarchySystem.js';
+export { MovementSystem, applyMovementInput } from './MovementSystem.js';
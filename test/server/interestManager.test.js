@@ -0,0 +1,147 @@
+// test/server/interestManager.test.js
+// Tests for per-client interest sets and the deltas and events filtered by them
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InterestManager } from '../../server/socket/managers/interestManager.js';
+import { ReplicationManager } from '../../server/socket/managers/replicationManager.js';
+import { createServerWorld, spawnPlayer } from '../../server/world/serverWorld.js';
+
+const CONFIG = { interestRadius: 10, interestHysteresis: 2, binaryTicks: false, bandwidthReportInterval: 0 };
+
+/**
+ * Create a fake socket that records what it is sent
+ * @param {string} id - Socket ID
+ * @returns {Object} Fake socket
+ */
+function fakeSocket(id) {
+  return {
+    id,
+    handlers: {},
+    sent: [],
+    on(event, handler) { this.handlers[event] = handler; },
+    emit(event, data) { this.sent.push({ event, data }); }
+  };
+}
+
+/**
+ * Move an entity along the x axis
+ * @param {Entity} entity - Entity with a TransformComponent
+ * @param {number} x - New x position
+ */
+function moveTo(entity, x) {
+  const transform = entity.getComponent('TransformComponent');
+  transform.position.x = x;
+  transform.markChanged();
+}
+
+/**
+ * Create a server world with two connected players, the second at a distance from the first
+ * @param {number} distance - Distance between the players
+ * @param {boolean} [announce=false] - Whether the first client asks for entity_entered/entity_left
+ * @returns {Object} { world, interest, near, far, socket, other }
+ */
+function setup(distance, announce = false) {
+  const world = createServerWorld();
+  world.init();
+  const near = spawnPlayer(world, 'player_1');
+  const far = spawnPlayer(world, 'player_2');
+  moveTo(near, 0);
+  moveTo(far, distance);
+
+  const interest = new InterestManager(world, CONFIG);
+  const socket = fakeSocket('player_1');
+  const other = fakeSocket('player_2');
+  interest.addClient(socket, announce);
+  interest.addClient(other);
+  return { world, interest, near, far, socket, other };
+}
+
+test('clients see themselves and entities within the interest radius', () => {
+  const { interest, far } = setup(8);
+  interest.update();
+  assert.ok(interest.isVisible('player_1', 'player_1'));
+  assert.ok(interest.isVisible('player_1', 'player_2'));
+
+  moveTo(far, 50);
+  interest.update();
+  assert.ok(interest.isVisible('player_1', 'player_1'));
+  assert.equal(interest.isVisible('player_1', 'player_2'), false);
+  assert.equal(interest.getVisible('nobody'), null);
+});
+
+test('visible entities are only dropped past the hysteresis distance', () => {
+  const { interest, far } = setup(8);
+  interest.update();
+
+  moveTo(far, 11);
+  interest.update();
+  assert.ok(interest.isVisible('player_1', 'player_2'));
+
+  moveTo(far, 13);
+  interest.update();
+  assert.equal(interest.isVisible('player_1', 'player_2'), false);
+
+  moveTo(far, 11);
+  interest.update();
+  assert.equal(interest.isVisible('player_1', 'player_2'), false);
+});
+
+test('entity_entered and entity_left only go to clients that ask for them', () => {
+  const { interest, far, socket, other } = setup(50, true);
+  interest.update();
+  socket.sent = [];
+  other.sent = [];
+
+  moveTo(far, 5);
+  interest.update();
+  moveTo(far, 50);
+  interest.update();
+
+  assert.deepEqual(socket.sent.map(({ event, data }) => [event, data.networkId]), [
+    ['entity_entered', 'player_2'],
+    ['entity_left', 'player_2']
+  ]);
+  assert.deepEqual(socket.sent[0].data.position, { x: 5, y: 0, z: 0 });
+  assert.deepEqual(other.sent, []);
+});
+
+test('events reach only the clients that can see them, never the sender', () => {
+  const { interest, socket, other } = setup(50);
+  interest.update();
+
+  interest.emitToInterested('player_1', 'player_action', { action: 'jump' }, 'player_1');
+  interest.emitNear({ x: 45, y: 0, z: 0 }, 'entity_added', { id: 'crate' }, 'player_1');
+  interest.emitNear({ x: 0, y: 0, z: 0 }, 'entity_added', { id: 'barrel' });
+
+  assert.deepEqual(socket.sent, [{ event: 'entity_added', data: { id: 'barrel' } }]);
+  assert.deepEqual(other.sent, [{ event: 'entity_added', data: { id: 'crate' } }]);
+});
+
+test('deltas only carry visible entities, created and destroyed as they come and go', () => {
+  const { world, interest, far, socket } = setup(50);
+  const replication = new ReplicationManager(world, CONFIG, interest);
+  replication.addClient(socket);
+
+  let time = 0;
+  const tick = () => {
+    world.update(time += 0.05);
+    interest.update();
+    replication.broadcast();
+    const { data } = socket.sent.filter(({ event }) => event === 'server_delta').pop();
+    socket.handlers.delta_ack({ tick: data.tick });
+    return data;
+  };
+
+  assert.deepEqual(tick().created.map(state => state.networkId), ['player_1']);
+
+  moveTo(far, 5);
+  const entered = tick();
+  assert.deepEqual(entered.created.map(state => state.networkId), ['player_2']);
+  assert.deepEqual(entered.destroyed, []);
+
+  moveTo(far, 50);
+  const left = tick();
+  assert.deepEqual(left.created, []);
+  assert.deepEqual(left.destroyed, ['player_2']);
+});
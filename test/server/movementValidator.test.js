@@ -0,0 +1,80 @@
+// test/server/movementValidator.test.js
+// Tests for server-side player movement checks
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MovementValidator } from '../../server/world/movementValidator.js';
+
+/**
+ * Create a validator for a 100 x 100 world with one blocked box
+ * @returns {MovementValidator} The validator
+ */
+function createValidator() {
+  return new MovementValidator({
+    maxSpeed: 10,
+    speedTolerance: 1,
+    maxMoveInterval: 1000,
+    bounds: { min: { x: -50, y: 0, z: -50 }, max: { x: 50, y: 20, z: 50 } },
+    blockedAreas: [{ min: { x: 10, y: 0, z: -5 }, max: { x: 20, y: 20, z: 5 } }],
+    flagThreshold: 3,
+    flagWindow: 10000
+  });
+}
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+
+test('moves within the speed limit are accepted', () => {
+  const result = createValidator().validate(ORIGIN, { x: 5, y: 0, z: 0 }, 1000);
+  assert.deepEqual(result, { valid: true, position: { x: 5, y: 0, z: 0 }, reason: null });
+});
+
+test('moves faster than the speed limit are shortened', () => {
+  const result = createValidator().validate(ORIGIN, { x: 0, y: 0, z: -40 }, 500);
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'speed');
+  assert.ok(Math.abs(result.position.z + 5.1) < 1e-9);
+});
+
+test('moves out of bounds are clamped', () => {
+  const validator = createValidator();
+  const from = { x: 0, y: 0, z: 48 };
+
+  const result = validator.validate(from, { x: 0, y: 0, z: 55 }, 1000);
+  assert.equal(result.reason, 'bounds');
+  assert.deepEqual(result.position, { x: 0, y: 0, z: 50 });
+});
+
+test('moves into or through blocked terrain are refused', () => {
+  const validator = createValidator();
+
+  const into = validator.validate({ x: 5, y: 0, z: 0 }, { x: 12, y: 0, z: 0 }, 1000);
+  assert.deepEqual(into, { valid: false, position: { x: 5, y: 0, z: 0 }, reason: 'blocked' });
+
+  const through = validator.constrain({ x: 5, y: 0, z: 0 }, { x: 25, y: 0, z: 0 });
+  assert.equal(through.reason, 'blocked');
+
+  const out = validator.validate({ x: 15, y: 0, z: 0 }, { x: 15, y: 0, z: 9 }, 1000);
+  assert.equal(out.valid, true);
+});
+
+test('constrain ignores speed and rejects non-numeric positions', () => {
+  const validator = createValidator();
+
+  assert.deepEqual(validator.constrain(ORIGIN, { x: -40, y: 0, z: 40 }).position, { x: -40, y: 0, z: 40 });
+  assert.deepEqual(validator.constrain(ORIGIN, { x: 'a', y: 0, z: 0 }).reason, 'invalid');
+  assert.deepEqual(validator.validate(ORIGIN, { x: NaN, y: 0, z: 0 }, 100).position, ORIGIN);
+});
+
+test('players are flagged once after repeated violations in the window', () => {
+  const validator = createValidator();
+
+  assert.equal(validator.recordViolation('player_1', 0), false);
+  assert.equal(validator.recordViolation('player_1', 20000), false);
+  assert.equal(validator.recordViolation('player_1', 21000), false);
+  assert.equal(validator.recordViolation('player_1', 22000), true);
+  assert.equal(validator.recordViolation('player_1', 23000), false);
+  assert.equal(validator.isFlagged('player_1'), true);
+
+  validator.removePlayer('player_1');
+  assert.equal(validator.isFlagged('player_1'), false);
+});
@@ -0,0 +1,87 @@
+// test/server/playerHandlers.test.js
+// Tests for player movement inputs and state updates
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import playerHandlers from '../../server/socket/handlers/playerHandlers.js';
+import { createServerWorld, getPlayerEntity } from '../../server/world/serverWorld.js';
+import { MovementValidator } from '../../server/world/movementValidator.js';
+import { getMovementConfig } from '../../server/world/worldConfig.js';
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+/**
+ * Connect a fake socket for a new player
+ * @returns {Object} Fake socket with the handlers it registered and the events it was sent
+ */
+function connect() {
+  const movementValidator = new MovementValidator(getMovementConfig());
+  const socket = {
+    id: 'player_1',
+    world: createServerWorld({}, movementValidator),
+    movementValidator,
+    handlers: {},
+    sent: [],
+    on(event, handler) { this.handlers[event] = handler; },
+    emit(event, data) { this.sent.push({ event, data }); },
+    broadcast: { emit() {} }
+  };
+  playerHandlers({ emit() {} }, socket);
+  return socket;
+}
+
+/**
+ * Errors a socket was sent
+ * @param {Object} socket - Fake socket
+ * @returns {Array<Object>} player_error payloads
+ */
+function errors(socket) {
+  return socket.sent.filter(({ event }) => event === 'player_error').map(({ data }) => data);
+}
+
+test('movement only arrives through player_input', () => {
+  const socket = connect();
+  assert.equal(socket.handlers.player_move, undefined);
+
+  socket.handlers.player_input({ sequence: 1, x: 1, z: 0 });
+  const movement = getPlayerEntity(socket.world, 'player_1').getComponent('MovementComponent');
+  assert.deepEqual(movement.inputs, [{ sequence: 1, x: 1, z: 0 }]);
+  assert.deepEqual(errors(socket), []);
+});
+
+test('rejected inputs are reported and repeat offenders flagged', () => {
+  const socket = connect();
+  const flagged = [];
+  socket.world.on('playerFlagged', (entity, reason) => flagged.push({ entity, reason }));
+
+  socket.handlers.player_input({ sequence: 1, x: 1, z: 0 });
+  const threshold = socket.movementValidator.config.flagThreshold;
+  for (let i = 0; i < threshold; i++) {
+    socket.handlers.player_input({ sequence: 1, x: 1, z: 0 });
+  }
+
+  assert.equal(errors(socket).length, threshold);
+  assert.deepEqual(errors(socket)[0], { error: 'Input rejected', sequence: 1 });
+  assert.equal(flagged.length, 1);
+  assert.equal(flagged[0].reason, 'input');
+  assert.ok(socket.movementValidator.isFlagged('player_1'));
+});
+
+test('player_state cannot move the player but still applies other state', () => {
+  const socket = connect();
+  const entity = getPlayerEntity(socket.world, 'player_1');
+  const before = { ...entity.getComponent('TransformComponent').position };
+
+  socket.handlers.player_state({
+    position: { x: 50, y: 0, z: 50 },
+    scale: { x: 2, y: 2, z: 2 },
+    health: 80
+  });
+
+  const transform = entity.getComponent('TransformComponent');
+  assert.deepEqual({ ...transform.position }, before);
+  assert.deepEqual({ ...transform.scale }, { x: 2, y: 2, z: 2 });
+  assert.equal(entity.getComponent('PlayerComponent').state.health, 80);
+  assert.deepEqual(errors(socket), [{ error: 'Position and rotation are set by player_input' }]);
+});
@@ -0,0 +1,127 @@
+// test/server/rateLimiter.test.js
+// Tests for per-client token buckets and escalation against flooding clients
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter } from '../../server/socket/managers/rateLimiter.js';
+
+mock.method(console, 'warn', () => {});
+
+const CONFIG = {
+  violationWindow: 60000,
+  warnAfter: 2,
+  muteAfter: 4,
+  disconnectAfter: 6,
+  muteDuration: 1000,
+  reportInterval: 0
+};
+
+const THROTTLE = {
+  'default': { limit: 60, window: 60000, burst: 2 },
+  'chat_message': { limit: 1, window: 1000 }
+};
+
+/**
+ * Create a rate limiter tracking one fake socket
+ * @returns {Object} { limiter, socket }
+ */
+function setup() {
+  const limiter = new RateLimiter(CONFIG, THROTTLE);
+  const socket = {
+    id: 'player_1',
+    sent: [],
+    disconnected: false,
+    emit(event, data) { this.sent.push({ event, data }); },
+    disconnect() { this.disconnected = true; }
+  };
+  limiter.addSocket(socket);
+  return { limiter, socket };
+}
+
+/**
+ * Actions of the rate limit errors a socket was sent
+ * @param {Object} socket - Fake socket
+ * @returns {Array<string>} 'warn', 'mute' or 'disconnect' for each error
+ */
+function actions(socket) {
+  return socket.sent.filter(({ event }) => event === 'error').map(({ data }) => data.action);
+}
+
+test('bursts pass up to the bucket size and tokens refill over time', () => {
+  const { limiter, socket } = setup();
+
+  assert.equal(limiter.allow(socket, 'player_action', 0), true);
+  assert.equal(limiter.allow(socket, 'player_action', 0), true);
+  assert.equal(limiter.allow(socket, 'player_action', 0), false);
+  assert.equal(limiter.allow(socket, 'player_action', 1000), true);
+
+  // Without a burst the bucket holds one window's limit
+  assert.equal(limiter.allow(socket, 'chat_message', 0), true);
+  assert.equal(limiter.allow(socket, 'chat_message', 500), false);
+  assert.equal(limiter.allow(socket, 'chat_message', 1500), true);
+});
+
+test('unknown events share the default bucket and metrics entry', () => {
+  const { limiter, socket } = setup();
+  limiter.allow(socket, 'made_up_1', 0);
+  limiter.allow(socket, 'made_up_2', 0);
+  limiter.allow(socket, 'made_up_3', 0);
+
+  const metrics = limiter.getMetrics(0);
+  assert.deepEqual(metrics.events, { default: { allowed: 2, dropped: 1 } });
+  assert.equal(metrics.allowed, 2);
+  assert.equal(metrics.dropped, 1);
+});
+
+test('repeated violations warn, then mute, then disconnect', () => {
+  const { limiter, socket } = setup();
+  limiter.allow(socket, 'chat_message', 0);
+
+  for (let i = 0; i < CONFIG.muteAfter; i++) {
+    limiter.allow(socket, 'chat_message', 0);
+  }
+  assert.deepEqual(actions(socket), ['warn', 'mute']);
+  assert.ok(limiter.isMuted('player_1', 0));
+
+  // Muted clients' events are dropped, even ones they still have tokens for
+  assert.equal(limiter.allow(socket, 'player_action', 500), false);
+  assert.equal(limiter.isMuted('player_1', CONFIG.muteDuration), false);
+
+  // A token has refilled by the time the mute ends; the events after it are violations again
+  assert.equal(limiter.allow(socket, 'chat_message', CONFIG.muteDuration), true);
+  for (let i = 0; i < CONFIG.disconnectAfter - CONFIG.muteAfter; i++) {
+    limiter.allow(socket, 'chat_message', CONFIG.muteDuration);
+  }
+  assert.deepEqual(actions(socket), ['warn', 'mute', 'disconnect']);
+  assert.ok(socket.disconnected);
+
+  const metrics = limiter.getMetrics(CONFIG.muteDuration);
+  assert.equal(metrics.warnings, 1);
+  assert.equal(metrics.mutes, 1);
+  assert.equal(metrics.disconnects, 1);
+});
+
+test('events dropped during a mute do not count as violations', () => {
+  const { limiter, socket } = setup();
+  limiter.allow(socket, 'chat_message', 0);
+  for (let i = 0; i < CONFIG.muteAfter; i++) {
+    limiter.allow(socket, 'chat_message', 0);
+  }
+
+  for (let i = 0; i < 100; i++) {
+    limiter.allow(socket, 'chat_message', 500);
+  }
+  assert.equal(socket.disconnected, false);
+  assert.deepEqual(actions(socket), ['warn', 'mute']);
+  assert.equal(limiter.getMetrics(500).dropped, CONFIG.muteAfter + 100);
+});
+
+test('removed sockets are no longer limited', () => {
+  const { limiter, socket } = setup();
+  limiter.removeSocket(socket);
+
+  for (let i = 0; i < 10; i++) {
+    assert.equal(limiter.allow(socket, 'chat_message', 0), true);
+  }
+  assert.equal(limiter.getMetrics(0).clients, 0);
+});
@@ -0,0 +1,105 @@
+// test/server/replicationManager.test.js
+// Tests for streaming world deltas to clients
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReplicationManager } from '../../server/socket/managers/replicationManager.js';
+import { createServerWorld, spawnPlayer } from '../../server/world/serverWorld.js';
+
+const CONFIG = { binaryTicks: false, bandwidthReportInterval: 0 };
+
+/**
+ * Create a fake socket that records what it is sent
+ * @param {string} id - Socket ID
+ * @returns {Object} Fake socket
+ */
+function fakeSocket(id) {
+  return {
+    id,
+    handlers: {},
+    deltas: [],
+    on(event, handler) { this.handlers[event] = handler; },
+    emit(event, data) {
+      if (event === 'server_delta') this.deltas.push(data);
+    }
+  };
+}
+
+/**
+ * Create a running server world with one player and a replicated client
+ * @returns {Object} { world, replication, socket, step }
+ */
+function setup() {
+  const world = createServerWorld();
+  world.init();
+  spawnPlayer(world, 'player_1');
+
+  const replication = new ReplicationManager(world, CONFIG);
+  const socket = fakeSocket('player_1');
+  replication.addClient(socket);
+
+  let time = 0;
+  const step = () => world.update(time += 0.05);
+  return { world, replication, socket, step };
+}
+
+test('clients get a full update until they acknowledge a tick', () => {
+  const { replication, socket, step } = setup();
+
+  step();
+  replication.broadcast();
+  step();
+  replication.broadcast();
+
+  assert.equal(socket.deltas.length, 2);
+  for (const delta of socket.deltas) {
+    assert.equal(delta.baseline, null);
+    assert.deepEqual(delta.created.map(state => state.networkId), ['player_1']);
+  }
+});
+
+test('acknowledged ticks become the baseline for later deltas', () => {
+  const { world, replication, socket, step } = setup();
+
+  step();
+  replication.broadcast();
+  socket.handlers.delta_ack({ tick: socket.deltas[0].tick });
+
+  const transform = world.getEntityByNetworkId('player_1').getComponent('TransformComponent');
+  transform.position.x = 5;
+  transform.markChanged();
+  step();
+  replication.broadcast();
+
+  const delta = socket.deltas[1];
+  assert.equal(delta.baseline, socket.deltas[0].tick);
+  assert.deepEqual(delta.created, []);
+  assert.deepEqual(delta.changed.map(change => change.networkId), ['player_1']);
+});
+
+test('acknowledgements for ticks the client was not sent are ignored', () => {
+  const { replication, socket, step } = setup();
+
+  step();
+  replication.broadcast();
+  socket.handlers.delta_ack({ tick: 999 });
+  socket.handlers.delta_ack(null);
+  step();
+  replication.broadcast();
+
+  assert.equal(socket.deltas[1].baseline, null);
+});
+
+test('broadcasting twice without a world step sends nothing new', () => {
+  const { replication, socket, step } = setup();
+
+  step();
+  replication.broadcast();
+  replication.broadcast();
+  assert.equal(socket.deltas.length, 1);
+
+  socket.handlers.delta_ack({ tick: socket.deltas[0].tick });
+  step();
+  replication.broadcast();
+  assert.equal(socket.deltas[1].baseline, socket.deltas[0].tick);
+});
@@ -0,0 +1,56 @@
+// test/server/socketHandlers.test.js
+// Tests for what clients are told when they connect
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeSocketHandlers } from '../../server/socket/index.js';
+import { getNetworkConfig } from '../../server/socket/config/socketConfig.js';
+import { createServerWorld } from '../../server/world/serverWorld.js';
+
+mock.method(console, 'log', () => {});
+
+/**
+ * Connect a fake socket to a fake Socket.IO server
+ * @param {World} world - The server world
+ * @returns {Object} Fake socket with the events it was sent
+ */
+function connect(world) {
+  const io = {
+    use() {},
+    on(event, handler) { this.handlers = { ...this.handlers, [event]: handler }; },
+    emit() {}
+  };
+  initializeSocketHandlers(io, world);
+
+  const socket = {
+    id: 'player_1',
+    sent: [],
+    on() {},
+    emit(event, data) { this.sent.push({ event, data }); },
+    broadcast: { emit() {} }
+  };
+  io.handlers.connection(socket);
+  return socket;
+}
+
+test('the tick interval is configurable', () => {
+  assert.equal(getNetworkConfig({}).tickInterval, 3000);
+  assert.equal(getNetworkConfig({ TICK_INTERVAL: '100' }).tickInterval, 100);
+});
+
+test('clients are told the simulation rate and tick interval on connect', () => {
+  const world = createServerWorld({ simulationRate: 20 });
+  world.init();
+  world.update(1);
+  world.update(1.1);
+
+  const socket = connect(world);
+  const { event, data } = socket.sent[0];
+  assert.equal(event, 'world_config');
+  assert.deepEqual(data, {
+    simulationRate: 20,
+    tickInterval: getNetworkConfig().tickInterval,
+    tick: world.tick
+  });
+  assert.ok(data.tick > 0);
+});
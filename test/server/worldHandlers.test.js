@@ -0,0 +1,129 @@
+// test/server/worldHandlers.test.js
+// Tests for client entity creation through 'create_entity'
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import worldHandlers from '../../server/socket/handlers/worldHandlers.js';
+import { createServerWorld, getWorldObjectEntity, spawnPlayer } from '../../server/world/serverWorld.js';
+import { MovementValidator } from '../../server/world/movementValidator.js';
+import { getMovementConfig } from '../../server/world/worldConfig.js';
+
+mock.method(console, 'log', () => {});
+
+/**
+ * Connect a fake socket for a player standing at a position
+ * @param {Object} position - Player position
+ * @param {MovementValidator} [movementValidator] - Validator for spawn positions
+ * @returns {Object} Fake socket with the handlers it registered and the events it was sent
+ */
+function connect(position = { x: 0, y: 0, z: 0 }, movementValidator = null) {
+  const world = createServerWorld();
+  const player = spawnPlayer(world, 'player_1');
+  player.getComponent('TransformComponent').deserialize({ position }, { partial: true });
+
+  const socket = {
+    id: 'player_1',
+    world,
+    movementValidator,
+    handlers: {},
+    sent: [],
+    broadcasts: [],
+    on(event, handler) { this.handlers[event] = handler; },
+    emit(event, data) { this.sent.push({ event, data }); },
+    broadcast: { emit: (event, data) => socket.broadcasts.push({ event, data }) }
+  };
+  worldHandlers({ emit() {} }, socket);
+  return socket;
+}
+
+/**
+ * Last event a socket was sent
+ * @param {Object} socket - Fake socket
+ * @returns {Object} { event, data }
+ */
+function lastSent(socket) {
+  return socket.sent[socket.sent.length - 1];
+}
+
+test('entities are created from allowlisted prefabs', () => {
+  const socket = connect();
+  socket.handlers.create_entity({ prefab: 'barrel', position: { x: 2, y: 0, z: 3 } });
+
+  const { event, data } = lastSent(socket);
+  assert.equal(event, 'entity_created');
+  assert.equal(data.entity.type, 'barrel');
+  assert.deepEqual(data.entity.position, { x: 2, y: 0, z: 3 });
+  assert.deepEqual(data.entity.scale, { x: 0.8, y: 1.2, z: 0.8 });
+  assert.equal(data.entity.createdBy, 'player_1');
+  assert.equal(socket.broadcasts[0].event, 'entity_added');
+
+  const entity = getWorldObjectEntity(socket.world, data.entity.id);
+  assert.ok(entity.hasTag('prop'));
+  assert.ok(entity.isOwnedBy('player_1'));
+});
+
+test('created entities get unique network IDs from the world', () => {
+  const socket = connect();
+  socket.handlers.create_entity({ prefab: 'crate' });
+  socket.handlers.create_entity({ prefab: 'crate' });
+
+  const [first, second] = socket.sent.map(({ data }) => data.entity.id);
+  assert.match(first, /^entity_\d+$/);
+  assert.notEqual(first, second);
+});
+
+test('client-supplied entity fields are ignored', () => {
+  const socket = connect();
+  socket.handlers.create_entity({ prefab: 'crate', type: 'dragon', properties: { health: 9999 } });
+
+  const { data } = lastSent(socket);
+  assert.equal(data.entity.type, 'crate');
+  assert.equal(data.entity.pickable, true);
+  assert.deepEqual(data.entity.properties, {});
+});
+
+test('prefabs outside the allowlist are rejected', () => {
+  const socket = connect();
+  const before = socket.world.entities.length;
+
+  for (const request of [{ prefab: 'prop' }, { prefab: 'player' }, { prefab: 'worldObject' }, { type: 'rock' }, null]) {
+    socket.handlers.create_entity(request);
+    assert.equal(lastSent(socket).event, 'entity_error');
+  }
+  assert.equal(socket.world.entities.length, before);
+});
+
+test('spawns must be valid positions near the player', () => {
+  const socket = connect({ x: 100, y: 0, z: 100 });
+
+  socket.handlers.create_entity({ prefab: 'crate', position: { x: 0, y: 0, z: 0 } });
+  assert.equal(lastSent(socket).data.error, 'Spawn position too far away');
+
+  socket.handlers.create_entity({ prefab: 'crate', position: { x: 'bad' } });
+  assert.equal(lastSent(socket).data.error, 'Invalid spawn position');
+
+  socket.handlers.create_entity({ prefab: 'crate', rotation: { x: 'bad' } });
+  assert.equal(lastSent(socket).event, 'entity_error');
+
+  socket.handlers.create_entity({ prefab: 'crate' });
+  assert.deepEqual(lastSent(socket).data.entity.position, { x: 100, y: 0, z: 100 });
+});
+
+test('spawns are kept in bounds and out of blocked terrain', () => {
+  const validator = new MovementValidator({
+    ...getMovementConfig({ WORLD_SIZE: '100' }),
+    blockedAreas: [{ min: { x: 44, y: 0, z: -5 }, max: { x: 46, y: 10, z: 5 } }]
+  });
+  const socket = connect({ x: 40, y: 0, z: 48 }, validator);
+
+  socket.handlers.create_entity({ prefab: 'crate', position: { x: 40, y: 0, z: 55 } });
+  assert.deepEqual(lastSent(socket).data.entity.position, { x: 40, y: 0, z: 50 });
+
+  socket.handlers.create_entity({ prefab: 'crate', position: { x: 45, y: 0, z: 0 } });
+  assert.equal(lastSent(socket).data.error, 'Spawn position too far away');
+
+  socket.world.getEntityByNetworkId('player_1').getComponent('TransformComponent')
+    .deserialize({ position: { x: 40, y: 0, z: 0 } }, { partial: true });
+  socket.handlers.create_entity({ prefab: 'crate', position: { x: 45, y: 0, z: 0 } });
+  assert.equal(lastSent(socket).data.error, 'Spawn position is blocked');
+});
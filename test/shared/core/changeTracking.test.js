@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Entity } from '../../../shared/core/index.js';
+import { TransformComponent } from '../../../shared/components/index.js';
+
+/**
+ * Create a running world with one transform entity
+ * @returns {Object} { world, entity, transform }
+ */
+function setup() {
+    const world = new World();
+    world.init();
+    const entity = new Entity('mover');
+    const transform = new TransformComponent();
+    entity.addComponent(transform);
+    world.addEntity(entity);
+    return { world, entity, transform };
+}
+
+test('markChanged stamps the component with the current tick', () => {
+    const { world, transform } = setup();
+    world.update(0);
+    world.update(1);
+
+    transform.position.x = 5;
+    transform.markChanged();
+
+    assert.equal(transform.changedTick, world.tick);
+    assert.ok(transform.changedSince(world.tick - 1));
+    assert.equal(transform.changedSince(world.tick), false);
+});
+
+test('queryChanged returns entities changed after a tick', () => {
+    const { world, entity, transform } = setup();
+    world.update(0);
+    const since = world.tick;
+    world.update(1);
+    assert.deepEqual(world.queryChanged('TransformComponent', since), []);
+
+    transform.markChanged();
+    assert.deepEqual(world.queryChanged('TransformComponent', since), [entity]);
+});
+
+test('queries watching a component list changed entities until the next frame', () => {
+    const { world, entity, transform } = setup();
+    const query = world.query({ all: ['TransformComponent'], changed: ['TransformComponent'] });
+    world.update(0);
+
+    transform.markChanged();
+    assert.ok(query.changed.has(entity));
+
+    world.update(1);
+    assert.equal(query.changed.size, 0);
+});
+
+test('deserializing a component marks it changed', () => {
+    const { world, transform } = setup();
+    world.update(0);
+    world.update(1);
+
+    transform.deserialize({ position: { x: 1, y: 2, z: 3 } });
+    assert.equal(transform.changedTick, world.tick);
+});
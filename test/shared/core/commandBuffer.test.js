@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Entity, Component, System } from '../../../shared/core/index.js';
+
+class Health extends Component {}
+
+class SpawnerSystem extends System {
+    /**
+     * Record a new entity and the destruction of the first existing one
+     * @param {World} world - The world
+     */
+    update(world) {
+        this.seenDuringUpdate = world.entities.length;
+        world.commands.create('spawned', [new Health()]);
+        world.commands.destroy(world.entities[0]);
+        this.stillThere = world.entities.length;
+    }
+}
+
+test('commands recorded during a system update apply at the next sync point', () => {
+    const world = new World();
+    const system = world.registerSystem(new SpawnerSystem());
+    world.addEntity(new Entity('original'));
+    world.init();
+
+    world.update(0);
+
+    assert.equal(system.seenDuringUpdate, 1);
+    assert.equal(system.stillThere, 1);
+    assert.deepEqual(world.entities.map(entity => entity.name), ['spawned']);
+    assert.ok(world.entities[0].hasComponent('Health'));
+});
+
+test('commands for entities destroyed in the meantime are skipped', () => {
+    const world = new World();
+    const entity = world.addEntity(new Entity('target'));
+
+    world.commands.destroy(entity);
+    world.commands.addTag(entity, 'late');
+    world.commands.addComponent(entity, new Health());
+
+    assert.equal(world.commands.flush(), 1);
+    assert.equal(entity.hasTag('late'), false);
+    assert.equal(entity.hasComponent('Health'), false);
+});
+
+test('a failing command keeps the rest of the batch queued', () => {
+    const world = new World();
+    const entity = world.addEntity(new Entity('target'));
+    const broken = { active: true, addTag() { throw new Error('boom'); } };
+
+    world.commands.addTag(entity, 'first');
+    world.commands.addTag(broken, 'fails');
+    world.commands.addTag(entity, 'second');
+
+    assert.throws(() => world.commands.flush(), /boom/);
+    assert.ok(entity.hasTag('first'));
+    assert.equal(world.commands.length, 1);
+
+    assert.equal(world.commands.flush(), 1);
+    assert.ok(entity.hasTag('second'));
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Entity, EntityIdAllocator } from '../../../shared/core/index.js';
+
+test('released slots are reused with a new generation', () => {
+    const ids = new EntityIdAllocator();
+    const first = ids.allocate();
+    const second = ids.allocate();
+
+    assert.equal(ids.release(first), true);
+    assert.equal(ids.release(first), false);
+
+    const reused = ids.allocate();
+    assert.equal(EntityIdAllocator.indexOf(reused), EntityIdAllocator.indexOf(first));
+    assert.equal(EntityIdAllocator.generationOf(reused), 1);
+    assert.equal(ids.isCurrent(first), false);
+    assert.equal(ids.isCurrent(reused), true);
+    assert.equal(ids.isCurrent(second), true);
+    assert.equal(ids.liveCount, 2);
+});
+
+test('reserve claims a handle and frees the slots it skips', () => {
+    const ids = new EntityIdAllocator();
+    const handle = EntityIdAllocator.makeHandle(3, 2);
+
+    ids.reserve(handle);
+    assert.equal(ids.isCurrent(handle), true);
+    assert.equal(ids.isSlotTaken(EntityIdAllocator.makeHandle(3, 0)), true);
+    assert.equal(ids.isSlotTaken(1), false);
+    assert.equal(ids.liveCount, 1);
+});
+
+test('merge keeps handles that were stale when saved stale', () => {
+    const saved = new EntityIdAllocator();
+    const stale = saved.allocate();
+    saved.release(stale);
+
+    const ids = new EntityIdAllocator();
+    ids.merge(saved.serialize());
+    assert.equal(ids.isCurrent(stale), false);
+    assert.notEqual(ids.allocate(), stale);
+});
+
+test('world.isAlive rejects handles of removed entities', () => {
+    const world = new World();
+    const entity = world.addEntity(new Entity('temporary'));
+    const handle = entity.id;
+    assert.equal(world.isAlive(handle), true);
+
+    entity.deactivate();
+    world.removeEntity(entity);
+    const replacement = world.addEntity(new Entity('replacement'));
+
+    assert.equal(world.isAlive(handle), false);
+    assert.equal(world.isAlive(replacement.id), true);
+    replacement.deactivate();
+    world.removeEntity(replacement);
+});
+
+test('restore refuses IDs that live entities still hold', () => {
+    const world = new World();
+    const entity = world.addEntity(new Entity('live'));
+    const snapshot = world.snapshot();
+
+    assert.throws(() => World.restore(snapshot), /still in use by live entities/);
+
+    entity.deactivate();
+    world.removeEntity(entity);
+    assert.equal(World.restore(snapshot).getEntityById(entity.id).name, 'live');
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Entity } from '../../../shared/core/index.js';
+
+test('wildcard listeners receive every event with its name', () => {
+    const world = new World();
+    const events = [];
+    const listener = (eventName, ...args) => events.push([eventName, ...args]);
+    world.on('*', listener);
+
+    const entity = world.addEntity(new Entity('watched'));
+    world.emit('custom', 1, 2);
+
+    assert.deepEqual(events.map(([eventName]) => eventName), ['entityAdded', 'custom']);
+    assert.equal(events[0][1], entity);
+    assert.deepEqual(events[1].slice(1), [1, 2]);
+
+    world.off('*', listener);
+    world.emit('custom');
+    assert.equal(events.length, 2);
+});
+
+test('named listeners run before wildcard listeners', () => {
+    const world = new World();
+    const order = [];
+    world.on('*', () => order.push('*'));
+    world.on('ping', () => order.push('ping'));
+
+    world.emit('ping');
+    assert.deepEqual(order, ['ping', '*']);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, System } from '../../../shared/core/index.js';
+
+/**
+ * System that records the arguments of every update
+ */
+class Recorder extends System {
+    constructor(config) {
+        super(config);
+        this.calls = [];
+    }
+
+    /**
+     * Record an update
+     * @param {World} world - The world
+     * @param {number} deltaTime - Time step in seconds
+     * @param {number} currentTime - Current time in seconds
+     * @param {number} alpha - Interpolation alpha
+     */
+    update(world, deltaTime, currentTime, alpha) {
+        this.calls.push({ deltaTime, alpha });
+    }
+}
+
+/**
+ * Create a running fixed-rate world with a simulation and a render recorder
+ * @param {Object} config - World configuration
+ * @returns {Object} { world, simulation, render }
+ */
+function setup(config) {
+    const world = new World(config);
+    const simulation = world.registerSystem(new Recorder());
+    const render = world.registerSystem(new Recorder({ phase: 'render' }));
+    world.init();
+    world.update(1);
+    return { world, simulation, render };
+}
+
+test('simulation runs in whole fixed steps and carries the remainder', () => {
+    const { world, simulation } = setup({ simulationRate: 10 });
+
+    world.update(1.25);
+    assert.equal(simulation.calls.length, 2);
+    assert.ok(simulation.calls.every(call => call.deltaTime === 0.1));
+    assert.ok(Math.abs(world.alpha - 0.5) < 1e-9);
+
+    world.update(1.3);
+    assert.equal(simulation.calls.length, 3);
+    assert.equal(world.tick, 3);
+});
+
+test('render systems run once per update with the interpolation alpha', () => {
+    const { world, render } = setup({ simulationRate: 10 });
+    render.calls.length = 0;
+
+    world.update(1.05);
+    world.update(1.07);
+
+    assert.equal(render.calls.length, 2);
+    assert.ok(Math.abs(render.calls[0].alpha - 0.5) < 1e-9);
+    assert.ok(Math.abs(render.calls[1].alpha - 0.7) < 1e-9);
+});
+
+test('long stalls are clamped to maxCatchUpSteps', () => {
+    const { world, simulation } = setup({ simulationRate: 10, maxCatchUpSteps: 3 });
+
+    world.update(11);
+    assert.equal(simulation.calls.length, 3);
+    assert.ok(world.droppedTime > 9.6);
+});
+
+test('without a rate every system runs once per update', () => {
+    const { world, simulation, render } = setup({});
+
+    world.update(1.25);
+    assert.equal(simulation.calls.length, 2);
+    assert.equal(render.calls.length, 2);
+    assert.equal(simulation.calls[1].deltaTime, 0.25);
+    assert.throws(() => world.setSimulationRate(0), /positive number/);
+});
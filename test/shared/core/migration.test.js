@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Entity, Component, migrateComponentData } from '../../../shared/core/index.js';
+
+/**
+ * Health stored as { current, max } since version 3
+ * Version 1 used { hp }, version 2 { hp, maxHp }
+ */
+class HealthComponent extends Component {}
+HealthComponent.version = 3;
+HealthComponent.migrations = {
+    2: data => ({ hp: data.hp, maxHp: data.hp }),
+    3: data => {
+        if (!(data.hp >= 0)) throw new Error('hp must be a number');
+        return { current: data.hp, max: data.maxHp };
+    }
+};
+Component.register('HealthComponent', HealthComponent);
+
+test('data is migrated through every version in order', () => {
+    assert.deepEqual(migrateComponentData(HealthComponent, { hp: 7 }, 1), { current: 7, max: 7 });
+    assert.deepEqual(migrateComponentData(HealthComponent, { hp: 7, maxHp: 9 }, 2), { current: 7, max: 9 });
+    assert.throws(() => migrateComponentData(HealthComponent, {}, 4), /newer than supported/);
+});
+
+test('entities migrate component data saved in an older version', () => {
+    const entity = new Entity('orc').deserialize({
+        components: { HealthComponent: { hp: 5 } },
+        componentVersions: { HealthComponent: 1 }
+    });
+
+    const health = entity.getComponent('HealthComponent');
+    assert.equal(health.current, 5);
+    assert.equal(health.max, 5);
+    assert.equal(entity.serialize().componentVersions.HealthComponent, 3);
+});
+
+test('restore reports component data that fails to migrate', () => {
+    const world = new World();
+    const orc = world.addEntity(new Entity('orc'));
+    const snapshot = world.snapshot();
+    snapshot.entities[0].components = { HealthComponent: { hp: 'lots' } };
+    snapshot.entities[0].componentVersions = { HealthComponent: 2 };
+    orc.deactivate();
+    world.removeEntity(orc);
+
+    const restored = World.restore(snapshot);
+    const summary = restored.migrationReport.summary();
+
+    assert.equal(restored.getEntityById(orc.id).hasComponent('HealthComponent'), false);
+    assert.equal(summary.failed, 1);
+    assert.equal(summary.failures[0].component, 'HealthComponent');
+    assert.match(summary.failures[0].error, /hp must be a number/);
+    assert.deepEqual(restored.migrationReport.failed[0].data, { hp: 'lots' });
+});
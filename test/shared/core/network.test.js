@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Entity } from '../../../shared/core/index.js';
+
+test('network IDs are indexed as they change', () => {
+    const world = new World();
+    const entity = world.addEntity(new Entity('npc').setNetworkId('npc_1'));
+    assert.equal(world.getEntityByNetworkId('npc_1'), entity);
+
+    entity.setNetworkId('npc_2');
+    assert.equal(world.getEntityByNetworkId('npc_1'), null);
+    assert.equal(world.getEntityByNetworkId('npc_2'), entity);
+
+    entity.deactivate();
+    assert.equal(world.getEntityByNetworkId('npc_2'), null);
+});
+
+test('createNetworkId skips IDs already in use', () => {
+    const world = new World();
+    world.addEntity(new Entity('taken').setNetworkId('entity_2'));
+
+    assert.equal(world.createNetworkId(), 'entity_1');
+    assert.equal(world.createNetworkId(), 'entity_3');
+    assert.equal(world.createNetworkId('player'), 'player_4');
+});
+
+test('entities are indexed by owner', () => {
+    const world = new World();
+    const sword = world.addEntity(new Entity('sword').setOwner('player_1'));
+    const shield = world.addEntity(new Entity('shield').setOwner('player_1'));
+
+    assert.deepEqual(world.getEntitiesByOwner('player_1'), [sword, shield]);
+
+    shield.setOwner('player_2');
+    assert.deepEqual(world.getEntitiesByOwner('player_1'), [sword]);
+    assert.deepEqual(world.getEntitiesByOwner('player_2'), [shield]);
+    assert.ok(shield.isOwnedBy('player_2'));
+});
+
+test('authority defaults follow ownership and is validated', () => {
+    const entity = new Entity('pet');
+    assert.equal(entity.authority, Entity.AUTHORITY.SERVER);
+
+    entity.setOwner('player_1');
+    assert.equal(entity.authority, Entity.AUTHORITY.PREDICTED);
+
+    assert.throws(() => entity.setOwner(null, Entity.AUTHORITY.CLIENT), /needs an owner/);
+    assert.throws(() => entity.setOwner('player_1', 'everyone'), /Unknown authority/);
+});
+
+test('network ID 0 survives serialization', () => {
+    const entity = new Entity('first').setNetworkId(0);
+    const copy = new Entity('copy').deserialize(entity.serialize());
+
+    assert.equal(copy.networkId, 0);
+});
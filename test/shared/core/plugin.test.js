@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, System, PrefabRegistry } from '../../../shared/core/index.js';
+
+/**
+ * System that counts its updates
+ */
+class CountingSystem extends System {
+    constructor() {
+        super({ requiredComponents: [] });
+        this.updates = 0;
+    }
+
+    /**
+     * Count an update
+     */
+    update() {
+        this.updates++;
+    }
+}
+
+const BasePlugin = {
+    name: 'base',
+    prefabs: { rock: { name: 'Rock', tags: ['rock'] } }
+};
+
+const FeaturePlugin = {
+    name: 'feature',
+    dependencies: [BasePlugin],
+    systems: [CountingSystem],
+    events: { entityAdded: () => {} }
+};
+
+test('use installs dependencies, systems, prefabs and listeners', () => {
+    const world = new World();
+    world.use(FeaturePlugin);
+
+    assert.ok(world.plugins.has('base'));
+    assert.ok(world.plugins.has(FeaturePlugin));
+    assert.equal(world.systems.filter(system => system instanceof CountingSystem).length, 1);
+    assert.ok(world.spawn('rock').hasTag('rock'));
+});
+
+test('plugins can be removed, but not while others depend on them', () => {
+    const world = new World();
+    world.use(FeaturePlugin);
+
+    assert.throws(() => world.removePlugin('base'), /required by feature/);
+    assert.equal(world.removePlugin('feature'), true);
+    assert.equal(world.systems.some(system => system instanceof CountingSystem), false);
+
+    assert.equal(world.removePlugin('base'), true);
+    assert.equal(world.prefabs.has('rock'), false);
+});
+
+test('a failed install leaves the world unchanged', () => {
+    const world = new World();
+    const BrokenPlugin = {
+        name: 'broken',
+        systems: [CountingSystem],
+        prefabs: { wall: { name: 'Wall' } },
+        init() {
+            throw new Error('init failed');
+        }
+    };
+
+    assert.throws(() => world.use(BrokenPlugin), /init failed/);
+    assert.equal(world.plugins.has('broken'), false);
+    assert.equal(world.systems.length, 0);
+    assert.equal(world.prefabs.has('wall'), false);
+});
+
+test('plugin prefabs stay in the world that installed them', () => {
+    const world = new World();
+    const other = new World();
+    world.use(BasePlugin);
+
+    assert.equal(world.prefabs.has('rock'), true);
+    assert.equal(other.prefabs.has('rock'), false);
+    assert.equal(PrefabRegistry.default.has('rock'), false);
+});
+
+test('world registries fall back to the shared default', () => {
+    PrefabRegistry.default.register('sharedTree', { name: 'Tree' });
+    const world = new World();
+    assert.equal(world.spawn('sharedTree').name, 'Tree');
+
+    world.prefabs.register('sharedTree', { name: 'Oak' });
+    assert.equal(world.spawn('sharedTree').name, 'Oak');
+
+    world.prefabs.unregister('sharedTree');
+    assert.equal(world.spawn('sharedTree').name, 'Tree');
+    PrefabRegistry.default.unregister('sharedTree');
+});
+
+test('invalid plugins and dependency cycles are rejected', () => {
+    const world = new World();
+    const first = { name: 'first', dependencies: [] };
+    const second = { name: 'second', dependencies: [first] };
+    first.dependencies.push(second);
+
+    assert.throws(() => world.use({}), /needs a name/);
+    assert.throws(() => world.use({ name: 'needy', dependencies: ['missing'] }), /not installed/);
+    assert.throws(() => world.use(first), /dependency cycle/);
+});
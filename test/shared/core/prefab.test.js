@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Component, PrefabRegistry } from '../../../shared/core/index.js';
+import '../../../shared/components/index.js';
+
+class StatsComponent extends Component {}
+Component.register('StatsComponent', StatsComponent);
+
+const MONSTERS = JSON.stringify({
+    monster: {
+        name: 'Monster',
+        tags: ['npc', 'hostile'],
+        components: {
+            TransformComponent: { position: { x: 1, y: 0, z: 1 } },
+            StatsComponent: { kind: 'monster', properties: { health: 50, damage: 5 } }
+        }
+    },
+    goblin: {
+        extends: 'monster',
+        name: 'Goblin',
+        tags: ['small'],
+        components: {
+            TransformComponent: { scale: { x: 0.8, y: 0.8, z: 0.8 } },
+            StatsComponent: { kind: 'goblin', properties: { health: 30 } }
+        }
+    },
+    ghost: {
+        extends: 'monster',
+        components: { TransformComponent: null }
+    }
+});
+
+/**
+ * Create a registry with the monster templates loaded
+ * @returns {PrefabRegistry} The registry
+ */
+function monsters() {
+    const registry = new PrefabRegistry();
+    registry.load(MONSTERS);
+    return registry;
+}
+
+test('templates inherit tags and deep merge component data', () => {
+    const goblin = monsters().instantiate('goblin');
+    const transform = goblin.getComponent('TransformComponent');
+    const stats = goblin.getComponent('StatsComponent');
+
+    assert.equal(goblin.name, 'Goblin');
+    assert.equal(goblin.prefab, 'goblin');
+    assert.deepEqual([...goblin.tags].sort(), ['hostile', 'npc', 'small']);
+    assert.deepEqual([transform.position.x, transform.scale.x], [1, 0.8]);
+    assert.deepEqual(stats.properties, { health: 30, damage: 5 });
+});
+
+test('null removes an inherited component', () => {
+    const ghost = monsters().instantiate('ghost');
+
+    assert.equal(ghost.hasComponent('TransformComponent'), false);
+    assert.ok(ghost.hasComponent('StatsComponent'));
+});
+
+test('overrides apply on top of the template without changing it', () => {
+    const registry = monsters();
+    const boss = registry.instantiate('goblin', {
+        name: 'Goblin King',
+        components: { StatsComponent: { properties: { health: 300 } } }
+    });
+
+    assert.equal(boss.name, 'Goblin King');
+    assert.equal(boss.getComponent('StatsComponent').properties.health, 300);
+    assert.equal(registry.instantiate('goblin').getComponent('StatsComponent').properties.health, 30);
+});
+
+test('missing parents and inheritance cycles are reported', () => {
+    const registry = new PrefabRegistry();
+    registry.register('orphan', { extends: 'nobody' });
+    registry.register('a', { extends: 'b' });
+    registry.register('b', { extends: 'a' });
+
+    assert.throws(() => registry.resolve('orphan'), /unknown prefab 'nobody'/);
+    assert.throws(() => registry.resolve('a'), /cycle/);
+    assert.throws(() => registry.resolve('nothing'), /nothing/);
+});
+
+test('world.spawn and commands.spawn add prefab entities', () => {
+    const world = new World({ prefabs: monsters() });
+
+    const goblin = world.spawn('goblin');
+    assert.equal(goblin.world, world);
+
+    const queued = world.commands.spawn('monster');
+    assert.equal(queued.world, null);
+    world.commands.flush();
+    assert.equal(queued.world, world);
+});
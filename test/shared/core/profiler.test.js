@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, System, RollingStats } from '../../../shared/core/index.js';
+
+class Movement extends System {}
+
+test('RollingStats summarizes the most recent samples', () => {
+    const stats = new RollingStats(4);
+    for (const value of [100, 1, 2, 3, 4]) {
+        stats.add(value);
+    }
+
+    const summary = stats.summary();
+    assert.equal(summary.samples, 4);
+    assert.equal(summary.max, 4);
+    assert.equal(summary.avg, 2.5);
+    assert.equal(summary.p50, 2);
+    assert.equal(summary.last, 4);
+    assert.equal(stats.total, 5);
+});
+
+test('getStats reports per-system timings while profiling', () => {
+    const world = new World({ profile: true });
+    world.registerSystem(new Movement());
+    world.init();
+    world.update(1);
+    world.update(2);
+
+    const stats = world.getStats();
+    assert.equal(stats.profiling, true);
+    assert.equal(stats.steps.samples, 2);
+    assert.equal(stats.systems[0].name, 'Movement');
+    assert.equal(stats.systems[0].runs, 2);
+});
+
+test('getStats leaves out timings when profiling is off', () => {
+    const world = new World();
+    world.registerSystem(new Movement());
+    world.init();
+    world.update(1);
+
+    const stats = world.getStats();
+    assert.equal(stats.profiling, false);
+    assert.equal(stats.tick, 1);
+    assert.equal(stats.systems, undefined);
+
+    world.setProfiling(true);
+    world.update(2);
+    assert.equal(world.getStats().systems[0].runs, 1);
+});
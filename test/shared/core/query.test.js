@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Entity, Component } from '../../../shared/core/index.js';
+
+class Health extends Component {}
+class Poison extends Component {}
+
+/**
+ * Add an entity with the given components and tags
+ * @param {World} world - The world to add to
+ * @param {Array<Component>} components - Components to attach
+ * @param {Array<string>} [tags] - Tags to add
+ * @returns {Entity} The entity
+ */
+function addEntity(world, components, tags = []) {
+    const entity = new Entity();
+    for (const component of components) entity.addComponent(component);
+    for (const tag of tags) entity.addTag(tag);
+    return world.addEntity(entity);
+}
+
+test('a live query follows component and tag changes', () => {
+    const world = new World();
+    const query = world.query({ all: ['Health'], none: ['Poison'], tags: ['npc'] });
+
+    const entity = addEntity(world, [new Health()], ['npc']);
+    assert.deepEqual(query.results, [entity]);
+    assert.ok(query.added.has(entity));
+
+    // Added and removed in the same frame cancels out
+    entity.addComponent(new Poison());
+    assert.equal(query.size, 0);
+    assert.equal(query.added.size + query.removed.size, 0);
+
+    entity.removeComponent('Poison');
+    entity.removeTag('npc');
+    assert.equal(query.size, 0);
+});
+
+test('added and removed lists are cleared every frame', () => {
+    const world = new World();
+    world.init();
+    const query = world.query({ all: ['Health'] });
+    const entity = addEntity(world, [new Health()]);
+
+    world.update(0);
+    assert.equal(query.added.size, 0);
+    assert.equal(query.size, 1);
+
+    entity.removeComponent('Health');
+    assert.ok(query.removed.has(entity));
+    world.update(1);
+    assert.equal(query.removed.size, 0);
+});
+
+test('world.query returns the cached query for the same descriptor', () => {
+    const world = new World();
+    const first = world.query({ all: ['Health', 'Poison'] });
+    const second = world.query({ all: ['Poison', 'Health'] });
+
+    assert.equal(first, second);
+
+    // Held twice, so it stays cached until both holders release it
+    world.removeQuery(first);
+    assert.equal(world.queries.get(first.key), first);
+    world.removeQuery(second);
+    assert.equal(world.queries.has(first.key), false);
+});
+
+test('lookup helpers return copies', () => {
+    const world = new World();
+    addEntity(world, [new Health()], ['npc']);
+
+    world.findEntitiesWith('Health').length = 0;
+    world.findEntitiesWithTag('npc').length = 0;
+    world.queryEntities(['Health']).length = 0;
+
+    assert.equal(world.findEntitiesWith('Health').length, 1);
+    assert.equal(world.findEntitiesWithTag('npc').length, 1);
+    assert.equal(world.queryEntities(['Health']).length, 1);
+});
+
+test('unheld lookup queries are evicted once idle, held ones are kept', () => {
+    const world = new World();
+    world.init();
+    const held = world.query({ all: ['Health'] });
+    world.findEntitiesWith('Poison');
+    assert.equal(world.queries.size, 2);
+
+    for (let frame = 0; frame <= 300; frame++) {
+        world.update(frame);
+    }
+
+    assert.deepEqual([...world.queries.values()], [held]);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Entity } from '../../../shared/core/index.js';
+
+/**
+ * Create a world with a player and two items
+ * @returns {Object} { world, player, sword, shield }
+ */
+function setup() {
+    const world = new World();
+    const player = world.addEntity(new Entity('player'));
+    const sword = world.addEntity(new Entity('sword'));
+    const shield = world.addEntity(new Entity('shield'));
+    return { world, player, sword, shield };
+}
+
+test('relations can be looked up from either end', () => {
+    const { world, player, sword, shield } = setup();
+    sword.relate('ownedBy', player);
+    shield.relate('ownedBy', player);
+
+    assert.equal(sword.getRelation('ownedBy'), player);
+    assert.deepEqual(player.getRelatedBy('ownedBy'), [sword, shield]);
+    assert.deepEqual(world.queryRelated('ownedBy', player), [sword, shield]);
+    assert.deepEqual(world.queryRelated('ownedBy', player.id), [sword, shield]);
+    assert.deepEqual(world.queryRelated('ownedBy'), [sword, shield]);
+
+    sword.unrelate('ownedBy');
+    assert.deepEqual(world.queryRelated('ownedBy'), [shield]);
+});
+
+test('exclusive relations replace the previous target', () => {
+    const { player, sword, shield } = setup();
+    sword.relate('ownedBy', player);
+    sword.relate('ownedBy', shield);
+
+    assert.deepEqual(sword.getRelated('ownedBy'), [shield]);
+    assert.deepEqual(player.getRelatedBy('ownedBy'), []);
+
+    sword.relate('targets', player).relate('targets', shield);
+    assert.deepEqual(sword.getRelated('targets'), [player, shield]);
+});
+
+test('deactivated entities lose relations in both directions', () => {
+    const { world, player, sword } = setup();
+    sword.relate('ownedBy', player);
+    player.relate('targets', sword);
+
+    player.deactivate();
+    assert.equal(sword.hasRelation('ownedBy'), false);
+    assert.deepEqual(world.queryRelated('targets'), []);
+    assert.throws(() => sword.relate('ownedBy', player), /inactive/);
+});
+
+test('relations survive a snapshot and restore', () => {
+    const { world, player, sword } = setup();
+    sword.relate('ownedBy', player);
+    const snapshot = world.snapshot();
+    for (const entity of [...world.entities]) {
+        entity.deactivate();
+        world.removeEntity(entity);
+    }
+
+    const restored = World.restore(snapshot);
+    const restoredSword = restored.getEntityById(sword.id);
+    assert.equal(restoredSword.getRelation('ownedBy'), restored.getEntityById(player.id));
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, System } from '../../../shared/core/index.js';
+
+class Input extends System {}
+class Physics extends System {}
+class Collision extends System {}
+class Render extends System {}
+
+/**
+ * Names of a world's systems in execution order
+ * @param {World} world - The world
+ * @returns {Array<string>} System names
+ */
+function order(world) {
+    return world.systems.map(system => system.name);
+}
+
+test('systems run by phase, then constraints, then priority', () => {
+    const world = new World();
+    world.registerSystem(new Render({ phase: 'render' }));
+    world.registerSystem(new Collision({ runAfter: ['Physics'], priority: 10 }));
+    world.registerSystem(new Physics());
+    world.registerSystem(new Input({ phase: 'input' }));
+    world.init();
+
+    assert.deepEqual(order(world), ['Input', 'Physics', 'Collision', 'Render']);
+});
+
+test('constraints can name system classes', () => {
+    const world = new World();
+    world.registerSystem(new Physics());
+    world.registerSystem(new Collision({ runBefore: [Physics] }));
+
+    assert.deepEqual(order(world), ['Collision', 'Physics']);
+});
+
+test('a conflicting system is rejected and the world is left as it was', () => {
+    const world = new World();
+    world.registerSystem(new Physics({ runBefore: ['Collision'] }));
+
+    assert.throws(() => world.registerSystem(new Collision({ runBefore: ['Physics'] })), /cycle/i);
+    assert.deepEqual(order(world), ['Physics']);
+
+    assert.throws(() => world.registerSystem(new Input({ phase: 'render', runBefore: ['Physics'] })), /phases run in order/);
+    assert.throws(() => world.registerSystem(new Render({ phase: 'later' })), /unknown phase/);
+    assert.deepEqual(order(world), ['Physics']);
+
+    world.registerSystem(new Collision({ runAfter: ['Physics'] }));
+    assert.deepEqual(order(world), ['Physics', 'Collision']);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Component, Types } from '../../../shared/core/index.js';
+import { TransformComponent } from '../../../shared/components/index.js';
+
+class Stats extends Component {}
+
+Stats.schema = {
+    health: { type: Types.Number, default: 100, min: 0, max: 1000 },
+    name: Types.String,
+    stance: { type: Types.Enum, values: ['idle', 'combat'], default: 'idle' },
+    waypoints: { type: Types.Array, of: Types.Vec3, maxLength: 2 }
+};
+
+test('schema fields start at their defaults', () => {
+    const stats = new Stats();
+
+    assert.equal(stats.health, 100);
+    assert.equal(stats.name, '');
+    assert.equal(stats.stance, 'idle');
+    assert.deepEqual(stats.waypoints, []);
+});
+
+test('deserialize validates and normalizes every field', () => {
+    const stats = new Stats({ health: 50, waypoints: [[1, 2, 3]], extra: 'ignored' });
+
+    assert.equal(stats.health, 50);
+    assert.deepEqual(stats.waypoints.map(point => [point.x, point.y, point.z]), [[1, 2, 3]]);
+    assert.equal(stats.extra, undefined);
+});
+
+test('invalid data is rejected without applying any field', () => {
+    const stats = new Stats();
+
+    assert.throws(() => stats.deserialize({ health: 5, stance: 'dancing' }), /Stats\.stance/);
+    assert.throws(() => stats.deserialize({ health: 5000 }), /above the maximum/);
+    assert.throws(() => stats.deserialize({ waypoints: [[0, 0, 0], [0, 0, 0], [0, 0, 0]] }), /more than 2 items/);
+    assert.throws(() => stats.deserialize({ health: 'lots' }), /expected a finite number/);
+    assert.equal(stats.health, 100);
+});
+
+test('serialize and clone round-trip schema data', () => {
+    const transform = new TransformComponent({ position: { x: 1, y: 2, z: 3 } });
+    const data = transform.serialize();
+
+    assert.deepEqual(data.position, { x: 1, y: 2, z: 3 });
+    assert.deepEqual(new TransformComponent(data).serialize(), data);
+
+    const copy = transform.clone();
+    copy.position.x = 9;
+    assert.equal(transform.position.x, 1);
+});
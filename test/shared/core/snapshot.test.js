@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Entity, Component } from '../../../shared/core/index.js';
+import { TransformComponent } from '../../../shared/components/index.js';
+
+/**
+ * Build a world with a tagged, networked parent and a child
+ * @returns {World} The world
+ */
+function buildWorld() {
+    const world = new World({ name: 'Saved' });
+    const parent = new Entity('parent');
+    parent.addComponent(new TransformComponent({ position: { x: 1, y: 2, z: 3 } }));
+    parent.addTag('npc');
+    parent.networkId = 'npc_1';
+
+    const child = new Entity('child');
+    child.addComponent(new TransformComponent({ position: { x: 0, y: 1, z: 0 } }));
+    parent.addChild(child);
+
+    world.addEntity(parent);
+    world.addEntity(child);
+    return world;
+}
+
+/**
+ * Remove every entity from a world so its IDs can be restored
+ * @param {World} world - The world to empty
+ */
+function emptyWorld(world) {
+    for (const entity of [...world.entities]) {
+        entity.deactivate();
+        world.removeEntity(entity);
+    }
+}
+
+test('restore rebuilds entities, IDs, hierarchy and component data', () => {
+    const world = buildWorld();
+    const [parentId, childId] = world.entities.map(entity => entity.id);
+    const json = JSON.stringify(world.snapshot());
+    emptyWorld(world);
+
+    const restored = World.restore(json);
+    const parent = restored.getEntityById(parentId);
+    const child = restored.getEntityById(childId);
+
+    assert.equal(restored.name, 'Saved');
+    assert.equal(parent.name, 'parent');
+    assert.ok(parent.hasTag('npc'));
+    assert.equal(parent.networkId, 'npc_1');
+    assert.equal(child.parent, parent);
+    assert.deepEqual(parent.getComponent('TransformComponent').serialize().position, { x: 1, y: 2, z: 3 });
+});
+
+test('snapshots of a restored world are unchanged', () => {
+    const world = buildWorld();
+    const snapshot = world.snapshot();
+    emptyWorld(world);
+
+    const restored = World.restore(snapshot);
+    assert.deepEqual(restored.snapshot().entities, snapshot.entities);
+});
+
+test('restore rejects newer versions and unknown component types', () => {
+    const snapshot = new World().snapshot();
+
+    assert.throws(() => World.restore({ ...snapshot, version: World.SNAPSHOT_VERSION + 1 }), /newer than supported/);
+    assert.throws(() => World.restore({ ...snapshot, componentTypes: ['NoSuchComponent'] }), /NoSuchComponent/);
+    assert.throws(() => World.restore({}), /missing entities/);
+    assert.equal(Component.types.has('NoSuchComponent'), false);
+});
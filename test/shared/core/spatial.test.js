@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Entity } from '../../../shared/core/index.js';
+import { TransformComponent } from '../../../shared/components/index.js';
+
+/**
+ * Add an entity with a transform at a position
+ * @param {World} world - The world to add to
+ * @param {string} name - Entity name
+ * @param {Object} position - Position with x, y and z
+ * @returns {Entity} The entity
+ */
+function addAt(world, name, position) {
+    const entity = new Entity(name);
+    entity.addComponent(new TransformComponent({ position }));
+    return world.addEntity(entity);
+}
+
+/**
+ * Sorted names of a list of entities
+ * @param {Array<Entity>} entities - Entities
+ * @returns {Array<string>} Names
+ */
+function names(entities) {
+    return entities.map(entity => entity.name).sort();
+}
+
+test('queryRadius and queryBox return entities inside the shape', () => {
+    const world = new World({ spatialGridCellSize: 10 });
+    addAt(world, 'a', { x: 0, y: 0, z: 0 });
+    addAt(world, 'b', { x: 8, y: 0, z: 0 });
+    addAt(world, 'c', { x: 60, y: 0, z: 60 });
+
+    assert.deepEqual(names(world.queryRadius({ x: 0, y: 0, z: 0 }, 10)), ['a', 'b']);
+    assert.deepEqual(names(world.queryRadius({ x: 0, y: 0, z: 0 }, 5)), ['a']);
+    assert.deepEqual(names(world.queryBox({ x: 50, y: -1, z: 50 }, { x: 70, y: 1, z: 70 })), ['c']);
+});
+
+test('nearest returns the closest entities first', () => {
+    const world = new World({ spatialGridCellSize: 10 });
+    addAt(world, 'far', { x: 300, y: 0, z: 0 });
+    addAt(world, 'near', { x: 3, y: 0, z: 0 });
+    addAt(world, 'mid', { x: 40, y: 0, z: 0 });
+
+    const origin = { x: 0, y: 0, z: 0 };
+    assert.deepEqual(world.nearest(origin, 2).map(entity => entity.name), ['near', 'mid']);
+    assert.deepEqual(world.nearest(origin, 3, null, 50).map(entity => entity.name), ['near', 'mid']);
+});
+
+test('spatial queries honour the component filter and skip inactive entities', () => {
+    const world = new World();
+    addAt(world, 'plain', { x: 0, y: 0, z: 0 });
+    const gone = addAt(world, 'gone', { x: 1, y: 0, z: 0 });
+
+    gone.deactivate();
+    assert.deepEqual(names(world.queryRadius({ x: 0, y: 0, z: 0 }, 5)), ['plain']);
+    assert.deepEqual(world.queryRadius({ x: 0, y: 0, z: 0 }, 5, ['MissingComponent']), []);
+});
+
+test('marking a transform changed moves the entity to its new cell', () => {
+    const world = new World({ spatialGridCellSize: 10 });
+    const entity = addAt(world, 'mover', { x: 0, y: 0, z: 0 });
+
+    const transform = entity.getComponent('TransformComponent');
+    transform.position.x = 500;
+    transform.markChanged();
+
+    assert.deepEqual(names(world.queryRadius({ x: 500, y: 0, z: 0 }, 1)), ['mover']);
+    assert.deepEqual(world.queryRadius({ x: 0, y: 0, z: 0 }, 1), []);
+});
+
+test('spatial queries work without partitioning', () => {
+    const world = new World({ useSpatialPartitioning: false });
+    addAt(world, 'a', { x: 0, y: 0, z: 0 });
+    addAt(world, 'b', { x: 20, y: 0, z: 0 });
+
+    assert.deepEqual(names(world.queryRadius({ x: 0, y: 0, z: 0 }, 5)), ['a']);
+    assert.deepEqual(world.nearest({ x: 18, y: 0, z: 0 }).map(entity => entity.name), ['b']);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Entity } from '../../../shared/core/index.js';
+import { TransformComponent } from '../../../shared/components/index.js';
+import {
+    BinaryWriter,
+    BinaryReader,
+    DeltaEncoder,
+    encodeDelta,
+    decodeDelta,
+    encodeSnapshot,
+    decodeSnapshot
+} from '../../../shared/network/index.js';
+
+/**
+ * Build a world with a few networked entities
+ * @returns {World} The world
+ */
+function buildWorld() {
+    const world = new World({ name: 'Binary' });
+    for (let i = 0; i < 3; i++) {
+        const entity = new Entity(`crate ${i}`);
+        entity.networkId = `crate_${i}`;
+        entity.addTag('prop');
+        entity.addComponent(new TransformComponent({ position: { x: i * 10, y: 0.5, z: i - 5 } }));
+        world.addEntity(entity);
+    }
+    return world;
+}
+
+test('primitive values round-trip through the writer and reader', () => {
+    const writer = new BinaryWriter(1);
+    writer.writeVarUint(300);
+    writer.writeVarInt(-42);
+    writer.writeString('héllo');
+    writer.writeFloat64(Math.PI);
+    writer.writeBool(true);
+    writer.writeId('player_1');
+    writer.writeId(7);
+    writer.writeId(null);
+
+    const reader = new BinaryReader(writer.finish());
+    assert.equal(reader.readVarUint(), 300);
+    assert.equal(reader.readVarInt(), -42);
+    assert.equal(reader.readString(), 'héllo');
+    assert.equal(reader.readFloat64(), Math.PI);
+    assert.equal(reader.readBool(), true);
+    assert.equal(reader.readId(), 'player_1');
+    assert.equal(reader.readId(), 7);
+    assert.equal(reader.readId(), null);
+});
+
+test('deltas round-trip and are smaller than JSON', () => {
+    const world = buildWorld();
+    const encoder = new DeltaEncoder();
+    encoder.capture(world.entities, 1);
+    const full = encoder.encode(1, null);
+
+    world.entities[0].getComponent('TransformComponent').position.x = 3;
+    world.entities[1].addTag('broken');
+    encoder.capture(world.entities, 2);
+    const delta = encoder.encode(2, 1);
+
+    for (const original of [full, delta]) {
+        const bytes = encodeDelta(original);
+        assert.deepEqual(decodeDelta(bytes), original);
+        assert.ok(bytes.byteLength < JSON.stringify(original).length);
+    }
+});
+
+test('snapshots round-trip through the binary codec', () => {
+    const snapshot = buildWorld().snapshot();
+    const decoded = decodeSnapshot(encodeSnapshot(snapshot));
+
+    assert.equal(decoded.name, snapshot.name);
+    assert.equal(decoded.tick, snapshot.tick);
+    assert.deepEqual(decoded.entities, snapshot.entities);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Entity } from '../../../shared/core/index.js';
+import { TransformComponent } from '../../../shared/components/index.js';
+import { DeltaEncoder, DeltaDecoder } from '../../../shared/network/index.js';
+
+/**
+ * Add a networked entity with a transform
+ * @param {World} world - The world to add to
+ * @param {string} networkId - Network ID
+ * @param {number} [x=0] - Position x
+ * @returns {Entity} The entity
+ */
+function addNetworked(world, networkId, x = 0) {
+    const entity = new Entity(networkId);
+    entity.networkId = networkId;
+    entity.addComponent(new TransformComponent({ position: { x, y: 0, z: 0 } }));
+    return world.addEntity(entity);
+}
+
+/**
+ * Position x of a replicated entity on the client
+ * @param {World} world - Client world
+ * @param {string} networkId - Network ID
+ * @returns {number} Position x
+ */
+function clientX(world, networkId) {
+    return world.getEntityByNetworkId(networkId).getComponent('TransformComponent').position.x;
+}
+
+/**
+ * Create a server world, client world, encoder and decoder
+ * @returns {Object} { server, client, encoder, decoder }
+ */
+function setup() {
+    const server = new World();
+    const client = new World();
+    server.init();
+    client.init();
+    return { server, client, encoder: new DeltaEncoder(), decoder: new DeltaDecoder(client) };
+}
+
+test('only changed fields are sent once the client has a baseline', () => {
+    const { server, client, encoder, decoder } = setup();
+    const entity = addNetworked(server, 'a');
+    addNetworked(server, 'b');
+
+    encoder.capture(server.entities, 1);
+    const full = encoder.encode(1, null);
+    assert.equal(full.baseline, null);
+    assert.equal(full.created.length, 2);
+    decoder.apply(full);
+
+    entity.getComponent('TransformComponent').position.x = 5;
+    encoder.capture(server.entities, 2);
+    const delta = encoder.encode(2, 1);
+
+    assert.equal(delta.baseline, 1);
+    assert.deepEqual(delta.created, []);
+    assert.deepEqual(delta.changed.map(change => change.networkId), ['a']);
+    decoder.apply(delta);
+    assert.equal(clientX(client, 'a'), 5);
+});
+
+test('unacknowledged deltas are taken into account', () => {
+    const { server, client, encoder, decoder } = setup();
+    encoder.capture(server.entities, 1);
+    decoder.apply(encoder.encode(1, null));
+
+    // Tick 2 creates an entity; the client applies it but its ack hasn't arrived
+    const entity = addNetworked(server, 'shot');
+    encoder.capture(server.entities, 2);
+    decoder.apply(encoder.encode(2, 1));
+
+    entity.deactivate();
+    server.update(0);
+    encoder.capture(server.entities, 3);
+    const delta = encoder.encode(3, 1, { sent: [{ tick: 2, include: null }] });
+
+    assert.deepEqual(delta.destroyed, ['shot']);
+    decoder.apply(delta);
+    assert.equal(client.getEntityByNetworkId('shot'), null);
+});
+
+test('fields that change back are still sent after an unacknowledged change', () => {
+    const { server, client, encoder, decoder } = setup();
+    const entity = addNetworked(server, 'a');
+    const transform = entity.getComponent('TransformComponent');
+    encoder.capture(server.entities, 1);
+    decoder.apply(encoder.encode(1, null));
+
+    transform.position.x = 5;
+    encoder.capture(server.entities, 2);
+    decoder.apply(encoder.encode(2, 1));
+
+    transform.position.x = 0;
+    encoder.capture(server.entities, 3);
+    decoder.apply(encoder.encode(3, 1, { sent: [{ tick: 2, include: null }] }));
+
+    assert.equal(clientX(client, 'a'), 0);
+});
+
+test('unknown baselines fall back to a full update and stale deltas are ignored', () => {
+    const { server, encoder, decoder } = setup();
+    addNetworked(server, 'a');
+    encoder.capture(server.entities, 5);
+
+    const delta = encoder.encode(5, 2);
+    assert.equal(delta.baseline, null);
+    assert.equal(delta.created.length, 1);
+
+    assert.equal(decoder.apply(delta), true);
+    assert.equal(decoder.apply(delta), false);
+    assert.throws(() => encoder.encode(6, 5), /has not been captured/);
+});
+
+test('include limits which entities a client is sent', () => {
+    const { server, encoder } = setup();
+    addNetworked(server, 'near');
+    addNetworked(server, 'far');
+    encoder.capture(server.entities, 1);
+
+    const first = encoder.encode(1, null, { include: new Set(['near']) });
+    assert.deepEqual(first.created.map(state => state.networkId), ['near']);
+
+    // Entities entering view are created and those leaving it destroyed
+    encoder.capture(server.entities, 2);
+    const delta = encoder.encode(2, 1, { include: new Set(['far']), baselineInclude: new Set(['near']) });
+    assert.deepEqual(delta.created.map(state => state.networkId), ['far']);
+    assert.deepEqual(delta.destroyed, ['near']);
+});
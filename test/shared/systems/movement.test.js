@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Entity } from '../../../shared/core/index.js';
+import { TransformComponent, MovementComponent } from '../../../shared/components/index.js';
+import { MovementSystem } from '../../../shared/systems/index.js';
+
+/**
+ * Create a running fixed-rate world with one moving entity
+ * @param {Object} [config] - MovementSystem configuration
+ * @returns {Object} { world, entity, movement, step }
+ */
+function setup(config) {
+    const world = new World({ simulationRate: 10 });
+    world.registerSystem(new MovementSystem(config));
+    const entity = new Entity('runner');
+    entity.addComponent(new TransformComponent());
+    entity.addComponent(new MovementComponent({ speed: 10 }));
+    world.addEntity(entity);
+    world.init();
+
+    let time = 1;
+    world.update(time);
+    const step = () => world.update(time += 0.1);
+    return { world, entity, movement: entity.getComponent('MovementComponent'), step };
+}
+
+test('inputs must be well formed and in sequence order', () => {
+    const { movement } = setup();
+
+    assert.equal(movement.queueInput({ sequence: 1, x: 1, z: 0 }), true);
+    assert.equal(movement.queueInput({ sequence: 1, x: 1, z: 0 }), false);
+    assert.equal(movement.queueInput({ sequence: 3, x: 'left', z: 0 }), false);
+    assert.equal(movement.queueInput({ sequence: 0, x: 1, z: 0 }), false);
+    assert.equal(movement.queueInput(null), false);
+    assert.equal(movement.queueInput({ sequence: 3, x: 5, z: -5 }), true);
+    assert.deepEqual(movement.inputs[1], { sequence: 3, x: 1, z: -1 });
+});
+
+test('the input queue is bounded', () => {
+    const { movement } = setup();
+    for (let sequence = 1; sequence <= MovementComponent.MAX_QUEUED_INPUTS; sequence++) {
+        assert.equal(movement.queueInput({ sequence, x: 1, z: 0 }), true);
+    }
+    assert.equal(movement.queueInput({ sequence: 100, x: 1, z: 0 }), false);
+});
+
+test('one input is applied per simulation step', () => {
+    const { entity, movement, step } = setup();
+    for (let sequence = 1; sequence <= 3; sequence++) {
+        movement.queueInput({ sequence, x: 1, z: 0 });
+    }
+
+    step();
+    const position = entity.getComponent('TransformComponent').position;
+    assert.ok(Math.abs(position.x - 1) < 1e-9);
+    assert.equal(movement.lastSequence, 1);
+    assert.equal(movement.inputs.length, 2);
+
+    step();
+    step();
+    assert.ok(Math.abs(position.x - 3) < 1e-9);
+    assert.equal(movement.lastSequence, 3);
+});
+
+test('diagonal moves are no faster than straight ones', () => {
+    const { entity, movement, step } = setup();
+    movement.queueInput({ sequence: 1, x: 1, z: 1 });
+    step();
+
+    const { x, z } = entity.getComponent('TransformComponent').position;
+    assert.ok(Math.abs(Math.hypot(x, z) - 1) < 1e-9);
+});
+
+test('constrain keeps moves inside server rules', () => {
+    const { entity, movement, step } = setup({
+        constrain: (from, to) => ({ x: Math.min(to.x, 0.5), y: to.y, z: to.z })
+    });
+    movement.queueInput({ sequence: 1, x: 1, z: 0 });
+    step();
+
+    assert.equal(entity.getComponent('TransformComponent').position.x, 0.5);
+});
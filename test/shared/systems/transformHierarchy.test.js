@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World, Entity } from '../../../shared/core/index.js';
+import { TransformComponent } from '../../../shared/components/index.js';
+import { TransformHierarchySystem } from '../../../shared/systems/index.js';
+
+/**
+ * Create an entity with a transform
+ * @param {string} name - Entity name
+ * @param {Object} data - TransformComponent data
+ * @returns {Entity} The entity
+ */
+function transformed(name, data) {
+    const entity = new Entity(name);
+    entity.addComponent(new TransformComponent(data));
+    return entity;
+}
+
+/**
+ * Round a vector's components so float noise doesn't fail comparisons
+ * @param {Object} vector - Vector with x, y and z
+ * @returns {Object} Rounded { x, y, z }
+ */
+function rounded(vector) {
+    const round = value => Math.round(value * 1000) / 1000 + 0;
+    return { x: round(vector.x), y: round(vector.y), z: round(vector.z) };
+}
+
+test('child positions are local to their parent', () => {
+    const parent = transformed('mount', { position: { x: 10, y: 0, z: 0 }, rotation: { x: 0, y: Math.PI / 2, z: 0 } });
+    const child = transformed('rider', { position: { x: 1, y: 2, z: 0 } });
+    parent.addChild(child);
+
+    assert.deepEqual(rounded(child.getWorldPosition()), { x: 10, y: 2, z: -1 });
+    assert.deepEqual(rounded(parent.getWorldPosition()), { x: 10, y: 0, z: 0 });
+});
+
+test('TransformHierarchySystem updates world matrices parents first', () => {
+    const world = new World();
+    world.registerSystem(new TransformHierarchySystem());
+    const parent = world.addEntity(transformed('hand', { position: { x: 0, y: 1, z: 0 }, scale: { x: 2, y: 2, z: 2 } }));
+    const child = world.addEntity(transformed('sword', { position: { x: 1, y: 0, z: 0 } }));
+    parent.addChild(child);
+
+    world.init();
+    world.update(0.016);
+
+    const worldPosition = child.getComponent('TransformComponent').getWorldPosition();
+    assert.deepEqual(rounded(worldPosition), { x: 2, y: 1, z: 0 });
+});
+
+test('moving a parent moves its children in the spatial grid', () => {
+    const world = new World({ spatialGridCellSize: 10 });
+    const parent = world.addEntity(transformed('mount', { position: { x: 0, y: 0, z: 0 } }));
+    const child = transformed('rider', { position: { x: 1, y: 0, z: 0 } });
+    parent.addChild(child);
+    world.addEntity(child);
+
+    const transform = parent.getComponent('TransformComponent');
+    transform.position.x = 100;
+    transform.markChanged();
+
+    const nearby = world.queryRadius({ x: 100, y: 0, z: 0 }, 5).map(entity => entity.name).sort();
+    assert.deepEqual(nearby, ['mount', 'rider']);
+    assert.deepEqual(world.queryRadius({ x: 0, y: 0, z: 0 }, 5), []);
+});